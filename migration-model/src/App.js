@@ -20,7 +20,8 @@ import React, {
 } from "react";
 import { motion, AnimatePresence, useScroll, useSpring } from "framer-motion";
 import {
-  LineChart,
+  ComposedChart,
+  Area,
   Line,
   XAxis,
   YAxis,
@@ -38,9 +39,121 @@ import {
   Sparkles,
   Award,
   Hash,
+  XCircle,
+  Lock,
+  Unlock,
+  Undo2,
+  RotateCcw,
 } from "lucide-react";
 import { BlockMath } from "react-katex";
 import "katex/dist/katex.min.css";
+import {
+  BAND_LEVELS,
+  CONCENTRATION_MODES,
+  DEFAULT_CONCENTRATION,
+  ensembleSteps,
+  flowConcentrations,
+} from "./model/ensemble";
+import { generateSeed } from "./model/rng";
+import { createEnsembleWorker } from "./workers/createEnsembleWorker";
+import { fetchManifest, fetchDatasetFiles } from "./model/datasets";
+import {
+  DISTANCE_BASES,
+  REGIONS,
+  buildDistanceMatrix,
+  canonicaliseCountries,
+  countriesInRegion,
+  resolveCountry,
+} from "./model/countries";
+import {
+  DEFAULT_TIE_COEFFICIENTS,
+  TIE_KEYS,
+  TIE_TYPES,
+  buildConnectivity,
+  connectivityMultiplier,
+} from "./model/connectivity";
+import {
+  DEFAULT_INDICATORS,
+  INDICATORS,
+  INFLOW_DRIVERS,
+  OUTFLOW_DRIVERS,
+  STATE_INDICATORS,
+  indicatorSource,
+  readIndicator,
+} from "./model/indicators";
+import {
+  IMPUTATION_METHODS,
+  imputeYearData,
+  imputedBy,
+} from "./model/imputation";
+import { SEX_MODES, reconcileBySex, womenShare } from "./model/sexBreakdown";
+import {
+  DEFAULT_FIT_ITERATIONS,
+  ESTIMATORS,
+  fitTransitionMatrix,
+  matrixResidualRMSE,
+} from "./model/leastSquares";
+import { errorsByHorizon, rollingOriginBacktest } from "./model/backtest";
+import {
+  changesWeights,
+  scenarioInputs,
+  weightFactor,
+} from "./model/scenarios";
+import { cellKey, changedCells, editCell } from "./model/matrixEditing";
+import {
+  COVARIATES,
+  DEFAULT_COVARIATE_COEFFICIENTS,
+  covariateTerms,
+} from "./model/covariates";
+import {
+  BASELINES,
+  MARKOV_MODEL,
+  baselinePredictions,
+} from "./model/baselines";
+import {
+  evaluateForecasts,
+  evaluationRecords,
+  naiveScale,
+} from "./model/evaluation";
+import {
+  DEFAULT_INTERNAL_SHARE,
+  REST_OF_WORLD,
+  SYSTEM_MODES,
+  buildOpenSystem,
+  squareWithRestOfWorld,
+} from "./model/openSystem";
+import {
+  AGGREGATION_MODES,
+  DEFAULT_WEIGHT_HALF_LIFE,
+  aggregateTransitionMatrices,
+} from "./model/aggregation";
+import {
+  ODE_SOLVERS,
+  OUTPUT_INTERVALS,
+  RK4_MAX_STEP,
+  TIME_MODES,
+  generatorFromTransition,
+  outputTimes,
+} from "./model/continuous";
+import {
+  loadSessionImports,
+  mergeYearData,
+  saveSessionImports,
+} from "./model/importMapping";
+import DataDiagnosticsPanel from "./components/DataDiagnostics/DataDiagnosticsPanel";
+import ImportWizard from "./components/ImportWizard/ImportWizard";
+import WomenSharePanel from "./components/SexBreakdown/WomenSharePanel";
+import FitResidualsPanel from "./components/FitResiduals/FitResidualsPanel";
+import EquilibriumPanel from "./components/Equilibrium/EquilibriumPanel";
+import NetGrowthPanel from "./components/OpenSystem/NetGrowthPanel";
+import ForecastEvaluationPanel from "./components/ForecastEvaluation/ForecastEvaluationPanel";
+import LeaderboardPanel from "./components/Baselines/LeaderboardPanel";
+import ScenarioEditor from "./components/Scenario/ScenarioEditor";
+import ScenarioComparisonPanel from "./components/Scenario/ScenarioComparisonPanel";
+import CalibrationPanel from "./components/Calibration/CalibrationPanel";
+import CovariatesPanel from "./components/Covariates/CovariatesPanel";
+import VirtualMatrix from "./components/TransitionMatrix/VirtualMatrix";
+import BacktestPanel from "./components/Backtest/BacktestPanel";
 
 /* Scroll Progress Component */
 const ScrollProgressBar = () => {
@@ -146,74 +259,49 @@ class ErrorBoundary extends Component {
 }
 
 /* Utility helpers */
-const safeParseFloat = (v) => {
-  const n = Number.parseFloat(v);
-  return Number.isFinite(n) ? n : 0;
+const createCancelledError = () => {
+  const err = new Error("Run cancelled");
+  err.cancelled = true;
+  return err;
 };
 
-const parseCSV = (text) => {
-  if (!text) return [];
-  const lines = String(text).trim().split("\n").filter(Boolean);
-  if (!lines.length) return [];
-  const headers = lines[0].split(",");
-  return lines.slice(1).map((line) => {
-    const values = line.split(",");
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = values[i];
-    });
-    return obj;
-  });
+/* KaTeX bmatrix of a numeric matrix */
+const matrixLatex = (M, digits = 3) =>
+  `\\begin{bmatrix} ${M.map((row) =>
+    row.map((v) => (Math.abs(v) < 5e-4 ? "0" : v.toFixed(digits))).join(" & ")
+  ).join(" \\\\ ")} \\end{bmatrix}`;
+
+/* Six hand-picked series colours, then golden-angle hues for larger runs */
+const BASE_COLORS = [
+  "#ef4444",
+  "#10b981",
+  "#f59e0b",
+  "#8b5cf6",
+  "#ec4899",
+  "#14b8a6",
+];
+
+/* #rrggbb of a hue at fixed saturation and lightness (hex keeps the
+   alpha-suffix tints like `${color}20` working) */
+const hueColor = (hue, sat = 0.65, light = 0.55) => {
+  const a = sat * Math.min(light, 1 - light);
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    const v = light - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(v * 255)
+      .toString(16)
+      .padStart(2, "0");
+  };
+  return `#${channel(0)}${channel(8)}${channel(4)}`;
 };
 
-const haversineDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371;
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) ** 2;
-  return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-};
+const seriesColors = (n) =>
+  Array.from({ length: Math.max(n, BASE_COLORS.length) }, (_, i) =>
+    i < BASE_COLORS.length ? BASE_COLORS[i] : hueColor((i * 137.508) % 360)
+  );
 
-const calculateConnectivity = (c1, c2) => {
-  const neighbors = {
-    "United States": ["Canada", "Mexico"],
-    Canada: ["United States"],
-    Mexico: ["United States"],
-    Germany: [
-      "France",
-      "Austria",
-      "Switzerland",
-      "Belgium",
-      "Netherlands",
-      "Poland",
-      "Czech Republic",
-      "Denmark",
-    ],
-    France: ["Germany", "Belgium", "Switzerland", "Italy", "Spain"],
-    "United Kingdom": ["Ireland"],
-    Ireland: ["United Kingdom"],
-    Italy: ["France", "Switzerland", "Austria"],
-    Spain: ["France", "Portugal"],
-    Portugal: ["Spain"],
-    Belgium: ["France", "Germany", "Netherlands"],
-    Netherlands: ["Germany", "Belgium"],
-    Austria: ["Germany", "Switzerland", "Italy", "Czech Republic", "Hungary"],
-    Switzerland: ["Germany", "France", "Italy", "Austria"],
-    Poland: ["Germany", "Czech Republic"],
-    "Czech Republic": ["Germany", "Poland", "Austria"],
-    Denmark: ["Germany", "Sweden", "Norway"],
-    Sweden: ["Norway", "Finland", "Denmark"],
-    Norway: ["Sweden", "Finland", "Denmark"],
-    Finland: ["Sweden", "Norway"],
-    Hungary: ["Austria"],
-    Greece: [],
-  };
-  return neighbors[c1]?.includes(c2) ? 1.0 : 0.0;
-};
+/* Matrices with more rows than this are shown in the virtualised grid */
+const VIRTUAL_MATRIX_ABOVE = 12;
 
 /* Animation variants */
 const fadeInUp = {
@@ -266,22 +354,78 @@ function AppInner() {
   const [inputYearsMulti, setInputYearsMulti] = useState([]);
   const [targetYear, setTargetYear] = useState(null);
   const [distanceEffect, setDistanceEffect] = useState(0.5);
-  const [connectivityEffect, setConnectivityEffect] = useState(0.3);
+  const [stayFloor, setStayFloor] = useState(0.5);
+  const [tieCoefficients, setTieCoefficients] = useState(
+    DEFAULT_TIE_COEFFICIENTS
+  );
+  const [covariateData, setCovariateData] = useState(null);
+  const [activeCovariates, setActiveCovariates] = useState([]);
+  const [covariateCoefficients, setCovariateCoefficients] = useState(
+    DEFAULT_COVARIATE_COEFFICIENTS
+  );
   const [ensembleSize, setEnsembleSize] = useState(100);
   const [rngSeed, setRngSeed] = useState("");
+  const [concentrationMode, setConcentrationMode] = useState("counts");
+  const [fixedConcentration, setFixedConcentration] = useState(
+    DEFAULT_CONCENTRATION
+  );
+  const [usedConcentration, setUsedConcentration] = useState(null);
+  const [shownBands, setShownBands] = useState(BAND_LEVELS);
+  const [usedSeed, setUsedSeed] = useState({ value: "", generated: false });
   const [expandedYears, setExpandedYears] = useState([]);
   const [trainingPairs, setTrainingPairs] = useState([]);
   const [transitionMatrices, setTransitionMatrices] = useState([]);
   const [averageTransitionMatrix, setAverageTransitionMatrix] = useState(null);
   const [predictions, setPredictions] = useState([]);
   const [validationMetrics, setValidationMetrics] = useState(null);
+  const [forecastEvaluation, setForecastEvaluation] = useState(null);
+  const [baselineRuns, setBaselineRuns] = useState(null);
+  const [chartModel, setChartModel] = useState(MARKOV_MODEL);
+  const [highlightedCountries, setHighlightedCountries] = useState([]);
+  const [interventions, setInterventions] = useState([]);
+  const [scenarioRun, setScenarioRun] = useState(null);
+  const [editedMatrix, setEditedMatrix] = useState(null);
+  const [editHistory, setEditHistory] = useState([]);
+  const [lockedCells, setLockedCells] = useState([]);
+  const [editingMatrix, setEditingMatrix] = useState(false);
   const [loadingData, setLoadingData] = useState(true);
   const [modelRunning, setModelRunning] = useState(false);
   const [resultsReady, setResultsReady] = useState(false);
   const [showMatrix, setShowMatrix] = useState(false);
   const [showInfo, setShowInfo] = useState(false);
   const [geographicDistances, setGeographicDistances] = useState({});
-  const [connectivity, setConnectivity] = useState({});
+  const [connectivityByYear, setConnectivityByYear] = useState({});
+  const [dataDiagnostics, setDataDiagnostics] = useState([]);
+  const [manifest, setManifest] = useState(null);
+  const [bundledData, setBundledData] = useState([]);
+  const [importedDatasets, setImportedDatasets] = useState(loadSessionImports);
+  const [unknownCountries, setUnknownCountries] = useState([]);
+  const [distanceBasis, setDistanceBasis] = useState("centroid");
+  const [indicators, setIndicators] = useState(DEFAULT_INDICATORS);
+  const [sexMode, setSexMode] = useState("total");
+  const [imputationMethod, setImputationMethod] = useState("none");
+  const [estimator, setEstimator] = useState("gravity");
+  const [fitReport, setFitReport] = useState(null);
+  const [fitIterations, setFitIterations] = useState(DEFAULT_FIT_ITERATIONS);
+  const [timeMode, setTimeMode] = useState("discrete");
+  const [odeSolver, setOdeSolver] = useState("expm");
+  const [outputInterval, setOutputInterval] = useState(1);
+  const [horizonOffset, setHorizonOffset] = useState(0);
+  const [generatorReport, setGeneratorReport] = useState(null);
+  const [aggregationMode, setAggregationMode] = useState("equal");
+  const [weightHalfLife, setWeightHalfLife] = useState(
+    DEFAULT_WEIGHT_HALF_LIFE
+  );
+  const [forecastMatrices, setForecastMatrices] = useState(null);
+  const [systemMode, setSystemMode] = useState("closed");
+  // Internal move share set by hand; null estimates it from the flows
+  const [internalShare, setInternalShare] = useState(null);
+  const [openSystem, setOpenSystem] = useState(null);
+  const [matrixStep, setMatrixStep] = useState(0);
+  const [imputation, setImputation] = useState({
+    provenance: {},
+    imputedCount: 0,
+  });
   const [targetValidationError, setTargetValidationError] = useState("");
   const [modelProgress, setModelProgress] = useState(0);
   const [modelStage, setModelStage] = useState("");
@@ -291,43 +435,19 @@ function AppInner() {
   const chartRef = useRef(null);
   const matrixRef = useRef(null);
   const resultsRef = useRef(null);
-
-  // Constants
-  const colors = [
-    "#ef4444",
-    "#10b981",
-    "#f59e0b",
-    "#8b5cf6",
-    "#ec4899",
-    "#14b8a6",
-  ];
-
-  const countryCoordinates = {
-    "United States": [37.0902, -95.7129],
-    Germany: [51.1657, 10.4515],
-    "United Kingdom": [55.3781, -3.436],
-    Canada: [56.1304, -106.3468],
-    France: [46.2276, 2.2137],
-    Australia: [-25.2744, 133.7751],
-    Japan: [36.2048, 138.2529],
-    Italy: [41.8719, 12.5674],
-    Spain: [40.4637, -3.7492],
-    Mexico: [23.6345, -102.5528],
-    Netherlands: [52.1326, 5.2913],
-    Sweden: [60.1282, 18.6435],
-    Switzerland: [46.8182, 8.2275],
-    Belgium: [50.5039, 4.4699],
-    Austria: [47.5162, 14.5501],
-    Poland: [51.9194, 19.1451],
-    Norway: [60.472, 8.4689],
-    Denmark: [56.2639, 9.5018],
-    Finland: [61.9241, 25.7482],
-    Greece: [39.0742, 21.8243],
-    Portugal: [39.3999, -8.2245],
-    "Czech Republic": [49.8175, 15.473],
-    Hungary: [47.1625, 19.5033],
-    Ireland: [53.4129, -8.2439],
-    "New Zealand": [-40.9006, 174.886],
+  const runRef = useRef(null);
+  // Last run's inputs and outputs, for re-propagating an edited matrix
+  const editRunRef = useRef(null);
+  // Re-propagation in flight, stopped when a newer edit supersedes it
+  const editJobRef = useRef(null);
+
+  // One colour per selected country
+  const colors = seriesColors(selectedCountries.length);
+
+  /* Loaded countries in a registry region, in grid order */
+  const regionMembers = (region) => {
+    const members = new Set(countriesInRegion(region));
+    return allCountries.filter((c) => members.has(c));
   };
 
   /* Metrics calculation */
@@ -363,93 +483,373 @@ function AppInner() {
     };
   };
 
-  /* Chart data transformation */
-  const chartDataWithUncertainty = predictions.map((pred) => {
+  /* Pooled metrics and the full evaluation of a run's predictions */
+  const scorePredictions = (predictionsList, scales) => {
+    const validation = predictionsList.filter(
+      (p) => p.phase === "prediction" && p.actualData
+    );
+    if (!validation.length) return { metrics: null, evaluation: null };
+    return {
+      metrics: calculateMetrics(validation, selectedCountries),
+      evaluation: evaluateForecasts(
+        evaluationRecords(predictionsList, selectedCountries),
+        selectedCountries,
+        scales
+      ),
+    };
+  };
+
+  const stopEditJob = () => {
+    const job = editJobRef.current;
+    if (!job) return;
+    job.cancelled = true;
+    job.stop?.();
+    editJobRef.current = null;
+  };
+
+  /*
+    Expert edits: the edited matrix replaces the estimate for every step
+    and the ensemble is re-run with the run's seed, in the worker like the
+    main run (main thread as the fallback). The sex breakdown is not re-run,
+    so it is dropped while edits apply.
+  */
+  const repropagate = async (matrix) => {
+    const ctx = editRunRef.current;
+    if (!ctx) return;
+    stopEditJob();
+    if (!matrix) {
+      setPredictions(ctx.snapshot.predictions);
+      setValidationMetrics(ctx.snapshot.metrics);
+      setForecastEvaluation(ctx.snapshot.evaluation);
+      setGeneratorReport(ctx.snapshot.generatorReport);
+      return;
+    }
+    const job = { cancelled: false, stop: null };
+    editJobRef.current = job;
+    const params = { ...ctx.params, ...ctx.toParams(matrix) };
+    let results;
+    try {
+      try {
+        results = await runEnsembleWorker(params, job);
+      } catch (workerErr) {
+        if (workerErr?.cancelled) throw workerErr;
+        console.warn("Worker failed, using fallback:", workerErr);
+        results = await runEnsembleMainThread(params, job);
+      }
+    } catch (err) {
+      if (!err?.cancelled) console.error("Re-propagation failed:", err);
+      return;
+    }
+    if (editJobRef.current !== job) return;
+    editJobRef.current = null;
+    const updated = ctx.snapshot.predictions.map((pred, k) => ({
+      ...pred,
+      predicted: results[k].mean,
+      lower: results[k].lower,
+      upper: results[k].upper,
+      bands: results[k].bands,
+      members: results[k].members,
+      bySex: undefined,
+    }));
+    const { metrics, evaluation } = scorePredictions(updated, ctx.scales);
+    setPredictions(updated);
+    setValidationMetrics(metrics);
+    setForecastEvaluation(evaluation);
+    if (ctx.generatorReport) setGeneratorReport(ctx.generatorReport(matrix));
+  };
+
+  const applyMatrixEdit = (i, j, percent) => {
+    const current = editedMatrix ?? averageTransitionMatrix;
+    if (!Number.isFinite(percent) || !current) return;
+    const next = editCell(current, i, j, percent / 100, lockedCells);
+    if (!changedCells(current, next).length) return;
+    setEditHistory((prev) => [...prev, editedMatrix]);
+    setEditedMatrix(next);
+    repropagate(next);
+  };
+
+  const undoMatrixEdit = () => {
+    if (!editHistory.length) return;
+    const previous = editHistory[editHistory.length - 1];
+    setEditHistory((prev) => prev.slice(0, -1));
+    setEditedMatrix(previous);
+    repropagate(previous);
+  };
+
+  const resetMatrixEdits = () => {
+    setEditHistory([]);
+    setEditedMatrix(null);
+    repropagate(null);
+  };
+
+  const toggleCellLock = (key) =>
+    setLockedCells((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+
+  /* Chart focus: the highlighted countries, or all when none is chosen;
+     the rest of the system is drawn as muted context lines */
+  const highlighted = highlightedCountries.filter((c) =>
+    selectedCountries.includes(c)
+  );
+  const inFocus = (country) =>
+    !highlighted.length || highlighted.includes(country);
+
+  /* Chart data transformation; baselines have point forecasts only */
+  const chartRun =
+    chartModel !== MARKOV_MODEL ? baselineRuns?.[chartModel] : null;
+  const chartDataWithUncertainty = predictions.map((pred, k) => {
     const dp = { year: pred.year, phase: pred.phase };
     (selectedCountries || []).forEach((c) => {
-      dp[c] = pred.predicted?.[c] ?? 0;
-      dp[`${c}_lower`] = pred.lower?.[c] ?? 0;
-      dp[`${c}_upper`] = pred.upper?.[c] ?? 0;
+      dp[c] = (chartRun?.[k] ?? pred).predicted?.[c] ?? 0;
       if (pred.actualData && pred.actualData[c] != null)
         dp[`${c}_actual`] = pred.actualData[c];
+      if (chartRun) return;
+      dp[`${c}_lower`] = pred.lower?.[c] ?? 0;
+      dp[`${c}_upper`] = pred.upper?.[c] ?? 0;
+      BAND_LEVELS.forEach((level) => {
+        const band = pred.bands?.[level];
+        if (band) dp[`${c}_band${level}`] = [band.lower[c], band.upper[c]];
+      });
     });
     return dp;
   });
 
-  /* Load CSV files */
-  useEffect(() => {
-    const loadData = async () => {
-      setLoadingData(true);
-      try {
-        const expectedYears = Array.from({ length: 21 }, (_, i) => 2000 + i);
-        const dataByYear = [];
-        const countriesSet = new Set();
-
-        for (const y of expectedYears) {
-          try {
-            const r = await fetch(`/migration_${y}.csv`);
-            if (!r.ok) continue;
-            const text = await r.text();
-            const parsed = parseCSV(text);
-            if (!Array.isArray(parsed) || !parsed.length) continue;
-
-            dataByYear.push({ year: y, data: parsed });
-            parsed.forEach((row) => {
-              if (row?.Country && countryCoordinates[row.Country]) {
-                countriesSet.add(row.Country);
+  const closedMatrix =
+    editedMatrix ??
+    forecastMatrices?.[matrixStep] ??
+    averageTransitionMatrix ??
+    [];
+  // Expert edits need one closed matrix behind every step
+  const matrixEditable = !forecastMatrices && !openSystem;
+  const editedKeys = new Set(
+    changedCells(averageTransitionMatrix, editedMatrix)
+  );
+  // Open runs show the rows with their Rest-of-World exit column
+  const shownMatrix = openSystem
+    ? openSystem.yearRows?.[matrixStep] ?? openSystem.rows
+    : closedMatrix;
+  const restOfWorldArrivals = openSystem
+    ? selectedCountries.reduce((s, c) => s + (openSystem.inflow[c] || 0), 0)
+    : 0;
+
+  /* Matrix rows / columns; open runs add the Rest of World as index n */
+  const matrixRows = [
+    ...selectedCountries.map((c, i) => ({
+      label: c,
+      color: colors[i % colors.length],
+    })),
+    ...(openSystem ? [{ label: REST_OF_WORLD, color: "#cbd5e1" }] : []),
+  ];
+
+  /* { content, title, className, style } of matrix cell (i, j), shared by
+     the table and the virtualised grid */
+  const matrixCell = (i, j) => {
+    const n = selectedCountries.length;
+    if (i === n) {
+      if (j === n) return { content: "—", className: "text-slate-500" };
+      const dest = selectedCountries[j];
+      const arrivals = openSystem.inflow[dest] || 0;
+      return {
+        content:
+          restOfWorldArrivals > 0
+            ? `${((arrivals / restOfWorldArrivals) * 100).toFixed(1)}%`
+            : "—",
+        className: "text-slate-300",
+        title: `${REST_OF_WORLD} → ${dest}: ${Math.round(
+          arrivals
+        ).toLocaleString()} arrivals a year`,
+      };
+    }
+    const origin = selectedCountries[i];
+    if (j === n) {
+      return {
+        content: `${((shownMatrix[i]?.[n] ?? 0) * 100).toFixed(1)}%`,
+        className: "text-slate-300",
+        title: `${origin} → ${REST_OF_WORLD}: emigration ${(
+          openSystem.emigration[i] * 100
+        ).toFixed(2)}%, naturalisation ${(
+          openSystem.naturalisation[i] * 100
+        ).toFixed(2)}%`,
+      };
+    }
+
+    const dest = selectedCountries[j];
+    const value = shownMatrix[i]?.[j] ?? 0;
+    const isStay = i === j;
+    const key = cellKey(i, j);
+    const edited = editedKeys.has(key);
+    const locked = lockedCells.includes(key);
+    const estimate = averageTransitionMatrix?.[i]?.[j] ?? 0;
+    return {
+      className: `transition-all cursor-pointer hover:bg-slate-700 ${
+        isStay ? "font-bold" : ""
+      } ${edited ? "text-amber-300" : ""}`,
+      style: {
+        backgroundColor: isStay
+          ? `${colors[i % colors.length]}20`
+          : "transparent",
+      },
+      title: `${origin} → ${dest}: ${(value * 100).toFixed(2)}%${
+        edited ? ` (estimated ${(estimate * 100).toFixed(2)}%)` : ""
+      }\n${matrixInputNote(origin, dest)}`,
+      content:
+        editingMatrix && matrixEditable ? (
+          <div className="flex items-center justify-center gap-1">
+            <input
+              key={value}
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              defaultValue={(value * 100).toFixed(1)}
+              disabled={locked}
+              onBlur={(e) => {
+                // Focusing and leaving (or clicking the lock) is not an edit
+                if (e.target.value !== e.target.defaultValue) {
+                  applyMatrixEdit(i, j, parseFloat(e.target.value));
+                }
+              }}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") e.target.blur();
+              }}
+              className="w-16 px-1 py-0.5 bg-slate-700 rounded border border-slate-600 text-white text-right disabled:opacity-60"
+            />
+            <button
+              onClick={() => toggleCellLock(key)}
+              className={
+                locked
+                  ? "text-amber-400"
+                  : "text-slate-500 hover:text-slate-300"
               }
-            });
-          } catch (err) {
-            console.warn(`Failed to load year ${y}:`, err);
-            continue;
-          }
-        }
+              title={locked ? "Unlock cell" : "Lock cell while editing the row"}
+            >
+              {locked ? <Lock size={12} /> : <Unlock size={12} />}
+            </button>
+          </div>
+        ) : (
+          <>
+            {(value * 100).toFixed(1)}%
+            {edited && <span className="text-amber-400">*</span>}
+          </>
+        ),
+    };
+  };
 
-        if (!dataByYear.length) {
-          setMigrationData([]);
-          setYears([]);
-          setAllCountries([]);
-          setLoadingData(false);
-          return;
-        }
+  /* Active covariate terms for the equation cards: pull γ, push δ */
+  const covariateMath = (side, index) =>
+    activeCovariates.length
+      ? ` \\cdot \\exp\\left(${activeCovariates
+          .map(
+            (k) =>
+              `\\${side === "pull" ? "gamma" : "delta"}_{${
+                COVARIATES[k].symbol
+              }} z^{${COVARIATES[k].symbol}}_${index}`
+          )
+          .join(" + ")}\\right)`
+      : "";
+  const covariateSummary = (side, symbol) =>
+    activeCovariates
+      .map(
+        (k) =>
+          `${COVARIATES[k].label} ${symbol} = ${covariateCoefficients[k][
+            side
+          ].toFixed(2)}`
+      )
+      .join(", ");
+
+  const predictionHorizon = predictions.length
+    ? Math.round(
+        (predictions[predictions.length - 1].year - predictions[0].year) * 100
+      ) / 100
+    : 0;
+
+  /* Whether the value behind a country's indicator was observed or imputed */
+  const valueProvenance = (year, country, key) => {
+    const row = yearIndex[year]?.data?.find((r) => r?.Country === country);
+    const column = indicatorSource(row, key);
+    if (!column) return { status: "missing" };
+    const method = imputedBy(imputation.provenance, year, country, column);
+    return method ? { status: "imputed", method } : { status: "observed" };
+  };
 
-        const sorted = dataByYear.sort((a, b) => a.year - b.year);
-        const idx = {};
-        sorted.forEach((d) => {
-          idx[d.year] = d;
-        });
+  const formatChartValue = (val, name, item) => {
+    const text = val.toLocaleString();
+    const key = String(item?.dataKey || "");
+    // Predicted means carry the shown credible intervals
+    if (selectedCountries.includes(key)) {
+      const intervals = [...shownBands]
+        .sort((a, b) => b - a)
+        .map((level) => {
+          const band = item.payload?.[`${key}_band${level}`];
+          return band && band[1] > band[0]
+            ? `${level}%: ${Math.round(band[0]).toLocaleString()}–${Math.round(
+                band[1]
+              ).toLocaleString()}`
+            : null;
+        })
+        .filter(Boolean);
+      return intervals.length ? `${text} (${intervals.join("; ")})` : text;
+    }
+    if (!key.endsWith("_actual")) return text;
+    const country = key.slice(0, -"_actual".length);
+    const p = valueProvenance(item.payload?.year, country, indicators.state);
+    return p.status === "imputed"
+      ? `${text} (imputed: ${IMPUTATION_METHODS[p.method].toLowerCase()})`
+      : `${text} (${p.status})`;
+  };
 
-        const distances = {},
-          conn = {};
-        Array.from(countriesSet).forEach((c1) => {
-          distances[c1] = {};
-          conn[c1] = {};
-          Array.from(countriesSet).forEach((c2) => {
-            if (c1 === c2) {
-              distances[c1][c2] = 0;
-              conn[c1][c2] = 0;
-            } else {
-              const [lat1, lon1] = countryCoordinates[c1] || [0, 0];
-              const [lat2, lon2] = countryCoordinates[c2] || [0, 0];
-              distances[c1][c2] = haversineDistance(lat1, lon1, lat2, lon2);
-              conn[c1][c2] = calculateConnectivity(c1, c2);
-            }
-          });
-        });
+  /* Imputed inputs behind a matrix cell, for the cell tooltip */
+  const matrixInputNote = (origin, dest) => {
+    const flowYears = trainingPairs.length
+      ? trainingPairs.map(([y1]) => y1)
+      : [predictions[0]?.year].filter(Boolean);
+    const inputs = [
+      [origin, indicators.outflow, "outflow"],
+      [origin, indicators.state, "stock"],
+    ];
+    if (origin !== dest) inputs.push([dest, indicators.inflow, "inflow"]);
+
+    const notes = inputs
+      .map(([country, key, role]) => {
+        const imputedYears = flowYears.filter(
+          (y) => valueProvenance(y, country, key).status === "imputed"
+        );
+        return imputedYears.length
+          ? `${country} ${role} imputed in ${imputedYears.join(", ")}`
+          : null;
+      })
+      .filter(Boolean);
+    return notes.length ? notes.join("; ") : "all inputs observed";
+  };
 
-        setMigrationData(sorted);
-        setYears(sorted.map((d) => d.year));
-        setAllCountries(Array.from(countriesSet).sort());
-        setYearIndex(idx);
-        setGeographicDistances(distances);
-        setConnectivity(conn);
+  /* Load datasets listed in the manifest */
+  useEffect(() => {
+    const loadData = async () => {
+      setLoadingData(true);
+      try {
+        const datasetManifest = await fetchManifest();
+        setManifest(datasetManifest);
+
+        const loaded = await fetchDatasetFiles(datasetManifest);
+        setDataDiagnostics(
+          loaded.map(({ year, file, diagnostics }) => ({
+            file,
+            year,
+            ...diagnostics,
+          }))
+        );
 
-        if (sorted.length) {
-          setInputYear(sorted[0].year);
-          setTargetYear(sorted[sorted.length - 1].year);
-        }
+        setBundledData(
+          loaded
+            .filter((d) => d.rows.length)
+            .map((d) => ({ year: d.year, data: d.rows }))
+        );
       } catch (err) {
         console.error("Failed to load data:", err);
+        setDataDiagnostics([
+          { file: "datasets.json", error: String(err?.message || err) },
+        ]);
       } finally {
         setLoadingData(false);
       }
@@ -458,83 +858,147 @@ function AppInner() {
     loadData();
   }, []);
 
-  /* Model helpers */
-  const getPopulationStock = useCallback((yearData, countries) => {
-    const result = {};
-    if (!Array.isArray(yearData)) {
-      countries.forEach((c) => {
-        result[c] = 0;
+  /* Merge bundled and imported data into the model's year index */
+  useEffect(() => {
+    const sorted = mergeYearData(bundledData, importedDatasets, resolveCountry);
+
+    // Resolve names through the registry; unknown names are reported
+    const countriesSet = new Set();
+    const unknown = {};
+    sorted.forEach(({ year, data }) => {
+      canonicaliseCountries(data).forEach((name) => {
+        (unknown[name] = unknown[name] || []).push(year);
       });
-      return result;
-    }
-
-    countries.forEach((country) => {
-      const row = yearData.find((r) => r?.Country === country);
-      if (!row || typeof row !== "object") {
-        result[country] = 0;
-        return;
-      }
-
-      const candidates = [
-        "Stock of foreign population by nationality(Total)",
-        "Stock of foreign-born population by country of birth(Total)",
-      ];
-
-      let stock = NaN;
-      for (const h of candidates) {
-        if (row[h] !== undefined && row[h] !== "") {
-          stock = safeParseFloat(row[h]) || stock;
-        }
-      }
+      data.forEach((row) => {
+        if (resolveCountry(row?.Country)) countriesSet.add(row.Country);
+      });
+    });
+    setUnknownCountries(
+      Object.entries(unknown)
+        .map(([name, yrs]) => ({ name, years: yrs }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    );
 
-      if (Number.isNaN(stock)) {
-        const numeric = Object.values(row)
-          .map((v) => Number.parseFloat(v))
-          .filter(Number.isFinite);
-        stock = numeric.length ? numeric[numeric.length - 1] : 0;
-      }
+    // Fill blank cells; the provenance map flags every imputed value
+    const {
+      yearData: modelData,
+      provenance,
+      imputedCount,
+    } = imputeYearData(sorted, imputationMethod);
+    setImputation({ provenance, imputedCount });
+
+    const idx = {};
+    modelData.forEach((d) => {
+      idx[d.year] = d;
+    });
 
-      result[country] = Number.isFinite(stock) ? stock : 0;
+    const names = Array.from(countriesSet);
+    const distances = buildDistanceMatrix(names, distanceBasis);
+    const yearList = modelData.map((d) => d.year);
+    // Free-movement ties change with EU/Schengen enlargement, so build per year
+    const connByYear = {};
+    yearList.forEach((y) => {
+      connByYear[y] = buildConnectivity(names, y);
     });
 
-    return result;
-  }, []);
+    setMigrationData(modelData);
+    setYears(yearList);
+    setAllCountries(Array.from(countriesSet).sort());
+    setYearIndex(idx);
+    setGeographicDistances(distances);
+    setConnectivityByYear(connByYear);
+    setSelectedCountries((prev) => prev.filter((c) => countriesSet.has(c)));
+    setInputYearsMulti((prev) => prev.filter((y) => idx[y]));
+
+    if (yearList.length) {
+      setInputYear((prev) => (idx[prev] ? prev : yearList[0]));
+      setTargetYear((prev) =>
+        idx[prev] ? prev : yearList[yearList.length - 1]
+      );
+    }
+  }, [bundledData, importedDatasets, distanceBasis, imputationMethod]);
+
+  /* Imported datasets live for the browser session */
+  useEffect(() => {
+    saveSessionImports(importedDatasets);
+  }, [importedDatasets]);
 
-  const getFlows = useCallback((yearData, countries) => {
-    const flows = {};
-    if (!Array.isArray(yearData)) {
-      countries.forEach((c) => {
-        flows[c] = { inflow: 0, outflow: 0, stock: 0 };
+  /* Model helpers */
+  const getPopulationStock = useCallback(
+    (
+      yearData,
+      countries,
+      stateIndicator = DEFAULT_INDICATORS.state,
+      sex = "Total"
+    ) => {
+      const result = {};
+      countries.forEach((country) => {
+        const row = Array.isArray(yearData)
+          ? yearData.find((r) => r?.Country === country)
+          : null;
+        const value = readIndicator(row, stateIndicator, sex);
+        result[country] = Number.isFinite(value) ? value : 0;
       });
-      return flows;
-    }
+      return result;
+    },
+    []
+  );
 
-    countries.forEach((country) => {
-      const row = yearData.find((r) => r?.Country === country);
-      if (!row || typeof row !== "object") {
-        flows[country] = { inflow: 0, outflow: 0, stock: 0 };
-        return;
-      }
+  const getFlows = useCallback(
+    (
+      yearData,
+      countries,
+      indicatorKeys = DEFAULT_INDICATORS,
+      sex = "Total"
+    ) => {
+      const flows = {};
+      countries.forEach((country) => {
+        const row = Array.isArray(yearData)
+          ? yearData.find((r) => r?.Country === country)
+          : null;
+        const read = (key) => {
+          const v = readIndicator(row, key, sex);
+          return Number.isFinite(v) ? v : 0;
+        };
 
-      const infl = safeParseFloat(
-        row["Inflows of foreign population by nationality(Total)"]
-      );
-      const out = safeParseFloat(
-        row["Outflows of foreign population by nationality(Total)"]
-      );
-      const stock = safeParseFloat(
-        row["Stock of foreign population by nationality(Total)"] ||
-          row["Stock of foreign-born population by country of birth(Total)"]
-      );
+        flows[country] = {
+          inflow: read(indicatorKeys.inflow),
+          outflow: read(indicatorKeys.outflow),
+          acquisition: read("acquisition"),
+          stock: read(indicatorKeys.state),
+        };
+      });
 
-      flows[country] = { inflow: infl, outflow: out, stock };
-    });
+      return flows;
+    },
+    []
+  );
 
-    return flows;
-  }, []);
+  /* Covariate pull / push multipliers for a year (null when none is active) */
+  const covariatesFor = useCallback(
+    (year, coefficients = covariateCoefficients) =>
+      covariateTerms(
+        covariateData?.values,
+        selectedCountries,
+        year,
+        activeCovariates,
+        coefficients
+      ),
+    [covariateData, selectedCountries, activeCovariates, covariateCoefficients]
+  );
 
   const estimateTransitionMatrix = useCallback(
-    (flows, countries, distances, conn, distCoeff, connCoeff) => {
+    (
+      flows,
+      countries,
+      distances,
+      conn,
+      distCoeff,
+      tieCoeffs,
+      floor = 0.5,
+      covariates = null,
+      reweight = null
+    ) => {
       const n = countries.length;
       const matrix = Array.from({ length: n }, () => Array(n).fill(0));
 
@@ -545,9 +1009,12 @@ function AppInner() {
           return;
         }
 
-        const totalOutflow = originFlow.outflow || 0;
+        // Origin push factors scale the outflow rate, destination pull
+        // factors and scenario interventions (`reweight`) the weights
+        const totalOutflow =
+          (originFlow.outflow || 0) * (covariates?.push[origin] ?? 1);
         const stayProb = Math.max(
-          0.5,
+          floor,
           1 - totalOutflow / Math.max(1, originFlow.stock)
         );
         matrix[i][i] = stayProb;
@@ -565,12 +1032,16 @@ function AppInner() {
           const destFlow = flows?.[dest];
           const attractiveness = Math.log((destFlow?.inflow || 0) + 10);
           const distance = distances?.[origin]?.[dest] ?? 3000;
-          const connectivityBonus =
-            1 + connCoeff * (conn?.[origin]?.[dest] || 0);
+          const connectivityBonus = connectivityMultiplier(
+            conn?.[origin]?.[dest],
+            tieCoeffs
+          );
           const distanceEffect = Math.exp((-distCoeff * distance) / 1000);
 
           const weight =
             Math.max(0.0001, attractiveness) *
+            (covariates?.pull[dest] ?? 1) *
+            (reweight ? reweight(origin, dest) : 1) *
             distanceEffect *
             connectivityBonus;
           weights[j] = weight;
@@ -596,44 +1067,6 @@ function AppInner() {
     []
   );
 
-  const propagatePopulation = useCallback(
-    (currentPop, transMatrix, countries) => {
-      const newPop = {};
-
-      countries.forEach((dest, j) => {
-        let sum = 0;
-        countries.forEach((origin, i) => {
-          const originVal = currentPop?.[origin] ?? 0;
-          const prob = transMatrix?.[i]?.[j] ?? 0;
-          sum += originVal * prob;
-        });
-        newPop[dest] = sum;
-      });
-
-      return newPop;
-    },
-    []
-  );
-
-  const averageTransitionMatrixFrom = useCallback((matrices, countries) => {
-    if (!Array.isArray(matrices) || !matrices.length) return null;
-
-    const n = countries.length;
-    const avg = Array.from({ length: n }, () => Array(n).fill(0));
-
-    matrices.forEach((tm) => {
-      if (!tm?.matrix) return;
-
-      for (let i = 0; i < n; i++) {
-        for (let j = 0; j < n; j++) {
-          avg[i][j] += (tm.matrix[i]?.[j] ?? 0) / matrices.length;
-        }
-      }
-    });
-
-    return avg;
-  }, []);
-
   /* Year expansion */
   const expandSelectedYearsWithAdjacents = useCallback(
     (selectedYears, availableYears) => {
@@ -701,9 +1134,94 @@ function AppInner() {
     }
   }, [inputMode, inputYear, inputYearsMulti, targetYear]);
 
+  /* Worker orchestration */
+  const runEnsembleWorker = useCallback(
+    (params, run, onProgress) =>
+      new Promise((resolve, reject) => {
+        if (typeof Worker === "undefined") {
+          reject(new Error("Web Workers are not available"));
+          return;
+        }
+
+        let worker;
+        try {
+          worker = createEnsembleWorker();
+        } catch (err) {
+          console.warn("Worker creation failed:", err);
+          reject(err);
+          return;
+        }
+
+        const finish = () => {
+          worker.terminate();
+          run.stop = null;
+        };
+        run.stop = () => {
+          finish();
+          reject(createCancelledError());
+        };
+
+        worker.onmessage = (e) => {
+          const msg = e.data || {};
+          if (msg.type === "progress") {
+            onProgress?.(msg.step, msg.steps);
+          } else if (msg.type === "result") {
+            finish();
+            resolve(msg.results);
+          } else if (msg.type === "error") {
+            finish();
+            reject(new Error(msg.message));
+          }
+        };
+
+        worker.onerror = (err) => {
+          console.warn("Worker error:", err);
+          finish();
+          reject(err);
+        };
+
+        worker.postMessage({ ...params, selectedCountries });
+      }),
+    [selectedCountries]
+  );
+
+  const runEnsembleMainThread = useCallback(
+    async (params, run, onProgress) => {
+      const results = [];
+      for (const { step, steps, result } of ensembleSteps({
+        ...params,
+        selectedCountries,
+      })) {
+        if (run.cancelled) throw createCancelledError();
+        results.push(result);
+        onProgress?.(step, steps);
+        // Yield so progress renders and the cancel button stays responsive
+        await new Promise((r) => setTimeout(r, 0));
+      }
+      if (run.cancelled) throw createCancelledError();
+      return results;
+    },
+    [selectedCountries]
+  );
+
+  const cancelRun = useCallback(() => {
+    const run = runRef.current;
+    if (!run) return;
+    run.cancelled = true;
+    run.stop?.();
+  }, []);
+
+  useEffect(() => cancelRun, [cancelRun]);
+
   /* Build training matrices */
   const buildTrainingTransitionMatricesAndPairs = useCallback(
-    (mode, multipleYears, canonicalTrainData) => {
+    (
+      mode,
+      multipleYears,
+      canonicalTrainData,
+      sex = "Total",
+      reweight = null
+    ) => {
       const matrices = [];
       const pairs = [];
       let expanded = [];
@@ -723,14 +1241,22 @@ function AppInner() {
             const row2 = yearIndex[y2];
 
             if (row1?.data && row2?.data) {
-              const flows = getFlows(row1.data, selectedCountries);
+              const flows = getFlows(
+                row1.data,
+                selectedCountries,
+                indicators,
+                sex
+              );
               const tm = estimateTransitionMatrix(
                 flows,
                 selectedCountries,
                 geographicDistances,
-                connectivity,
+                connectivityByYear[y1],
                 distanceEffect,
-                connectivityEffect
+                tieCoefficients,
+                stayFloor,
+                covariatesFor(y1),
+                reweight
               );
               matrices.push({ year: y2, matrix: tm });
               pairs.push([y1, y2]);
@@ -746,15 +1272,20 @@ function AppInner() {
           if (canonicalTrainData[t - 1]?.data) {
             const flows = getFlows(
               canonicalTrainData[t - 1].data,
-              selectedCountries
+              selectedCountries,
+              indicators,
+              sex
             );
             const tm = estimateTransitionMatrix(
               flows,
               selectedCountries,
               geographicDistances,
-              connectivity,
+              connectivityByYear[canonicalTrainData[t - 1].year],
               distanceEffect,
-              connectivityEffect
+              tieCoefficients,
+              stayFloor,
+              covariatesFor(canonicalTrainData[t - 1].year),
+              reweight
             );
             matrices.push({ year: canonicalTrainData[t].year, matrix: tm });
             pairs.push([
@@ -772,15 +1303,204 @@ function AppInner() {
       yearIndex,
       selectedCountries,
       geographicDistances,
-      connectivity,
+      connectivityByYear,
       distanceEffect,
-      connectivityEffect,
+      tieCoefficients,
+      stayFloor,
+      covariatesFor,
+      indicators,
       estimateTransitionMatrix,
       getFlows,
       expandSelectedYearsWithAdjacents,
     ]
   );
 
+  /* Training matrices -> forecast matrix (or one per year) for the selected mode */
+  const aggregateTrainingMatrices = (matrices, startYear, steps) =>
+    aggregateTransitionMatrices(matrices, selectedCountries.length, {
+      mode: aggregationMode,
+      halfLife: weightHalfLife,
+      startYear,
+      steps,
+    });
+
+  /* Flows objects of the given years that have data */
+  const yearFlowsFor = (years, sex = "Total") =>
+    years
+      .filter((y) => yearIndex[y]?.data)
+      .map((y) =>
+        getFlows(yearIndex[y].data, selectedCountries, indicators, sex)
+      );
+
+  /* Rest-of-World terms around a closed matrix, from the flows of flowYears */
+  const openSystemFor = (matrix, yearMatrices, flowYears, sex = "Total") =>
+    buildOpenSystem({
+      matrix,
+      yearMatrices,
+      yearFlows: yearFlowsFor(flowYears, sex),
+      countries: selectedCountries,
+      internalShare,
+    });
+
+  /* Training window: every loaded year, bundled, manifest-added or imported */
+  const getCanonicalTrainData = () =>
+    migrationData
+      .filter((d) => d.year >= years[0] && d.year <= years[years.length - 1])
+      .sort((a, b) => a.year - b.year);
+
+  /*
+    Data-fitted estimator: least squares on the training stock pairs,
+    started from the gravity matrix. Pairs with a missing stock are skipped
+    since a blank would be fitted as a real 0.
+  */
+  const fitToStockPairs = (pairs, gravityMatrix, sex = "Total") => {
+    const stockVector = (year) => {
+      const stock = getPopulationStock(
+        yearIndex[year]?.data,
+        selectedCountries,
+        indicators.state,
+        sex
+      );
+      return selectedCountries.map((c) => stock[c]);
+    };
+    const stockPairs = pairs
+      .map(([y1, y2]) => ({
+        fromYear: y1,
+        toYear: y2,
+        from: stockVector(y1),
+        to: stockVector(y2),
+      }))
+      .filter((p) => [...p.from, ...p.to].every((v) => v > 0));
+
+    const fit = {
+      skipped: pairs.length - stockPairs.length,
+      pairs: stockPairs.length,
+    };
+    if (!stockPairs.length) return fit;
+    return {
+      ...fit,
+      ...fitTransitionMatrix(stockPairs, {
+        init: gravityMatrix,
+        maxIter: fitIterations,
+      }),
+      gravityRMSE: matrixResidualRMSE(gravityMatrix, stockPairs),
+    };
+  };
+
+  /* Rolling-origin backtest of the current model settings */
+  const runRollingBacktest = ({ horizon, minTrainPairs }) => {
+    const canonicalTrainData = getCanonicalTrainData();
+    const observedAt = (year) =>
+      yearIndex[year]?.data
+        ? getPopulationStock(
+            yearIndex[year].data,
+            selectedCountries,
+            indicators.state
+          )
+        : null;
+
+    const fitAt = (origin) => {
+      // Only years up to the origin are visible to the fit
+      const { matrices, pairs } = buildTrainingTransitionMatricesAndPairs(
+        "single",
+        [],
+        canonicalTrainData.filter((d) => d.year <= origin)
+      );
+      let fit = {
+        ...aggregateTrainingMatrices(matrices, origin, horizon),
+        pairs,
+      };
+      if (fit.matrix && estimator === "fitted") {
+        const fitted = fitToStockPairs(pairs, fit.matrix).matrix;
+        if (fitted) fit = { matrix: fitted, yearMatrices: null, pairs };
+      }
+      if (!fit.matrix || systemMode !== "open") return fit;
+      const open = openSystemFor(
+        fit.matrix,
+        fit.yearMatrices,
+        pairs.map(([y1]) => y1)
+      );
+      return {
+        matrix: open.rows,
+        yearMatrices: open.yearRows,
+        inflow: open.inflow,
+        pairs,
+      };
+    };
+
+    const { origins, records } = rollingOriginBacktest({
+      years: canonicalTrainData.map((d) => d.year),
+      countries: selectedCountries,
+      horizon,
+      minTrainPairs,
+      fitAt,
+      observedAt,
+    });
+    return {
+      origins,
+      records,
+      horizon,
+      ...errorsByHorizon(records, horizon, selectedCountries),
+    };
+  };
+
+  /* Training pairs with observed stocks for every country, for calibration */
+  const buildCalibrationContext = () => {
+    const canonicalTrainData = getCanonicalTrainData();
+    let { pairs } = buildTrainingTransitionMatricesAndPairs(
+      inputMode,
+      inputYearsMulti,
+      canonicalTrainData
+    );
+    if (!pairs.length) {
+      pairs = buildTrainingTransitionMatricesAndPairs(
+        "single",
+        [],
+        canonicalTrainData
+      ).pairs;
+    }
+
+    const stock = (year) =>
+      getPopulationStock(
+        yearIndex[year]?.data,
+        selectedCountries,
+        indicators.state
+      );
+
+    return {
+      countries: selectedCountries,
+      pairs: pairs
+        .map(([y1, y2]) => ({
+          fromYear: y1,
+          toYear: y2,
+          flows: getFlows(yearIndex[y1]?.data, selectedCountries, indicators),
+          conn: connectivityByYear[y1],
+          from: stock(y1),
+          to: stock(y2),
+        }))
+        .filter((p) =>
+          selectedCountries.every((c) => p.from[c] > 0 && p.to[c] > 0)
+        ),
+      buildMatrix: (pair, params) =>
+        estimateTransitionMatrix(
+          pair.flows,
+          selectedCountries,
+          geographicDistances,
+          pair.conn,
+          params.alpha,
+          params.betas,
+          params.stayFloor,
+          covariatesFor(pair.fromYear, params.covariates)
+        ),
+    };
+  };
+
+  const applyCalibration = ({ alpha, betas, stayFloor: floor }) => {
+    setDistanceEffect(alpha);
+    setTieCoefficients(betas);
+    setStayFloor(floor);
+  };
+
   /* Generate predictions */
   const generatePredictions = async () => {
     const hasInput =
@@ -808,88 +1528,186 @@ function AppInner() {
     setTransitionMatrices([]);
     setAverageTransitionMatrix(null);
     setValidationMetrics(null);
+    setForecastEvaluation(null);
+    setBaselineRuns(null);
+    setScenarioRun(null);
+    setEditedMatrix(null);
+    setEditHistory([]);
+    setLockedCells([]);
+    setEditingMatrix(false);
+    editRunRef.current = null;
+    stopEditJob();
+    setChartModel(MARKOV_MODEL);
     setTrainingPairs([]);
+    setFitReport(null);
+    setGeneratorReport(null);
+    setForecastMatrices(null);
+    setOpenSystem(null);
+    setUsedConcentration(null);
+    setMatrixStep(0);
     setModelProgress(0);
     setShowCelebration(false);
 
+    const run = { cancelled: false, stop: null };
+    runRef.current = run;
+
     try {
       setModelStage("Loading training data...");
       setModelProgress(10);
 
-      const canonicalTrainData = migrationData
-        .filter((d) => d.year >= 2002 && d.year <= 2020)
-        .sort((a, b) => a.year - b.year);
+      const startYr =
+        inputMode === "single" ? inputYear : Math.max(...inputYearsMulti);
+
+      // Nothing after the input year, so the scored years stay out of
+      // sample for the Markov model as they are for the baselines
+      const canonicalTrainData = getCanonicalTrainData().filter(
+        (d) => d.year <= startYr
+      );
 
       setModelStage("Building transition matrices...");
       setModelProgress(25);
 
-      const {
-        matrices: transMatricesBuilt,
-        pairs,
-        expandedYears: usedExpanded,
-      } = buildTrainingTransitionMatricesAndPairs(
-        inputMode,
-        inputYearsMulti,
-        canonicalTrainData
-      );
+      // Continuous time: generator Q with e^Q = T, outputs at `times`
+      const continuous = timeMode === "continuous";
+      const horizon = targetYear - startYr + (continuous ? horizonOffset : 0);
+      const times = continuous ? outputTimes(horizon, outputInterval) : null;
+
+      // Training matrices, their average and the starting vector for one
+      // sex; scenarios pass `reweight`, (origin, dest) -> gravity weight factor
+      const buildModelInputs = (sex, reweight = null) => {
+        const {
+          matrices: transMatricesBuilt,
+          pairs,
+          expandedYears: usedExpanded,
+        } = buildTrainingTransitionMatricesAndPairs(
+          inputMode,
+          inputYearsMulti,
+          canonicalTrainData,
+          sex,
+          reweight
+        );
 
-      let transMatrices = transMatricesBuilt;
-      let explicitPairs = pairs;
-      let usedExpandedYears = usedExpanded;
+        // Selected years pull in their next year, which may be past the input
+        const inSample = pairs.map(([, y2]) => y2 <= startYr);
+        let transMatrices = transMatricesBuilt.filter((_, k) => inSample[k]);
+        let explicitPairs = pairs.filter((_, k) => inSample[k]);
+        let usedExpandedYears = usedExpanded;
+
+        if (!transMatrices.length && canonicalTrainData.length > 1) {
+          const fallback = buildTrainingTransitionMatricesAndPairs(
+            "single",
+            [],
+            canonicalTrainData,
+            sex,
+            reweight
+          );
+          transMatrices = fallback.matrices;
+          explicitPairs = fallback.pairs;
+          usedExpandedYears = [];
+        }
 
-      if (!transMatrices.length && canonicalTrainData.length > 1) {
-        const fallback = buildTrainingTransitionMatricesAndPairs(
-          "single",
-          [],
-          canonicalTrainData
+        const aggregated = aggregateTrainingMatrices(
+          transMatrices,
+          startYr,
+          Math.ceil(horizon)
         );
-        transMatrices = fallback.matrices;
-        explicitPairs = fallback.pairs;
-        usedExpandedYears = [];
-      }
+        let finalAvgMatrix = aggregated.matrix;
+        let yearMatrices = aggregated.yearMatrices;
 
-      setModelProgress(40);
-      setModelStage("Averaging transition matrices...");
+        if (!finalAvgMatrix) {
+          const inputRow = yearIndex[startYr];
+          if (inputRow?.data) {
+            const flows = getFlows(
+              inputRow.data,
+              selectedCountries,
+              indicators,
+              sex
+            );
+            const tm = estimateTransitionMatrix(
+              flows,
+              selectedCountries,
+              geographicDistances,
+              connectivityByYear[startYr],
+              distanceEffect,
+              tieCoefficients,
+              stayFloor,
+              covariatesFor(startYr),
+              reweight
+            );
+            transMatrices = [{ year: startYr, matrix: tm }];
+            finalAvgMatrix = tm;
+          }
+        }
 
-      let finalAvgMatrix = averageTransitionMatrixFrom(
-        transMatrices,
-        selectedCountries
-      );
+        let fit = null;
+        if (estimator === "fitted" && finalAvgMatrix) {
+          fit = fitToStockPairs(explicitPairs, finalAvgMatrix, sex);
+          // The fit is a single matrix, so it replaces any per-year ones
+          if (fit.matrix) {
+            finalAvgMatrix = fit.matrix;
+            yearMatrices = null;
+          }
+        }
 
-      if (!finalAvgMatrix) {
-        const sampleYear =
-          inputMode === "single"
-            ? inputYear
-            : inputYearsMulti.length
-            ? Math.max(...inputYearsMulti)
+        // Rates and counts come from the origin years of the training pairs
+        const flowYears = explicitPairs.length
+          ? explicitPairs.map(([y1]) => y1)
+          : [startYr];
+
+        // Open system: exit column and Rest-of-World arrivals
+        const open =
+          systemMode === "open" && finalAvgMatrix
+            ? openSystemFor(finalAvgMatrix, yearMatrices, flowYears, sex)
             : null;
 
-        const inputRow = yearIndex[sampleYear];
-        if (inputRow?.data) {
-          const flows = getFlows(inputRow.data, selectedCountries);
-          const tm = estimateTransitionMatrix(
-            flows,
-            selectedCountries,
-            geographicDistances,
-            connectivity,
-            distanceEffect,
-            connectivityEffect
-          );
-          transMatrices = [{ year: sampleYear, matrix: tm }];
-          finalAvgMatrix = tm;
+        // Dirichlet concentration per origin row for the ensemble draws
+        const concentration =
+          concentrationMode === "counts"
+            ? flowConcentrations(
+                yearFlowsFor(flowYears, sex),
+                selectedCountries
+              )
+            : fixedConcentration;
+
+        const initPopRow = yearIndex[startYr];
+        if (!initPopRow?.data) {
+          throw new Error("No initial population data available");
         }
-      }
 
-      const initPopRow =
-        inputMode === "single"
-          ? yearIndex[inputYear]
-          : yearIndex[Math.max(...inputYearsMulti)];
+        return {
+          open,
+          concentration,
+          transMatrices,
+          explicitPairs,
+          usedExpandedYears,
+          finalAvgMatrix,
+          yearMatrices,
+          fit,
+          initPop: getPopulationStock(
+            initPopRow.data,
+            selectedCountries,
+            indicators.state,
+            sex
+          ),
+        };
+      };
 
-      if (!initPopRow?.data) {
-        throw new Error("No initial population data available");
-      }
+      const {
+        transMatrices,
+        explicitPairs,
+        usedExpandedYears,
+        finalAvgMatrix,
+        yearMatrices,
+        open,
+        concentration,
+        initPop,
+        fit,
+      } = buildModelInputs("Total");
+      setFitReport(fit);
+      setUsedConcentration(concentration);
 
-      const initPop = getPopulationStock(initPopRow.data, selectedCountries);
+      setModelProgress(40);
+      setModelStage("Averaging transition matrices...");
 
       setTransitionMatrices(transMatrices);
       setTrainingPairs(explicitPairs);
@@ -898,123 +1716,288 @@ function AppInner() {
       setModelProgress(55);
       setModelStage("Running ensemble predictions...");
 
-      const startYr =
-        inputMode === "single" ? inputYear : Math.max(...inputYearsMulti);
-      const steps = targetYear - startYr;
-
-      const avgMat =
-        finalAvgMatrix ||
-        (transMatrices.length
-          ? averageTransitionMatrixFrom(transMatrices, selectedCountries)
-          : null);
-
-      if (!avgMat) {
+      if (!finalAvgMatrix) {
         throw new Error("No transition matrix available");
       }
 
-      // Ensemble simulation
-      const forwardResults = [];
-      for (let step = 0; step <= steps; step++) {
-        const predictions = [];
-
-        for (let member = 0; member < ensembleSize; member++) {
-          let currentPop = { ...initPop };
-
-          const perturbedMatrix = avgMat.map((row) =>
-            row.map((val) => {
-              const noise = (Math.random() - 0.5) * 0.02;
-              return Math.max(0, val + noise);
-            })
-          );
-
-          perturbedMatrix.forEach((row, i) => {
-            const sum = row.reduce((a, b) => a + b, 0);
-            if (sum > 0) {
-              perturbedMatrix[i] = row.map((v) => v / sum);
-            }
-          });
-
-          for (let s = 0; s < step; s++) {
-            currentPop = propagatePopulation(
-              currentPop,
-              perturbedMatrix,
-              selectedCountries
-            );
+      // Open systems propagate the rows with the exit column, plus arrivals
+      const toGenerator = (m, isOpen) =>
+        generatorFromTransition(isOpen ? squareWithRestOfWorld(m) : m);
+      const timeParams = (inputs) => {
+        const base = inputs.open?.rows ?? inputs.finalAvgMatrix;
+        const perYear = inputs.open
+          ? inputs.open.yearRows
+          : inputs.yearMatrices;
+        const inflow = inputs.open?.inflow ?? null;
+        const { concentration } = inputs;
+        if (!continuous) {
+          return {
+            finalAvgMatrix: base,
+            yearMatrices: perYear,
+            steps: horizon,
+            inflow,
+            concentration,
+          };
+        }
+        return {
+          generator: toGenerator(base, inputs.open).Q,
+          generators: perYear?.map((m) => toGenerator(m, inputs.open).Q),
+          solver: odeSolver,
+          times,
+          inflow,
+          concentration,
+        };
+      };
+      const runGeneratorReport = continuous
+        ? {
+            ...toGenerator(open?.rows ?? finalAvgMatrix, open),
+            solver: odeSolver,
           }
-
-          predictions.push(currentPop);
+        : null;
+      if (runGeneratorReport) setGeneratorReport(runGeneratorReport);
+
+      // An empty seed still gets a concrete one so the run can be repeated
+      const seedToUse = rngSeed.trim() || generateSeed();
+      setUsedSeed({ value: seedToUse, generated: !rngSeed.trim() });
+
+      const bySex = sexMode === "bySex";
+      const runEnsemble = async (params, progressFrom, progressSpan, label) => {
+        const onProgress = (step, total) => {
+          setModelProgress(
+            progressFrom +
+              Math.round((progressSpan * step) / Math.max(1, total))
+          );
+          setModelStage(`Running ${label}... (${step}/${total})`);
+        };
+        try {
+          return await runEnsembleWorker(params, run, onProgress);
+        } catch (workerErr) {
+          if (workerErr?.cancelled) throw workerErr;
+          console.warn("Worker failed, using fallback:", workerErr);
+          return runEnsembleMainThread(params, run, onProgress);
         }
+      };
+
+      const forwardResults = await runEnsemble(
+        {
+          ...timeParams({ finalAvgMatrix, yearMatrices, open, concentration }),
+          initPop,
+          startYear: startYr,
+          ensembleSize,
+          seed: seedToUse,
+        },
+        55,
+        bySex ? 10 : 20,
+        "ensemble predictions"
+      );
 
-        const mean = {};
-        const lower = {};
-        const upper = {};
-
-        selectedCountries.forEach((country) => {
-          const values = predictions
-            .map((p) => p[country] || 0)
-            .sort((a, b) => a - b);
-          mean[country] = values.reduce((a, b) => a + b, 0) / values.length;
-          lower[country] = values[Math.floor(values.length * 0.025)];
-          upper[country] = values[Math.floor(values.length * 0.975)];
-        });
-
-        forwardResults.push({ mean, lower, upper });
+      let sexResults = null;
+      if (bySex) {
+        setModelStage("Building transition matrices for women...");
+        const women = buildModelInputs("Women");
+        if (!women.finalAvgMatrix) {
+          throw new Error("No transition matrix available for women");
+        }
+        const womenResults = await runEnsemble(
+          {
+            ...timeParams(women),
+            initPop: women.initPop,
+            startYear: startYr,
+            ensembleSize,
+            seed: `${seedToUse}:women`,
+          },
+          65,
+          10,
+          "ensemble for women"
+        );
+        sexResults = reconcileBySex(
+          forwardResults,
+          womenResults,
+          selectedCountries
+        );
       }
 
       setModelProgress(75);
       setModelStage("Generating predictions...");
 
       const allPredictions = [];
-      for (let step = 0; step <= steps; step++) {
-        const year = startYr + step;
+      // One entry per output time; mid-year ones have no actual data
+      for (let step = 0; step < forwardResults.length; step++) {
+        const { year, mean, lower, upper, bands, members } =
+          forwardResults[step];
         const pred = {
           year,
           phase: step === 0 ? "input" : "prediction",
+          predicted: mean,
+          lower,
+          upper,
+          bands,
+          members,
         };
 
-        if (forwardResults[step]) {
-          pred.predicted = forwardResults[step].mean;
-          pred.lower = forwardResults[step].lower;
-          pred.upper = forwardResults[step].upper;
-        } else {
-          pred.predicted = {};
-          pred.lower = {};
-          pred.upper = {};
-          selectedCountries.forEach((c) => {
-            pred.predicted[c] = 0;
-            pred.lower[c] = 0;
-            pred.upper[c] = 0;
-          });
-        }
-
         const actualRow = yearIndex[year];
         if (actualRow?.data) {
           pred.actualData = getPopulationStock(
             actualRow.data,
-            selectedCountries
+            selectedCountries,
+            indicators.state
           );
         }
 
+        if (sexResults?.[step]) {
+          const actualShare = {};
+          if (actualRow?.data) {
+            const actualWomen = getPopulationStock(
+              actualRow.data,
+              selectedCountries,
+              indicators.state,
+              "Women"
+            );
+            selectedCountries.forEach((c) => {
+              actualShare[c] =
+                actualWomen[c] > 0
+                  ? womenShare(actualWomen[c], pred.actualData[c])
+                  : null;
+            });
+          }
+          pred.bySex = { ...sexResults[step], actualShare };
+        }
+
         allPredictions.push(pred);
       }
 
+      // Observed stock up to the input year, for the baselines and MASE
+      const historyYears = Object.keys(yearIndex)
+        .map(Number)
+        .filter((y) => y <= startYr && yearIndex[y]?.data)
+        .sort((a, b) => a - b);
+      const historyStocks = historyYears.map((y) =>
+        getPopulationStock(
+          yearIndex[y].data,
+          selectedCountries,
+          indicators.state
+        )
+      );
+      const histories = Object.fromEntries(
+        selectedCountries.map((c) => [
+          c,
+          historyYears.map((year, k) => ({
+            year,
+            value: historyStocks[k][c],
+          })),
+        ])
+      );
+      setBaselineRuns(
+        Object.fromEntries(
+          Object.keys(BASELINES).map((method) => [
+            method,
+            baselinePredictions(
+              method,
+              histories,
+              allPredictions,
+              selectedCountries
+            ),
+          ])
+        )
+      );
+
       setPredictions(allPredictions);
       setAverageTransitionMatrix(finalAvgMatrix);
+      setForecastMatrices(yearMatrices);
+      setOpenSystem(open);
+
+      // Scenario: the steps an intervention covers are re-estimated with
+      // its gravity weights; the fitted matrix has no weights, so only
+      // pulses apply to it
+      const activeInterventions = interventions.filter(
+        (iv) =>
+          (iv.type === "closeCorridor"
+            ? [iv.origin, iv.dest]
+            : [iv.dest]
+          ).every((c) => selectedCountries.includes(c)) &&
+          !(estimator === "fitted" && changesWeights(iv))
+      );
+      if (activeInterventions.length) {
+        const asForecast = (inputs) =>
+          inputs.open
+            ? { matrix: inputs.open.rows, yearMatrices: inputs.open.yearRows }
+            : {
+                matrix: inputs.finalAvgMatrix,
+                yearMatrices: inputs.yearMatrices,
+              };
+        const scenario = scenarioInputs({
+          baseline: asForecast({ open, finalAvgMatrix, yearMatrices }),
+          estimate: (weighted) =>
+            asForecast(
+              buildModelInputs("Total", (origin, dest) =>
+                weightFactor(weighted, origin, dest)
+              )
+            ),
+          interventions: activeInterventions,
+          startYear: startYr,
+          steps: Math.ceil(horizon),
+        });
+        const scenarioModel = open
+          ? { open: { ...open, yearRows: scenario.yearMatrices } }
+          : { finalAvgMatrix, yearMatrices: scenario.yearMatrices };
+        const results = await runEnsemble(
+          {
+            ...timeParams({ ...scenarioModel, concentration }),
+            pulses: scenario.pulses,
+            initPop,
+            startYear: startYr,
+            ensembleSize,
+            seed: seedToUse,
+          },
+          75,
+          15,
+          "scenario ensemble"
+        );
+        setScenarioRun({ results, interventions: activeInterventions });
+      }
 
       setModelProgress(90);
       setModelStage("Calculating metrics...");
 
-      const validationPredictions = allPredictions.filter(
-        (p) => p.phase === "prediction" && p.actualData
+      // MASE scale: in-sample one-year changes up to the input year
+      const scales = Object.fromEntries(
+        selectedCountries.map((c) => [
+          c,
+          naiveScale(
+            histories[c].map((h) => h.value),
+            histories[c].map((h) => h.year)
+          ),
+        ])
       );
-
-      if (validationPredictions.length > 0) {
-        const metrics = calculateMetrics(
-          validationPredictions,
-          selectedCountries
-        );
-        setValidationMetrics(metrics);
-      }
+      const { metrics, evaluation } = scorePredictions(allPredictions, scales);
+      setValidationMetrics(metrics);
+      setForecastEvaluation(evaluation);
+
+      editRunRef.current = {
+        params: {
+          initPop,
+          selectedCountries,
+          startYear: startYr,
+          ensembleSize,
+          seed: seedToUse,
+        },
+        toParams: (matrix) =>
+          timeParams({
+            finalAvgMatrix: matrix,
+            yearMatrices: null,
+            concentration,
+          }),
+        generatorReport: continuous
+          ? (matrix) => ({ ...toGenerator(matrix, false), solver: odeSolver })
+          : null,
+        scales,
+        snapshot: {
+          predictions: allPredictions,
+          metrics,
+          evaluation,
+          generatorReport: runGeneratorReport,
+        },
+      };
 
       setModelProgress(100);
       setModelStage("Complete!");
@@ -1032,10 +2015,16 @@ function AppInner() {
         });
       }, 500);
     } catch (error) {
-      console.error("Model generation failed:", error);
       setModelRunning(false);
+      if (error?.cancelled) {
+        setModelStage("Run cancelled");
+        setModelProgress(0);
+        return;
+      }
+      console.error("Model generation failed:", error);
       alert("Failed to generate predictions: " + error.message);
     } finally {
+      if (runRef.current === run) runRef.current = null;
       setTimeout(() => setModelRunning(false), 500);
     }
   };
@@ -1132,7 +2121,7 @@ function AppInner() {
                 <ul className="space-y-2 text-sm text-slate-300">
                   {[
                     "Uses transition matrices to model migration flows between countries",
-                    "Incorporates geographic distance and connectivity between nations",
+                    "Incorporates geographic distance and bilateral ties (borders, language, colonial history, free movement)",
                     "Ensemble approach provides uncertainty estimates",
                     "Data sourced from OECD International Migration Database",
                   ].map((item, i) => (
@@ -1147,6 +2136,27 @@ function AppInner() {
           )}
         </AnimatePresence>
 
+        {/* Data Diagnostics */}
+        {!loadingData && (
+          <DataDiagnosticsPanel
+            diagnostics={dataDiagnostics}
+            manifest={manifest}
+            unknownCountries={unknownCountries}
+          />
+        )}
+
+        {/* Data Import */}
+        {!loadingData && (
+          <ImportWizard
+            imports={importedDatasets}
+            resolveCountry={resolveCountry}
+            onImport={(imp) => setImportedDatasets((prev) => [...prev, imp])}
+            onRemove={(id) =>
+              setImportedDatasets((prev) => prev.filter((d) => d.id !== id))
+            }
+          />
+        )}
+
         {/* Country Selection - Enhanced Grid Layout */}
         <motion.div
           variants={fadeInUp}
@@ -1155,9 +2165,7 @@ function AppInner() {
           className="mb-6 p-4 bg-slate-800 rounded-lg border border-slate-700"
         >
           <div className="flex items-center justify-between mb-3">
-            <h3 className="font-bold text-lg">
-              Select Countries (minimum 2, maximum 6)
-            </h3>
+            <h3 className="font-bold text-lg">Select Countries (minimum 2)</h3>
             <motion.span
               key={selectedCountries.length}
               initial={{ scale: 1.2, color: "#34d399" }}
@@ -1172,11 +2180,47 @@ function AppInner() {
                   : "text-orange-400"
               }`}
             >
-              {selectedCountries.length}/6 selected
+              {selectedCountries.length}/{allCountries.length} selected
               {selectedCountries.length < 2 && " (need at least 2)"}
             </motion.span>
           </div>
 
+          {/* Bulk selection: everything, nothing or one region */}
+          {!loadingData && allCountries.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+              <button
+                onClick={() => setSelectedCountries(allCountries)}
+                className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded transition-colors"
+              >
+                Select all
+              </button>
+              <button
+                onClick={() => setSelectedCountries([])}
+                disabled={!selectedCountries.length}
+                className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded transition-colors"
+              >
+                Clear
+              </button>
+              <select
+                value=""
+                onChange={(e) =>
+                  setSelectedCountries(regionMembers(e.target.value))
+                }
+                className="px-2 py-1.5 bg-slate-700 rounded border border-slate-600 text-white"
+              >
+                <option value="">Region preset…</option>
+                {REGIONS.map((region) => {
+                  const count = regionMembers(region).length;
+                  return (
+                    <option key={region} value={region} disabled={!count}>
+                      {region} ({count})
+                    </option>
+                  );
+                })}
+              </select>
+            </div>
+          )}
+
           {loadingData ? (
             <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-2">
               {Array(24)
@@ -1191,8 +2235,8 @@ function AppInner() {
           ) : allCountries.length === 0 ? (
             <div className="text-red-400 text-center py-4">
               <AlertCircle className="inline mr-2" size={20} />
-              No countries loaded. Check that CSV files are in the public
-              folder.
+              No countries loaded. Check that datasets.json and the CSV files it
+              lists are in the public folder.
             </div>
           ) : (
             <motion.div
@@ -1203,7 +2247,6 @@ function AppInner() {
             >
               {allCountries.map((country, idx) => {
                 const isSelected = selectedCountries.includes(country);
-                const canSelect = selectedCountries.length < 6;
                 return (
                   <motion.button
                     key={country}
@@ -1212,29 +2255,24 @@ function AppInner() {
                         setSelectedCountries(
                           selectedCountries.filter((c) => c !== country)
                         );
-                      } else if (canSelect) {
+                      } else {
                         setSelectedCountries([...selectedCountries, country]);
                       }
                     }}
-                    disabled={!isSelected && !canSelect}
                     initial={{ opacity: 0, y: 10 }}
                     animate={{
                       opacity: 1,
                       y: 0,
                       transition: { delay: idx * 0.02 },
                     }}
-                    whileHover={
-                      isSelected || canSelect ? { scale: 1.03, y: -2 } : {}
-                    }
-                    whileTap={isSelected || canSelect ? { scale: 0.97 } : {}}
+                    whileHover={{ scale: 1.03, y: -2 }}
+                    whileTap={{ scale: 0.97 }}
                     className={`
                       px-3 py-2 rounded text-sm font-medium transition-all duration-200
                       ${
                         isSelected
                           ? "bg-gradient-to-r from-green-600 to-emerald-500 text-white shadow-lg ring-2 ring-green-400/50"
-                          : canSelect
-                          ? "bg-slate-700 hover:bg-slate-600 text-slate-100"
-                          : "bg-slate-700/50 text-slate-500 cursor-not-allowed opacity-50"
+                          : "bg-slate-700 hover:bg-slate-600 text-slate-100"
                       }
                     `}
                   >
@@ -1363,6 +2401,293 @@ function AppInner() {
               )}
             </div>
 
+            {/* Model Indicators */}
+            {[
+              ["state", "State Variable", STATE_INDICATORS],
+              ["inflow", "Inflow Driver (attractiveness)", INFLOW_DRIVERS],
+              ["outflow", "Outflow Driver (stay probability)", OUTFLOW_DRIVERS],
+            ].map(([role, label, options]) => (
+              <div key={role}>
+                <label className="text-sm text-slate-400 mb-2 block">
+                  {label}
+                </label>
+                <select
+                  value={indicators[role]}
+                  onChange={(e) =>
+                    setIndicators((prev) => ({
+                      ...prev,
+                      [role]: e.target.value,
+                    }))
+                  }
+                  className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+                >
+                  {options.map((key) => (
+                    <option key={key} value={key}>
+                      {INDICATORS[key].label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+
+            {/* Transition Estimator */}
+            <div>
+              <label className="text-sm text-slate-400 mb-2 block">
+                Transition Estimator
+              </label>
+              <select
+                value={estimator}
+                onChange={(e) => setEstimator(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+              >
+                {Object.entries(ESTIMATORS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {estimator === "fitted" && (
+              <TooltipSlider
+                label={`Fit Iterations: ${fitIterations}`}
+                value={fitIterations}
+                onChange={(e) => setFitIterations(parseInt(e.target.value, 10))}
+                min="100"
+                max="5000"
+                step="100"
+                tooltip="Cap on the least-squares solver's steps; the fit runs on the page, once per backtest origin"
+              />
+            )}
+
+            {/* Matrix Aggregation */}
+            <div>
+              <label className="text-sm text-slate-400 mb-2 block">
+                Matrix Aggregation
+              </label>
+              <select
+                value={aggregationMode}
+                onChange={(e) => setAggregationMode(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+              >
+                {Object.entries(AGGREGATION_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {estimator === "fitted" && aggregationMode !== "equal" && (
+                <p className="text-xs text-slate-400 mt-1">
+                  The least-squares fit is one matrix; aggregation only sets its
+                  starting point.
+                </p>
+              )}
+            </div>
+
+            {aggregationMode === "exponential" && (
+              <TooltipSlider
+                label={`Weight Half-Life: ${weightHalfLife} yrs`}
+                value={weightHalfLife}
+                onChange={(e) => setWeightHalfLife(parseFloat(e.target.value))}
+                min="0.5"
+                max="10"
+                step="0.5"
+                tooltip="A training year's weight halves every this many years before the latest one"
+              />
+            )}
+
+            {/* System Boundary */}
+            <div>
+              <label className="text-sm text-slate-400 mb-2 block">
+                System Boundary
+              </label>
+              <select
+                value={systemMode}
+                onChange={(e) => setSystemMode(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+              >
+                {Object.entries(SYSTEM_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {systemMode === "open" && (
+              <div>
+                <label className="flex items-center gap-2 text-sm text-slate-400 mb-2">
+                  <input
+                    type="checkbox"
+                    checked={internalShare !== null}
+                    onChange={(e) =>
+                      setInternalShare(
+                        e.target.checked
+                          ? openSystem?.estimatedShare ?? DEFAULT_INTERNAL_SHARE
+                          : null
+                      )
+                    }
+                    className="accent-green-500"
+                  />
+                  Set the internal move share by hand
+                </label>
+                {internalShare !== null && (
+                  <TooltipSlider
+                    label={`Internal Move Share: ${internalShare.toFixed(2)}`}
+                    value={internalShare}
+                    onChange={(e) =>
+                      setInternalShare(parseFloat(e.target.value))
+                    }
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    tooltip="Share of emigrants moving to another selected country; the rest leave for the Rest of World"
+                  />
+                )}
+                <p className="text-xs text-slate-400">
+                  Estimated from the inflow and outflow columns:{" "}
+                  {Number.isFinite(openSystem?.estimatedShare)
+                    ? openSystem.estimatedShare.toFixed(2)
+                    : "after the next run"}
+                </p>
+              </div>
+            )}
+
+            {/* Time Mode */}
+            <div>
+              <label className="text-sm text-slate-400 mb-2 block">
+                Time Mode
+              </label>
+              <select
+                value={timeMode}
+                onChange={(e) => setTimeMode(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+              >
+                {Object.entries(TIME_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {timeMode === "continuous" && (
+              <>
+                {/* ODE Solver */}
+                <div>
+                  <label className="text-sm text-slate-400 mb-2 block">
+                    ODE Solver
+                  </label>
+                  <select
+                    value={odeSolver}
+                    onChange={(e) => setOdeSolver(e.target.value)}
+                    className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+                  >
+                    {Object.entries(ODE_SOLVERS).map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Output Interval */}
+                <div>
+                  <label className="text-sm text-slate-400 mb-2 block">
+                    Output Interval
+                  </label>
+                  <select
+                    value={outputInterval}
+                    onChange={(e) => setOutputInterval(Number(e.target.value))}
+                    className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+                  >
+                    {OUTPUT_INTERVALS.map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Fractional Horizon */}
+                <div>
+                  <label className="text-sm text-slate-400 mb-2 block">
+                    Horizon Beyond Target Year
+                  </label>
+                  <select
+                    value={horizonOffset}
+                    onChange={(e) => setHorizonOffset(Number(e.target.value))}
+                    className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+                  >
+                    {[0, 0.25, 0.5, 0.75].map((v) => (
+                      <option key={v} value={v}>
+                        +{v} year
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            )}
+
+            {/* Missing Values */}
+            <div>
+              <label className="text-sm text-slate-400 mb-2 block">
+                Missing Values
+              </label>
+              <select
+                value={imputationMethod}
+                onChange={(e) => setImputationMethod(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+              >
+                {Object.entries(IMPUTATION_METHODS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {imputation.imputedCount > 0 && (
+                <p className="text-xs text-slate-400 mt-1">
+                  {imputation.imputedCount.toLocaleString()} cells imputed
+                </p>
+              )}
+            </div>
+
+            {/* Sex Breakdown */}
+            <div>
+              <label className="text-sm text-slate-400 mb-2 block">
+                Population Breakdown
+              </label>
+              <select
+                value={sexMode}
+                onChange={(e) => setSexMode(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+              >
+                {Object.entries(SEX_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Distance Basis */}
+            <div>
+              <label className="text-sm text-slate-400 mb-2 block">
+                Distances Between
+              </label>
+              <select
+                value={distanceBasis}
+                onChange={(e) => setDistanceBasis(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+              >
+                {Object.entries(DISTANCE_BASES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* Distance Effect with Tooltip */}
             <TooltipSlider
               label={`Distance Effect: ${distanceEffect.toFixed(2)}`}
@@ -1374,17 +2699,38 @@ function AppInner() {
               tooltip="Higher values = distance matters more"
             />
 
-            {/* Connectivity Effect with Tooltip */}
+            {/* Connectivity Effects (one β per tie) */}
+            {TIE_KEYS.map((key) => (
+              <TooltipSlider
+                key={key}
+                label={`β ${TIE_TYPES[key].label}: ${tieCoefficients[
+                  key
+                ].toFixed(2)}`}
+                value={tieCoefficients[key]}
+                onChange={(e) =>
+                  setTieCoefficients((prev) => ({
+                    ...prev,
+                    [key]: parseFloat(e.target.value),
+                  }))
+                }
+                min="0"
+                max="1"
+                step="0.01"
+                tooltip={`Weight boost when: ${TIE_TYPES[
+                  key
+                ].description.toLowerCase()}`}
+              />
+            ))}
+
+            {/* Stay Probability Floor */}
             <TooltipSlider
-              label={`Connectivity Effect: ${connectivityEffect.toFixed(2)}`}
-              value={connectivityEffect}
-              onChange={(e) =>
-                setConnectivityEffect(parseFloat(e.target.value))
-              }
+              label={`Stay Floor: ${stayFloor.toFixed(2)}`}
+              value={stayFloor}
+              onChange={(e) => setStayFloor(parseFloat(e.target.value))}
               min="0"
-              max="1"
+              max="0.95"
               step="0.01"
-              tooltip="Boost for neighboring countries"
+              tooltip="Minimum probability of staying in the origin country"
             />
 
             {/* Ensemble Size with Tooltip */}
@@ -1398,6 +2744,51 @@ function AppInner() {
               tooltip="More members = better uncertainty estimates but slower"
             />
 
+            {/* Dirichlet Concentration */}
+            <div>
+              <label className="text-sm text-slate-400 mb-2 block">
+                Row Uncertainty (Dirichlet κ)
+              </label>
+              <select
+                value={concentrationMode}
+                onChange={(e) => setConcentrationMode(e.target.value)}
+                className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
+              >
+                {Object.entries(CONCENTRATION_MODES).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {Array.isArray(usedConcentration) && (
+                <p className="text-xs text-slate-400 mt-2">
+                  κ per origin:{" "}
+                  {selectedCountries
+                    .map(
+                      (c, i) =>
+                        `${c} ${Math.round(
+                          usedConcentration[i] ?? 0
+                        ).toLocaleString()}`
+                    )
+                    .join(" · ")}
+                </p>
+              )}
+            </div>
+
+            {concentrationMode === "fixed" && (
+              <TooltipSlider
+                label={`Concentration κ: ${fixedConcentration}`}
+                value={fixedConcentration}
+                onChange={(e) =>
+                  setFixedConcentration(parseInt(e.target.value))
+                }
+                min="10"
+                max="2000"
+                step="10"
+                tooltip="Pseudo-count behind every row: higher = narrower intervals"
+              />
+            )}
+
             {/* RNG Seed */}
             <div>
               <label className="text-sm text-slate-400 mb-2 block">
@@ -1407,7 +2798,7 @@ function AppInner() {
                 type="text"
                 value={rngSeed}
                 onChange={(e) => setRngSeed(e.target.value)}
-                placeholder="Leave empty for random"
+                placeholder="Leave empty for a generated seed"
                 className="w-full px-3 py-2 bg-slate-700 rounded border border-slate-600 text-white focus:ring-2 focus:ring-green-500 transition-all"
               />
             </div>
@@ -1440,6 +2831,53 @@ function AppInner() {
               </div>
             </motion.div>
           )}
+
+          {/* Economic and demographic covariates */}
+          {selectedCountries.length >= 2 && (
+            <CovariatesPanel
+              data={covariateData}
+              onLoad={setCovariateData}
+              active={activeCovariates}
+              onActive={setActiveCovariates}
+              coefficients={covariateCoefficients}
+              onCoefficients={setCovariateCoefficients}
+              buildContext={buildCalibrationContext}
+              base={{
+                alpha: distanceEffect,
+                betas: tieCoefficients,
+                stayFloor,
+              }}
+              resolveCountry={resolveCountry}
+            />
+          )}
+
+          {/* Coefficient Calibration */}
+          {selectedCountries.length >= 2 && (
+            <CalibrationPanel
+              buildContext={buildCalibrationContext}
+              initial={{
+                alpha: distanceEffect,
+                betas: tieCoefficients,
+                stayFloor,
+              }}
+              onApply={applyCalibration}
+            />
+          )}
+
+          {/* What-if interventions */}
+          {selectedCountries.length >= 2 && (
+            <ScenarioEditor
+              interventions={interventions}
+              onChange={setInterventions}
+              countries={selectedCountries}
+              weightsFixed={estimator === "fitted"}
+              firstYear={
+                (inputMode === "single"
+                  ? inputYear
+                  : Math.max(...inputYearsMulti, 0)) + 1
+              }
+            />
+          )}
         </motion.div>
 
         {/* Run Button */}
@@ -1497,6 +2935,15 @@ function AppInner() {
                 >
                   {modelStage}
                 </motion.p>
+                <div className="flex justify-center mt-2">
+                  <button
+                    onClick={cancelRun}
+                    className="px-4 py-1.5 bg-slate-700 hover:bg-slate-600 rounded text-sm text-slate-200 transition-colors flex items-center gap-1"
+                  >
+                    <XCircle size={14} />
+                    Cancel run
+                  </button>
+                </div>
               </motion.div>
             )}
           </AnimatePresence>
@@ -1514,6 +2961,15 @@ function AppInner() {
           )}
         </motion.div>
 
+        {/* Rolling-Origin Backtest */}
+        {!loadingData && selectedCountries.length >= 2 && (
+          <BacktestPanel
+            runBacktest={runRollingBacktest}
+            countries={selectedCountries}
+            colors={colors}
+          />
+        )}
+
         {/* Results Section */}
         <AnimatePresence>
           {resultsReady && (
@@ -1595,6 +3051,25 @@ function AppInner() {
                 </div>
               )}
 
+              {/* Per-country, per-horizon and probabilistic scores */}
+              <ForecastEvaluationPanel
+                evaluation={forecastEvaluation}
+                countries={selectedCountries}
+              />
+
+              {/* Markov ensemble against the baseline forecasters */}
+              <LeaderboardPanel
+                runs={
+                  baselineRuns && {
+                    [MARKOV_MODEL]: predictions,
+                    ...baselineRuns,
+                  }
+                }
+                countries={selectedCountries}
+                chartModel={chartModel}
+                onChartModel={setChartModel}
+              />
+
               {/* Model Summary Card */}
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
@@ -1644,12 +3119,13 @@ function AppInner() {
                   >
                     <p className="text-xs text-slate-400">Prediction Steps</p>
                     <p className="text-lg font-semibold text-white">
-                      {targetYear -
-                        (inputMode === "single"
-                          ? inputYear
-                          : Math.max(...inputYearsMulti))}{" "}
-                      years
+                      {predictionHorizon} years
                     </p>
+                    {generatorReport && (
+                      <p className="text-xs text-slate-400">
+                        {predictions.length - 1} outputs
+                      </p>
+                    )}
                   </motion.div>
 
                   <motion.div
@@ -1674,6 +3150,11 @@ function AppInner() {
                     <p className="text-lg font-semibold text-white">
                       {ensembleSize} members
                     </p>
+                    <p className="text-xs text-slate-400">
+                      {Array.isArray(usedConcentration)
+                        ? "κ from flow counts"
+                        : `κ = ${usedConcentration ?? fixedConcentration}`}
+                    </p>
                   </motion.div>
 
                   <motion.div
@@ -1686,6 +3167,13 @@ function AppInner() {
                     <p className="text-lg font-semibold text-white">
                       Markov Chain
                     </p>
+                    <p className="text-xs text-slate-400">
+                      {ESTIMATORS[fitReport?.matrix ? "fitted" : "gravity"]}
+                      {generatorReport &&
+                        ` · continuous time (${ODE_SOLVERS[
+                          generatorReport.solver
+                        ].toLowerCase()})`}
+                    </p>
                   </motion.div>
                 </div>
 
@@ -1700,13 +3188,40 @@ function AppInner() {
                     <span className="px-2 py-1 bg-slate-700 rounded">
                       Distance: <strong>{distanceEffect.toFixed(2)}</strong>
                     </span>
+                    {TIE_KEYS.map((key) => (
+                      <span
+                        key={key}
+                        className="px-2 py-1 bg-slate-700 rounded"
+                      >
+                        β {TIE_TYPES[key].label}:{" "}
+                        <strong>{tieCoefficients[key].toFixed(2)}</strong>
+                      </span>
+                    ))}
+                    <span className="px-2 py-1 bg-slate-700 rounded">
+                      Stay floor: <strong>{stayFloor.toFixed(2)}</strong>
+                    </span>
                     <span className="px-2 py-1 bg-slate-700 rounded">
-                      Connectivity:{" "}
-                      <strong>{connectivityEffect.toFixed(2)}</strong>
+                      Aggregation:{" "}
+                      <strong>{AGGREGATION_MODES[aggregationMode]}</strong>
                     </span>
                     <span className="px-2 py-1 bg-slate-700 rounded">
-                      Seed: <strong>{rngSeed || "Random"}</strong>
+                      Seed: <strong>{usedSeed.value}</strong>
+                      {usedSeed.generated && " (generated)"}
                     </span>
+                    {[
+                      ["state", "State"],
+                      ["inflow", "Inflow driver"],
+                      ["outflow", "Outflow driver"],
+                    ].map(([role, label]) => (
+                      <span
+                        key={role}
+                        className="px-2 py-1 bg-slate-700 rounded"
+                        title={INDICATORS[indicators[role]].label}
+                      >
+                        {label}:{" "}
+                        <strong>{INDICATORS[indicators[role]].axis}</strong>
+                      </span>
+                    ))}
                   </div>
                 </motion.div>
               </motion.div>
@@ -1724,10 +3239,100 @@ function AppInner() {
                     <TrendingUp size={20} />
                     Predictions with Uncertainty
                   </h3>
+                  <div className="flex items-center gap-2 text-xs">
+                    {baselineRuns && (
+                      <select
+                        value={chartModel}
+                        onChange={(e) => setChartModel(e.target.value)}
+                        className="px-2 py-1 bg-slate-700 rounded border border-slate-600 text-white mr-2"
+                        title="Model drawn as the predicted lines"
+                      >
+                        <option value={MARKOV_MODEL}>Markov ensemble</option>
+                        {Object.entries(BASELINES).map(([key, label]) => (
+                          <option key={key} value={key}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                    {chartRun ? (
+                      <span className="text-slate-400">
+                        Point forecast, no credible bands
+                      </span>
+                    ) : (
+                      <span className="text-slate-400">Credible bands:</span>
+                    )}
+                    {!chartRun &&
+                      BAND_LEVELS.map((level) => {
+                        const on = shownBands.includes(level);
+                        return (
+                          <button
+                            key={level}
+                            onClick={() =>
+                              setShownBands((prev) =>
+                                on
+                                  ? prev.filter((l) => l !== level)
+                                  : [...prev, level]
+                              )
+                            }
+                            className={`px-2 py-1 rounded border transition-all ${
+                              on
+                                ? "bg-green-600/30 border-green-500 text-white"
+                                : "bg-slate-700 border-slate-600 text-slate-400"
+                            }`}
+                          >
+                            {level}%
+                          </button>
+                        );
+                      })}
+                  </div>
                 </div>
 
+                {selectedCountries.length > 2 && (
+                  <div className="flex flex-wrap items-center gap-1 mb-4 text-xs">
+                    <span className="text-slate-400 mr-1">Highlight:</span>
+                    <button
+                      onClick={() => setHighlightedCountries([])}
+                      className={`px-2 py-1 rounded border transition-all ${
+                        !highlighted.length
+                          ? "bg-green-600/30 border-green-500 text-white"
+                          : "bg-slate-700 border-slate-600 text-slate-400"
+                      }`}
+                    >
+                      All
+                    </button>
+                    {selectedCountries.map((country, idx) => {
+                      const on = highlighted.includes(country);
+                      return (
+                        <button
+                          key={country}
+                          onClick={() =>
+                            setHighlightedCountries(
+                              on
+                                ? highlighted.filter((c) => c !== country)
+                                : [...highlighted, country]
+                            )
+                          }
+                          className={`px-2 py-1 rounded border transition-all ${
+                            on
+                              ? "bg-slate-600 text-white"
+                              : "bg-slate-700 border-slate-600 text-slate-400"
+                          }`}
+                          style={
+                            on
+                              ? { borderColor: colors[idx % colors.length] }
+                              : undefined
+                          }
+                        >
+                          {country}
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+
                 <ResponsiveContainer width="100%" height={500}>
-                  <LineChart
+                  <ComposedChart
                     data={chartDataWithUncertainty}
                     margin={{ top: 10, right: 30, left: 60, bottom: 30 }}
                   >
@@ -1748,7 +3353,7 @@ function AppInner() {
                       style={{ fontSize: "13px" }}
                       tickFormatter={(val) => val.toLocaleString()}
                       label={{
-                        value: "Population",
+                        value: INDICATORS[indicators.state].axis,
                         angle: -90,
                         position: "insideLeft",
                         style: { fill: "#94a3b8", textAnchor: "middle" },
@@ -1760,38 +3365,76 @@ function AppInner() {
                         border: "1px solid #475569",
                         borderRadius: "8px",
                       }}
-                      formatter={(val) => val.toLocaleString()}
+                      formatter={formatChartValue}
                     />
                     <Legend wrapperStyle={{ paddingTop: "20px" }} />
 
-                    {selectedCountries.map((country, idx) => (
-                      <React.Fragment key={country}>
+                    {/* Fan: widest band first so the narrower ones stack darker */}
+                    {selectedCountries.map((country, idx) =>
+                      !inFocus(country)
+                        ? null
+                        : [...shownBands]
+                            .sort((a, b) => b - a)
+                            .map((level) => (
+                              <Area
+                                key={`${country}_band${level}`}
+                                type="monotone"
+                                dataKey={`${country}_band${level}`}
+                                stroke="none"
+                                fill={colors[idx % colors.length]}
+                                fillOpacity={0.12}
+                                legendType="none"
+                                tooltipType="none"
+                                isAnimationActive={false}
+                              />
+                            ))
+                    )}
+
+                    {selectedCountries.map((country, idx) =>
+                      !inFocus(country) ? (
                         <Line
+                          key={country}
                           type="monotone"
                           dataKey={country}
-                          stroke={colors[idx % colors.length]}
-                          strokeWidth={2.5}
-                          dot={
-                            <PredictedDot fill={colors[idx % colors.length]} />
-                          }
-                          name={`${country} (Predicted)`}
-                          animationDuration={1000}
+                          stroke="#475569"
+                          strokeWidth={1}
+                          dot={false}
+                          legendType="none"
+                          tooltipType="none"
+                          isAnimationActive={false}
                         />
-                        <Line
-                          type="monotone"
-                          dataKey={`${country}_actual`}
-                          stroke={colors[idx % colors.length]}
-                          strokeWidth={2.5}
-                          strokeDasharray="8 4"
-                          dot={
-                            <ActualDot stroke={colors[idx % colors.length]} />
-                          }
-                          name={`${country} (Actual)`}
-                          animationDuration={1000}
-                        />
-                      </React.Fragment>
-                    ))}
-                  </LineChart>
+                      ) : (
+                        <React.Fragment key={country}>
+                          <Line
+                            type="monotone"
+                            dataKey={country}
+                            stroke={colors[idx % colors.length]}
+                            strokeWidth={2.5}
+                            dot={
+                              <PredictedDot
+                                fill={colors[idx % colors.length]}
+                              />
+                            }
+                            name={`${country} (Predicted)`}
+                            animationDuration={1000}
+                          />
+                          <Line
+                            type="monotone"
+                            dataKey={`${country}_actual`}
+                            stroke={colors[idx % colors.length]}
+                            strokeWidth={2.5}
+                            strokeDasharray="8 4"
+                            dot={
+                              <ActualDot stroke={colors[idx % colors.length]} />
+                            }
+                            name={`${country} (Actual)`}
+                            connectNulls={Boolean(generatorReport)}
+                            animationDuration={1000}
+                          />
+                        </React.Fragment>
+                      )
+                    )}
+                  </ComposedChart>
                 </ResponsiveContainer>
 
                 {/* Visual Guide */}
@@ -1821,17 +3464,42 @@ function AppInner() {
                         <div className="w-2 h-2 rounded-full -ml-1 border-2 border-green-500"></div>
                       </div>
                       <span>
-                        Actual observed values (dashed line with hollow dots)
+                        Actual values (dashed line with hollow dots); the
+                        tooltip marks imputed ones
                       </span>
                     </div>
                     <div className="flex items-center gap-2">
                       <div className="w-8 h-8 bg-gradient-to-b from-green-500/20 to-transparent"></div>
-                      <span>95% credible interval (shaded region)</span>
+                      <span>
+                        Credible bands from the ensemble quantiles; each
+                        narrower level shades darker
+                      </span>
                     </div>
                   </div>
                 </div>
               </motion.div>
 
+              {/* Baseline against the what-if run */}
+              <ScenarioComparisonPanel
+                baseline={predictions}
+                scenario={editedMatrix ? null : scenarioRun}
+                countries={selectedCountries}
+              />
+
+              {/* Net growth of the open system */}
+              <NetGrowthPanel
+                predictions={predictions}
+                system={openSystem}
+                countries={selectedCountries}
+              />
+
+              {/* Share of Women (sex-disaggregated runs) */}
+              <WomenSharePanel
+                predictions={predictions}
+                countries={selectedCountries}
+                colors={colors}
+              />
+
               {/* Transition Matrix */}
               {averageTransitionMatrix && (
                 <motion.div
@@ -1841,7 +3509,64 @@ function AppInner() {
                   className="mb-6"
                 >
                   <div className="flex items-center justify-between mb-3">
-                    <h3 className="font-bold">Average Transition Matrix</h3>
+                    <h3 className="font-bold">
+                      {forecastMatrices
+                        ? "Transition Matrix by Forecast Year"
+                        : "Average Transition Matrix"}
+                      {editedMatrix && (
+                        <span className="ml-2 text-xs font-normal text-amber-400">
+                          edited
+                        </span>
+                      )}
+                    </h3>
+                    {matrixEditable && showMatrix && (
+                      <div className="ml-auto mr-3 flex items-center gap-2">
+                        {editHistory.length > 0 && (
+                          <>
+                            <button
+                              onClick={undoMatrixEdit}
+                              className="px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors flex items-center gap-1"
+                              title="Undo the last edit"
+                            >
+                              <Undo2 size={14} />
+                              Undo
+                            </button>
+                            <button
+                              onClick={resetMatrixEdits}
+                              className="px-3 py-2 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors flex items-center gap-1"
+                              title="Back to the estimated matrix"
+                            >
+                              <RotateCcw size={14} />
+                              Reset
+                            </button>
+                          </>
+                        )}
+                        <button
+                          onClick={() => setEditingMatrix(!editingMatrix)}
+                          className={`px-3 py-2 rounded text-sm transition-colors ${
+                            editingMatrix
+                              ? "bg-amber-600/30 border border-amber-500 text-white"
+                              : "bg-slate-700 hover:bg-slate-600"
+                          }`}
+                        >
+                          {editingMatrix ? "Done editing" : "Edit"}
+                        </button>
+                      </div>
+                    )}
+                    {forecastMatrices && showMatrix && (
+                      <select
+                        value={matrixStep}
+                        onChange={(e) => setMatrixStep(Number(e.target.value))}
+                        className="ml-auto mr-3 px-2 py-1.5 bg-slate-700 rounded border border-slate-600 text-white text-sm"
+                      >
+                        {forecastMatrices.map((_, k) => (
+                          <option key={k} value={k}>
+                            {predictions[0]?.year + k} →{" "}
+                            {predictions[0]?.year + k + 1}
+                          </option>
+                        ))}
+                      </select>
+                    )}
                     <button
                       onClick={() => setShowMatrix(!showMatrix)}
                       className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors"
@@ -1860,78 +3585,84 @@ function AppInner() {
                         ref={matrixRef}
                         className="overflow-x-auto bg-slate-800 p-4 rounded-lg border border-slate-700"
                       >
-                        <table className="w-full text-sm border-collapse">
-                          <thead>
-                            <tr>
-                              <th className="p-2 bg-slate-700 border border-slate-600 sticky left-0 z-10">
-                                From \ To
-                              </th>
-                              {selectedCountries.map((c, idx) => (
-                                <th
-                                  key={c}
-                                  className="p-2 bg-slate-700 border border-slate-600 text-center"
-                                  style={{
-                                    color: colors[idx % colors.length],
-                                  }}
-                                >
-                                  {c}
+                        {matrixRows.length > VIRTUAL_MATRIX_ABOVE ? (
+                          <VirtualMatrix
+                            rowLabels={matrixRows}
+                            columnLabels={matrixRows}
+                            cell={matrixCell}
+                            cellWidth={
+                              editingMatrix && matrixEditable ? 120 : 96
+                            }
+                          />
+                        ) : (
+                          <table className="w-full text-sm border-collapse">
+                            <thead>
+                              <tr>
+                                <th className="p-2 bg-slate-700 border border-slate-600 sticky left-0 z-10">
+                                  From \ To
                                 </th>
-                              ))}
-                            </tr>
-                          </thead>
-                          <tbody>
-                            {selectedCountries.map((origin, i) => (
-                              <motion.tr
-                                key={origin}
-                                custom={i}
-                                initial={{ opacity: 0, x: -20 }}
-                                animate={{
-                                  opacity: 1,
-                                  x: 0,
-                                  transition: {
-                                    delay: i * 0.06,
-                                    duration: 0.45,
-                                  },
-                                }}
-                              >
-                                <td
-                                  className="p-2 bg-slate-800 border border-slate-600 font-medium sticky left-0 z-10"
-                                  style={{
-                                    color: colors[i % colors.length],
+                                {matrixRows.map((dest) => (
+                                  <th
+                                    key={dest.label}
+                                    className="p-2 bg-slate-700 border border-slate-600 text-center"
+                                    style={{ color: dest.color }}
+                                  >
+                                    {dest.label}
+                                  </th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {matrixRows.map((origin, i) => (
+                                <motion.tr
+                                  key={origin.label}
+                                  custom={i}
+                                  initial={{ opacity: 0, x: -20 }}
+                                  animate={{
+                                    opacity: 1,
+                                    x: 0,
+                                    transition: {
+                                      delay: i * 0.06,
+                                      duration: 0.45,
+                                    },
                                   }}
                                 >
-                                  {origin}
-                                </td>
-                                {selectedCountries.map((dest, j) => {
-                                  const value =
-                                    averageTransitionMatrix[i]?.[j] ?? 0;
-                                  const isStay = i === j;
-                                  return (
-                                    <td
-                                      key={dest}
-                                      className={`p-2 border border-slate-600 text-center transition-all cursor-pointer hover:bg-slate-700 ${
-                                        isStay ? "font-bold" : ""
-                                      }`}
-                                      style={{
-                                        backgroundColor: isStay
-                                          ? `${colors[i % colors.length]}20`
-                                          : "transparent",
-                                      }}
-                                      title={`${origin} → ${dest}: ${(
-                                        value * 100
-                                      ).toFixed(2)}%`}
-                                    >
-                                      {(value * 100).toFixed(1)}%
-                                    </td>
-                                  );
-                                })}
-                              </motion.tr>
-                            ))}
-                          </tbody>
-                        </table>
+                                  <td
+                                    className="p-2 bg-slate-800 border border-slate-600 font-medium sticky left-0 z-10"
+                                    style={{ color: origin.color }}
+                                  >
+                                    {origin.label}
+                                  </td>
+                                  {matrixRows.map((dest, j) => {
+                                    const cell = matrixCell(i, j);
+                                    return (
+                                      <td
+                                        key={dest.label}
+                                        className={`p-2 border border-slate-600 text-center ${cell.className}`}
+                                        style={cell.style}
+                                        title={cell.title}
+                                      >
+                                        {cell.content}
+                                      </td>
+                                    );
+                                  })}
+                                </motion.tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
                         <p className="text-xs text-slate-400 mt-3">
-                          Hover over cells for details. Diagonal values (same
-                          country) show retention probability.
+                          Hover over cells for details, including which inputs
+                          were imputed. Diagonal values (same country) show
+                          retention probability.
+                          {matrixEditable &&
+                            " Edit a cell to test your own judgement: the rest of its row is rescaled to sum to 100% around any locked cells, and the forecast re-runs at once. Edited cells are marked *."}
+                          {editedMatrix &&
+                            " The women/men breakdown and the scenario comparison are hidden while edits apply."}
+                          {openSystem &&
+                            ` The ${REST_OF_WORLD} column is the yearly exit probability (emigration plus naturalisation); its row splits the ${Math.round(
+                              restOfWorldArrivals
+                            ).toLocaleString()} yearly arrivals across destinations.`}
                         </p>
                       </motion.div>
                     )}
@@ -1939,6 +3670,23 @@ function AppInner() {
                 </motion.div>
               )}
 
+              {/* Least-squares fit residuals */}
+              {fitReport && (
+                <FitResidualsPanel
+                  fit={fitReport}
+                  countries={selectedCountries}
+                  colors={colors}
+                />
+              )}
+
+              {/* Stationary distribution and convergence speed */}
+              <EquilibriumPanel
+                matrix={closedMatrix}
+                countries={selectedCountries}
+                colors={colors}
+                stock={predictions[predictions.length - 1]?.predicted}
+              />
+
               {/* Mathematical Equations Section - Moved After Matrix */}
               <motion.div
                 initial={{ opacity: 0, y: 20 }}
@@ -1969,11 +3717,20 @@ function AppInner() {
                           Markov Chain Propagation
                         </h4>
                         <div className="bg-slate-900 p-3 rounded overflow-x-auto">
-                          <BlockMath math="P_{t+1} = T \cdot P_t" />
+                          <BlockMath
+                            math={
+                              forecastMatrices
+                                ? "P_{t+1} = T_t \\cdot P_t"
+                                : "P_{t+1} = T \\cdot P_t"
+                            }
+                          />
                         </div>
                         <p className="text-xs text-slate-400 mt-2">
-                          Core propagation formula where P is the population
-                          vector and T is the transition matrix
+                          Core propagation formula where P is the vector of{" "}
+                          {INDICATORS[indicators.state].axis.toLowerCase()} by
+                          country and T is the transition matrix
+                          {forecastMatrices &&
+                            ", projected separately for each forecast year from the per-cell trend"}
                         </p>
                       </div>
                     </div>
@@ -2023,11 +3780,13 @@ function AppInner() {
                           Migration Weight Function
                         </h4>
                         <div className="bg-slate-900 p-3 rounded overflow-x-auto">
-                          <BlockMath math="w_{ij} = A_j \cdot e^{-\alpha d_{ij}} \cdot (1 + \beta c_{ij})" />
+                          <BlockMath math="w_{ij} = A_j \cdot e^{-\alpha d_{ij}} \cdot \left(1 + \sum_k \beta_k c^{(k)}_{ij}\right)" />
                         </div>
                         <p className="text-xs text-slate-400 mt-2">
                           Weight combining attractiveness, distance decay (α),
-                          and connectivity bonus (β)
+                          and one bonus β<sub>k</sub> per tie c<sup>(k)</sup>:
+                          land border, shared official language, colonial
+                          history and EU/EEA/Schengen free movement
                         </p>
                       </div>
                     </div>
@@ -2050,11 +3809,22 @@ function AppInner() {
                           Destination Attractiveness
                         </h4>
                         <div className="bg-slate-900 p-3 rounded overflow-x-auto">
-                          <BlockMath math="A_j = \ln(\text{inflow}_j + 10)" />
+                          <BlockMath
+                            math={`A_j = \\ln(\\text{inflow}_j + 10)${covariateMath(
+                              "pull",
+                              "j"
+                            )}`}
+                          />
                         </div>
                         <p className="text-xs text-slate-400 mt-2">
                           Logarithmic attractiveness based on historical inflow
-                          to destination j
+                          to destination j, read from{" "}
+                          {INDICATORS[indicators.inflow].label}
+                          {activeCovariates.length > 0 &&
+                            `, times the pull of the standardised covariates z: ${covariateSummary(
+                              "pull",
+                              "γ"
+                            )}`}
                         </p>
                       </div>
                     </div>
@@ -2077,11 +3847,25 @@ function AppInner() {
                           Stay Probability
                         </h4>
                         <div className="bg-slate-900 p-3 rounded overflow-x-auto">
-                          <BlockMath math="p_{stay} = \max\left(0.5, 1 - \frac{\text{outflow}}{\text{stock}}\right)" />
+                          <BlockMath
+                            math={`p_{stay} = \\max\\left(${stayFloor.toFixed(
+                              2
+                            )}, 1 - \\frac{\\text{outflow}}{\\text{stock}}${covariateMath(
+                              "push",
+                              "i"
+                            )}\\right)`}
+                          />
                         </div>
                         <p className="text-xs text-slate-400 mt-2">
                           Probability of remaining in origin country, with
-                          minimum threshold of 50%
+                          minimum threshold of {Math.round(stayFloor * 100)}%;
+                          outflow is {INDICATORS[indicators.outflow].label} and
+                          stock is {INDICATORS[indicators.state].label}
+                          {activeCovariates.length > 0 &&
+                            `, the outflow rate scaled by the push of the origin's covariates: ${covariateSummary(
+                              "push",
+                              "δ"
+                            )}`}
                         </p>
                       </div>
                     </div>
@@ -2158,15 +3942,141 @@ function AppInner() {
                           95% Credible Interval
                         </h4>
                         <div className="bg-slate-900 p-3 rounded overflow-x-auto">
-                          <BlockMath math="\text{CI}_{95\%} = [Q_{2.5\%}, Q_{97.5\%}]" />
+                          <BlockMath math="T^{(s)}_{i\cdot} \sim \operatorname{Dir}\left(\kappa_i T_{i\cdot}\right), \quad \text{CI}_{95\%} = [Q_{2.5\%}, Q_{97.5\%}]" />
                         </div>
                         <p className="text-xs text-slate-400 mt-2">
-                          Uncertainty quantification using 2.5th and 97.5th
-                          percentiles from ensemble
+                          Each member s draws every row once from a Dirichlet
+                          centred on it and keeps that matrix for its whole
+                          trajectory; κ<sub>i</sub> is{" "}
+                          {Array.isArray(usedConcentration)
+                            ? "the number of moves counted out of country i"
+                            : "a fixed pseudo-count"}
+                          , so rows backed by more data vary less. The interval
+                          is the 2.5th and 97.5th percentiles of the ensemble
                         </p>
                       </div>
                     </div>
                   </motion.div>
+
+                  {generatorReport && (
+                    <>
+                      {/* Equation 9: Generator Matrix */}
+                      <motion.div
+                        initial={{ opacity: 0, scale: 0.95 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        transition={{ delay: 1.5 }}
+                        whileHover={{ scale: 1.02 }}
+                        className="bg-slate-800 p-5 rounded-lg border border-slate-700 hover:border-green-500/50 transition-all"
+                      >
+                        <div className="flex items-start gap-3">
+                          <div className="flex-shrink-0 w-8 h-8 bg-green-600 rounded-full flex items-center justify-center text-sm font-bold">
+                            9
+                          </div>
+                          <div className="flex-1">
+                            <h4 className="font-semibold text-green-400 mb-2">
+                              Generator Matrix
+                            </h4>
+                            <div className="bg-slate-900 p-3 rounded overflow-x-auto">
+                              <BlockMath
+                                math={`Q = \\log T = ${matrixLatex(
+                                  generatorReport.Q
+                                )}`}
+                              />
+                            </div>
+                            <p className="text-xs text-slate-400 mt-2">
+                              Instantaneous migration rates with e<sup>Q</sup> =
+                              T, rows and columns in the order{" "}
+                              {[
+                                ...selectedCountries,
+                                ...(openSystem ? [REST_OF_WORLD] : []),
+                              ].join(", ")}
+                              {generatorReport.method === "linear"
+                                ? "; T has no real logarithm, so Q = T − I is used"
+                                : generatorReport.clipped
+                                ? `; ${generatorReport.clipped} negative rates clipped to 0 and the diagonal reset so rows sum to 0`
+                                : ""}
+                            </p>
+                          </div>
+                        </div>
+                      </motion.div>
+
+                      {/* Equation 10: Kolmogorov Forward Equation */}
+                      <motion.div
+                        initial={{ opacity: 0, scale: 0.95 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        transition={{ delay: 1.6 }}
+                        whileHover={{ scale: 1.02 }}
+                        className="bg-slate-800 p-5 rounded-lg border border-slate-700 hover:border-green-500/50 transition-all"
+                      >
+                        <div className="flex items-start gap-3">
+                          <div className="flex-shrink-0 w-8 h-8 bg-green-600 rounded-full flex items-center justify-center text-sm font-bold">
+                            10
+                          </div>
+                          <div className="flex-1">
+                            <h4 className="font-semibold text-green-400 mb-2">
+                              Kolmogorov Forward Equation
+                            </h4>
+                            <div className="bg-slate-900 p-3 rounded overflow-x-auto">
+                              <BlockMath
+                                math={
+                                  generatorReport.solver === "rk4"
+                                    ? "\\frac{dP}{dt} = Q^\\top P, \\quad P_{n+1} = P_n + \\tfrac{h}{6}(k_1 + 2k_2 + 2k_3 + k_4)"
+                                    : "\\frac{dP}{dt} = Q^\\top P, \\quad P(t) = e^{Q^\\top t} P(0)"
+                                }
+                              />
+                            </div>
+                            <p className="text-xs text-slate-400 mt-2">
+                              Continuous-time propagation solved{" "}
+                              {generatorReport.solver === "rk4"
+                                ? `with classical Runge–Kutta steps of at most h = ${RK4_MAX_STEP} years`
+                                : "exactly with the matrix exponential"}
+                              , so outputs can fall between whole years
+                            </p>
+                          </div>
+                        </div>
+                      </motion.div>
+                    </>
+                  )}
+
+                  {/* Open-System Balance (numbered after the ODE cards) */}
+                  {openSystem && (
+                    <motion.div
+                      initial={{ opacity: 0, scale: 0.95 }}
+                      animate={{ opacity: 1, scale: 1 }}
+                      transition={{ delay: 1.7 }}
+                      whileHover={{ scale: 1.02 }}
+                      className="bg-slate-800 p-5 rounded-lg border border-slate-700 hover:border-green-500/50 transition-all"
+                    >
+                      <div className="flex items-start gap-3">
+                        <div className="flex-shrink-0 w-8 h-8 bg-green-600 rounded-full flex items-center justify-center text-sm font-bold">
+                          {generatorReport ? 11 : 9}
+                        </div>
+                        <div className="flex-1">
+                          <h4 className="font-semibold text-green-400 mb-2">
+                            Open-System Balance
+                          </h4>
+                          <div className="bg-slate-900 p-3 rounded overflow-x-auto">
+                            <BlockMath math="P_{t+1} = S^\top P_t + I, \quad S_{ij} = \begin{cases} T_{ii} - \nu_i & i = j \\ \sigma T_{ij} & i \neq j \end{cases}" />
+                          </div>
+                          <p className="text-xs text-slate-400 mt-2">
+                            Each row's remainder, (1 − σ)(1 − T<sub>ii</sub>) +
+                            ν<sub>i</sub>, leaves for the {REST_OF_WORLD}: σ ={" "}
+                            {openSystem.internalShare.toFixed(2)} is the
+                            internal move share (
+                            {internalShare === null
+                              ? "estimated: moves into a country count as internal up to its observed inflow"
+                              : "set by hand"}
+                            ), ν<sub>i</sub> the naturalisation rate
+                            (acquisitions / stock) and I the yearly arrivals
+                            from the {REST_OF_WORLD}, observed inflow minus
+                            internal moves
+                            {generatorReport &&
+                              "; in continuous time arrivals are added pro rata to each output step"}
+                          </p>
+                        </div>
+                      </div>
+                    </motion.div>
+                  )}
                 </div>
               </motion.div>
             </motion.div>
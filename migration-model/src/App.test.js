@@ -1,8 +1,23 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// The real factory uses import.meta.url, which Jest cannot parse
+jest.mock('./workers/createEnsembleWorker', () => ({
+  createEnsembleWorker: jest.fn(),
+}));
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+  // The failed load is logged on purpose
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+test('renders the model title and settles when no data loads', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/OECD Migration Flow Model/i)).toBeInTheDocument();
+  expect(await screen.findByText(/No countries loaded/i)).toBeInTheDocument();
 });
@@ -0,0 +1,320 @@
+/**
+ * Backtest Panel
+ * Rolling-origin backtest of the current model settings: error-by-horizon
+ * table across all countries, a per-country RMSE-by-horizon chart and the
+ * per-country table behind it.
+ */
+
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import {
+  AlertCircle,
+  ChevronDown,
+  ChevronRight,
+  FlaskConical,
+} from "lucide-react";
+
+const selectClass =
+  "w-full px-2 py-1.5 bg-slate-700 rounded border border-slate-600 text-white text-sm focus:ring-2 focus:ring-green-500 transition-all";
+
+const fmt = (v, digits = 0) =>
+  Number.isFinite(v)
+    ? v.toLocaleString(undefined, { maximumFractionDigits: digits })
+    : "—";
+
+const BacktestPanel = ({ runBacktest, countries = [], colors = [] }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [horizon, setHorizon] = useState(3);
+  const [minTrainPairs, setMinTrainPairs] = useState(3);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const run = () => {
+    setRunning(true);
+    setError("");
+    // Let the button state paint before the synchronous refits
+    setTimeout(() => {
+      try {
+        const r = runBacktest({ horizon, minTrainPairs });
+        if (!r.origins.length) {
+          throw new Error(
+            "No origin year has enough earlier training pairs and later observations"
+          );
+        }
+        setResult(r);
+      } catch (err) {
+        setError(err.message);
+        setResult(null);
+      } finally {
+        setRunning(false);
+      }
+    }, 0);
+  };
+
+  const shown = result ? countries.filter((c) => result.byCountry[c]) : [];
+  const chartData = result
+    ? result.overall.map((o, i) => {
+        const point = { horizon: o.horizon, All: o.rmse };
+        shown.forEach((c) => {
+          const v = result.byCountry[c][i].rmse;
+          if (Number.isFinite(v)) point[c] = v;
+        });
+        return point;
+      })
+    : [];
+
+  return (
+    <div className="mb-6 bg-slate-800 rounded-lg border border-slate-700">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-4"
+      >
+        <div className="flex items-center gap-2">
+          <FlaskConical size={18} />
+          <h3 className="font-bold">Rolling-Origin Backtest</h3>
+        </div>
+        <div className="flex items-center gap-3 text-xs text-slate-400">
+          {result && (
+            <span>
+              {result.origins.length} origins · {result.records.length}{" "}
+              forecasts scored
+            </span>
+          )}
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </div>
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.3 }}
+            className="overflow-hidden"
+          >
+            <div className="px-4 pb-4 space-y-4">
+              <p className="text-xs text-slate-400">
+                Each origin year is refitted on earlier years only, then
+                forecast 1 to H years ahead from its observed stock with the
+                current model parameters.
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+                <div>
+                  <label className="text-xs text-slate-400 mb-1 block">
+                    Horizon (H years)
+                  </label>
+                  <select
+                    value={horizon}
+                    onChange={(e) => setHorizon(Number(e.target.value))}
+                    className={selectClass}
+                  >
+                    {[1, 2, 3, 4, 5].map((h) => (
+                      <option key={h} value={h}>
+                        {h}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-xs text-slate-400 mb-1 block">
+                    Minimum training pairs
+                  </label>
+                  <select
+                    value={minTrainPairs}
+                    onChange={(e) => setMinTrainPairs(Number(e.target.value))}
+                    className={selectClass}
+                  >
+                    {[1, 2, 3, 5, 8].map((n) => (
+                      <option key={n} value={n}>
+                        {n}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <button
+                  onClick={run}
+                  disabled={running}
+                  className={`px-4 py-2 rounded text-sm font-semibold transition-colors ${
+                    running
+                      ? "bg-slate-700 text-slate-500 cursor-not-allowed"
+                      : "bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-500 hover:to-emerald-500 text-white"
+                  }`}
+                >
+                  {running ? "Backtesting…" : "Run backtest"}
+                </button>
+              </div>
+
+              {error && (
+                <p className="text-red-400 text-sm flex items-center gap-1">
+                  <AlertCircle size={14} />
+                  {error}
+                </p>
+              )}
+
+              {result && (
+                <>
+                  <div className="bg-slate-900 rounded border border-slate-700 overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-xs text-slate-400">
+                          <th className="text-left p-2">Horizon</th>
+                          <th className="text-right p-2">Forecasts</th>
+                          <th className="text-right p-2">RMSE</th>
+                          <th className="text-right p-2">MAE</th>
+                          <th className="text-right p-2">MAPE</th>
+                          <th className="text-right p-2">Bias</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {result.overall.map((o) => (
+                          <tr
+                            key={o.horizon}
+                            className="border-t border-slate-700"
+                          >
+                            <td className="p-2">
+                              {o.horizon} year{o.horizon === 1 ? "" : "s"}
+                            </td>
+                            <td className="p-2 text-right">{o.n}</td>
+                            <td className="p-2 text-right">{fmt(o.rmse)}</td>
+                            <td className="p-2 text-right">{fmt(o.mae)}</td>
+                            <td className="p-2 text-right">
+                              {Number.isFinite(o.mape)
+                                ? `${o.mape.toFixed(1)}%`
+                                : "—"}
+                            </td>
+                            <td className="p-2 text-right">{fmt(o.bias)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart
+                      data={chartData}
+                      margin={{ top: 10, right: 30, left: 60, bottom: 30 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                      <XAxis
+                        dataKey="horizon"
+                        stroke="#94a3b8"
+                        style={{ fontSize: "13px" }}
+                        label={{
+                          value: "Horizon (years ahead)",
+                          position: "insideBottom",
+                          offset: -10,
+                          style: { fill: "#94a3b8" },
+                        }}
+                      />
+                      <YAxis
+                        stroke="#94a3b8"
+                        style={{ fontSize: "13px" }}
+                        tickFormatter={(v) => v.toLocaleString()}
+                        label={{
+                          value: "RMSE",
+                          angle: -90,
+                          position: "insideLeft",
+                          style: { fill: "#94a3b8", textAnchor: "middle" },
+                        }}
+                      />
+                      <Tooltip
+                        contentStyle={{
+                          backgroundColor: "#1e293b",
+                          border: "1px solid #475569",
+                          borderRadius: "8px",
+                        }}
+                        formatter={(v) => fmt(v)}
+                      />
+                      <Legend wrapperStyle={{ paddingTop: "20px" }} />
+                      <Line
+                        type="monotone"
+                        dataKey="All"
+                        stroke="#e2e8f0"
+                        strokeWidth={2}
+                        strokeDasharray="5 5"
+                        name="All countries"
+                      />
+                      {shown.map((c) => (
+                        <Line
+                          key={c}
+                          type="monotone"
+                          dataKey={c}
+                          stroke={colors[countries.indexOf(c) % colors.length]}
+                          strokeWidth={2}
+                          connectNulls
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+
+                  <div className="bg-slate-900 rounded border border-slate-700 overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-xs text-slate-400">
+                          <th className="text-left p-2">Country</th>
+                          {result.overall.map((o) => (
+                            <th key={o.horizon} className="text-right p-2">
+                              h={o.horizon} RMSE (MAPE)
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {shown.map((c) => (
+                          <tr key={c} className="border-t border-slate-700">
+                            <td
+                              className="p-2"
+                              style={{
+                                color:
+                                  colors[countries.indexOf(c) % colors.length],
+                              }}
+                            >
+                              {c}
+                            </td>
+                            {result.byCountry[c].map((s) => (
+                              <td key={s.horizon} className="p-2 text-right">
+                                {fmt(s.rmse)}
+                                <span className="text-xs text-slate-500 ml-1">
+                                  (
+                                  {Number.isFinite(s.mape)
+                                    ? `${s.mape.toFixed(1)}%`
+                                    : "—"}
+                                  )
+                                </span>
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  <p className="text-xs text-slate-500">
+                    Origins:{" "}
+                    {result.origins
+                      .map((o) => `${o.origin} (${o.trainPairs} pairs)`)
+                      .join(", ")}
+                  </p>
+                </>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default BacktestPanel;
@@ -0,0 +1,113 @@
+/**
+ * Leaderboard Panel
+ * Ranks the Markov ensemble and the baseline forecasters by RMSE on the
+ * same observed points, with MAE and skill relative to persistence. Any
+ * row can be sent to the predictions chart.
+ */
+
+import React, { useMemo } from "react";
+import { motion } from "framer-motion";
+import { Trophy } from "lucide-react";
+import { BASELINES, MARKOV_MODEL, rankModels } from "../../model/baselines";
+
+const fmt = (v, digits = 0) =>
+  Number.isFinite(v)
+    ? v.toLocaleString(undefined, { maximumFractionDigits: digits })
+    : "—";
+
+const modelLabel = (key) =>
+  key === MARKOV_MODEL ? "Markov ensemble" : BASELINES[key];
+
+const LeaderboardPanel = ({
+  runs,
+  countries = [],
+  chartModel,
+  onChartModel,
+}) => {
+  const board = useMemo(
+    () => (runs ? rankModels(runs, countries) : []),
+    [runs, countries]
+  );
+  if (!board.some((row) => row.n > 0)) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ delay: 0.2, duration: 0.4 }}
+      className="mb-6 p-6 bg-slate-800 rounded-lg border border-slate-700"
+    >
+      <h3 className="font-bold flex items-center gap-2 text-lg mb-3">
+        <Trophy size={20} />
+        Model Leaderboard
+      </h3>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-400 border-b border-slate-700 text-xs">
+              <th className="text-left py-2 pr-3">#</th>
+              <th className="text-left py-2 pr-3">Model</th>
+              <th className="text-right py-2 px-2">RMSE</th>
+              <th className="text-right py-2 px-2">MAE</th>
+              <th className="text-right py-2 px-2">Skill vs persistence</th>
+              <th className="text-right py-2 pl-2">Chart</th>
+            </tr>
+          </thead>
+          <tbody>
+            {board.map((row, rank) => (
+              <tr
+                key={row.key}
+                className={`border-b border-slate-700/50 ${
+                  row.key === chartModel ? "bg-green-600/10" : ""
+                }`}
+              >
+                <td className="py-2 pr-3 text-slate-400">{rank + 1}</td>
+                <td className="py-2 pr-3 text-slate-200">
+                  {modelLabel(row.key)}
+                </td>
+                <td className="text-right py-2 px-2 text-slate-300">
+                  {fmt(row.rmse)}
+                </td>
+                <td className="text-right py-2 px-2 text-slate-300">
+                  {fmt(row.mae)}
+                </td>
+                <td
+                  className={`text-right py-2 px-2 ${
+                    row.skill > 0
+                      ? "text-green-400"
+                      : row.skill < 0
+                      ? "text-red-400"
+                      : "text-slate-300"
+                  }`}
+                >
+                  {Number.isFinite(row.skill)
+                    ? `${(row.skill * 100).toFixed(1)}%`
+                    : "—"}
+                </td>
+                <td className="text-right py-2 pl-2">
+                  <input
+                    type="radio"
+                    name="chart-model"
+                    checked={row.key === chartModel}
+                    onChange={() => onChartModel(row.key)}
+                    className="accent-green-500"
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-slate-400 mt-3">
+        Every model is scored on the same observed points after the input year
+        and is trained only on data up to it: the baselines on the observed
+        stock, the Markov ensemble on the year pairs ending by then. Skill is 1
+        − RMSE / RMSE of persistence; above 0 beats carrying the last value
+        forward.
+      </p>
+    </motion.div>
+  );
+};
+
+export default LeaderboardPanel;
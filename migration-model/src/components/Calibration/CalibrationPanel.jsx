@@ -0,0 +1,384 @@
+/**
+ * Calibration Panel
+ * Runs the coefficient search (Nelder–Mead or grid) against the one-step
+ * backtest loss, shows the optimum with the range of values whose loss is
+ * within tolerance of it, plots the α × β_k loss surface as a heatmap and
+ * applies the optimum to the parameter sliders.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { AlertCircle, ChevronDown, ChevronRight, Target } from "lucide-react";
+import {
+  CALIBRATION_LOSSES,
+  CALIBRATION_METHODS,
+  CONFIDENCE_TOLERANCE,
+  calibrationSteps,
+  lossSurfaceSteps,
+} from "../../model/calibration";
+import { TIE_KEYS, TIE_TYPES } from "../../model/connectivity";
+
+const selectClass =
+  "w-full px-2 py-1.5 bg-slate-700 rounded border border-slate-600 text-white text-sm focus:ring-2 focus:ring-green-500 transition-all";
+
+const fmtRange = (r) => (r ? `${r[0].toFixed(2)}–${r[1].toFixed(2)}` : "—");
+
+/* Green (low loss) to red (high loss) */
+const heatColor = (t) => `hsl(${Math.round(140 * (1 - t))}, 70%, 40%)`;
+
+const Heatmap = ({ surface, optimum }) => {
+  const finite = surface.values.flat().filter(Number.isFinite);
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  const size = surface.alphas.length;
+  const nearest = (list, v) =>
+    list.reduce(
+      (best, x, i) => (Math.abs(x - v) < Math.abs(list[best] - v) ? i : best),
+      0
+    );
+  const optI = nearest(surface.alphas, optimum.alpha);
+  const optJ = nearest(surface.betas, optimum.betas[surface.tieKey]);
+
+  return (
+    <div className="flex gap-2">
+      <div className="flex items-center">
+        <span
+          className="text-xs text-slate-400"
+          style={{ writingMode: "vertical-rl", transform: "rotate(180deg)" }}
+        >
+          β {TIE_TYPES[surface.tieKey].label} →
+        </span>
+      </div>
+      <div className="flex-1">
+        <div
+          className="grid gap-px bg-slate-900"
+          style={{ gridTemplateColumns: `repeat(${size}, minmax(0, 1fr))` }}
+        >
+          {/* Highest β at the top */}
+          {[...surface.values].reverse().map((row, rj) => {
+            const j = size - 1 - rj;
+            return row.map((v, i) => {
+              const t = max > min ? (v - min) / (max - min) : 0;
+              const isOpt = i === optI && j === optJ;
+              return (
+                <div
+                  key={`${i}-${j}`}
+                  className={`aspect-square ${
+                    isOpt ? "ring-2 ring-white z-10" : ""
+                  }`}
+                  style={{
+                    backgroundColor: Number.isFinite(v)
+                      ? heatColor(t)
+                      : "#334155",
+                  }}
+                  title={`α ${surface.alphas[i].toFixed(2)}, β ${surface.betas[
+                    j
+                  ].toFixed(2)}: ${Number.isFinite(v) ? v.toFixed(1) : "—"}`}
+                />
+              );
+            });
+          })}
+        </div>
+        <div className="flex justify-between text-xs text-slate-400 mt-1">
+          <span>α 0</span>
+          <span>distance decay α →</span>
+          <span>1</span>
+        </div>
+        <div className="flex items-center gap-2 text-xs text-slate-400 mt-2">
+          <span>{min.toFixed(1)}</span>
+          <div
+            className="flex-1 h-2 rounded"
+            style={{
+              background: `linear-gradient(to right, ${heatColor(
+                0
+              )}, ${heatColor(0.5)}, ${heatColor(1)})`,
+            }}
+          />
+          <span>{max.toFixed(1)}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CalibrationPanel = ({ buildContext, initial, onApply }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [method, setMethod] = useState("nelderMead");
+  const [loss, setLoss] = useState("rmse");
+  const [calibrateFloor, setCalibrateFloor] = useState(false);
+  const [surfaceTie, setSurfaceTie] = useState(TIE_KEYS[0]);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const [progress, setProgress] = useState(null);
+  // Bumped by every new search (and on unmount) so a stale one stops
+  const searchRef = useRef(0);
+  useEffect(
+    () => () => {
+      searchRef.current++;
+    },
+    []
+  );
+
+  /*
+    Run a search generator a slice at a time, yielding to the page between
+    slices; resolves with its result, or null once a newer search started.
+  */
+  const drive = async (steps, stage) => {
+    const id = ++searchRef.current;
+    let r = steps.next();
+    while (!r.done) {
+      setProgress({ stage, ...r.value });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (searchRef.current !== id) return null;
+      r = steps.next();
+    }
+    return r.value;
+  };
+
+  const runCalibration = async () => {
+    setRunning(true);
+    setError("");
+    try {
+      const context = buildContext();
+      if (!context.pairs.length) {
+        throw new Error(
+          "No training pair has observed stocks for every selected country"
+        );
+      }
+      const found = await drive(
+        calibrationSteps(context, { method, loss, calibrateFloor, initial }),
+        "Searching"
+      );
+      if (!found) return;
+      const surface = await drive(
+        lossSurfaceSteps(context, found.params, surfaceTie, loss),
+        "Loss surface"
+      );
+      if (!surface) return;
+      setResult({
+        ...found,
+        surface,
+        context,
+        lossType: loss,
+        pairs: context.pairs.length,
+      });
+    } catch (err) {
+      setError(err.message);
+      setResult(null);
+    } finally {
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const changeSurfaceTie = async (tieKey) => {
+    setSurfaceTie(tieKey);
+    if (!result) return;
+    setError("");
+    setRunning(true);
+    try {
+      const surface = await drive(
+        lossSurfaceSteps(
+          result.context,
+          result.params,
+          tieKey,
+          result.lossType
+        ),
+        "Loss surface"
+      );
+      if (surface) setResult((prev) => prev && { ...prev, surface });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="mt-4 bg-slate-900 rounded border border-slate-600">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-3"
+      >
+        <span className="flex items-center gap-2 text-sm font-semibold">
+          <Target size={16} />
+          Calibrate Coefficients
+        </span>
+        {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.3 }}
+            className="overflow-hidden"
+          >
+            <div className="px-3 pb-3 space-y-3">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                <div>
+                  <label className="text-xs text-slate-400 mb-1 block">
+                    Search
+                  </label>
+                  <select
+                    value={method}
+                    onChange={(e) => setMethod(e.target.value)}
+                    className={selectClass}
+                  >
+                    {Object.entries(CALIBRATION_METHODS).map(([k, label]) => (
+                      <option key={k} value={k}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-xs text-slate-400 mb-1 block">
+                    Loss
+                  </label>
+                  <select
+                    value={loss}
+                    onChange={(e) => setLoss(e.target.value)}
+                    className={selectClass}
+                  >
+                    {Object.entries(CALIBRATION_LOSSES).map(([k, label]) => (
+                      <option key={k} value={k}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-center gap-2 text-sm text-slate-300">
+                  <input
+                    type="checkbox"
+                    checked={calibrateFloor}
+                    onChange={(e) => setCalibrateFloor(e.target.checked)}
+                  />
+                  Include stay floor
+                </label>
+                <button
+                  onClick={runCalibration}
+                  disabled={running}
+                  className={`px-4 py-2 rounded text-sm font-semibold transition-colors ${
+                    running
+                      ? "bg-slate-700 text-slate-500 cursor-not-allowed"
+                      : "bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-500 hover:to-emerald-500 text-white"
+                  }`}
+                >
+                  {running ? "Calibrating…" : "Calibrate"}
+                </button>
+              </div>
+
+              {progress && (
+                <p className="text-xs text-slate-400">
+                  {progress.stage}…{" "}
+                  {progress.total
+                    ? `${Math.round((100 * progress.done) / progress.total)}%`
+                    : `${progress.done} evaluations`}
+                </p>
+              )}
+
+              {error && (
+                <p className="text-red-400 text-sm flex items-center gap-1">
+                  <AlertCircle size={14} />
+                  {error}
+                </p>
+              )}
+
+              {result && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  <div>
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-xs text-slate-400">
+                          <th className="text-left p-1">Parameter</th>
+                          <th className="text-right p-1">Optimum</th>
+                          <th className="text-right p-1">Range</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        <tr className="border-t border-slate-700">
+                          <td className="p-1">Distance α</td>
+                          <td className="p-1 text-right font-semibold">
+                            {result.params.alpha.toFixed(2)}
+                          </td>
+                          <td className="p-1 text-right text-slate-400">
+                            {fmtRange(result.ranges.alpha)}
+                          </td>
+                        </tr>
+                        {TIE_KEYS.map((k) => (
+                          <tr key={k} className="border-t border-slate-700">
+                            <td className="p-1">β {TIE_TYPES[k].label}</td>
+                            <td className="p-1 text-right font-semibold">
+                              {result.params.betas[k].toFixed(2)}
+                            </td>
+                            <td className="p-1 text-right text-slate-400">
+                              {fmtRange(result.ranges.betas[k])}
+                            </td>
+                          </tr>
+                        ))}
+                        {result.ranges.stayFloor && (
+                          <tr className="border-t border-slate-700">
+                            <td className="p-1">Stay floor</td>
+                            <td className="p-1 text-right font-semibold">
+                              {result.params.stayFloor.toFixed(2)}
+                            </td>
+                            <td className="p-1 text-right text-slate-400">
+                              {fmtRange(result.ranges.stayFloor)}
+                            </td>
+                          </tr>
+                        )}
+                      </tbody>
+                    </table>
+                    <p className="text-xs text-slate-400 mt-2">
+                      {CALIBRATION_LOSSES[result.lossType]}{" "}
+                      <strong>{result.loss.toFixed(1)}</strong> over{" "}
+                      {result.pairs} training pairs ({result.evaluations}{" "}
+                      evaluations). Ranges hold the other parameters at the
+                      optimum and keep the loss within{" "}
+                      {Math.round(CONFIDENCE_TOLERANCE * 100)}% of the minimum.
+                    </p>
+                    <button
+                      onClick={() => onApply(result.params)}
+                      className="mt-3 px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors"
+                    >
+                      Apply to sliders
+                    </button>
+                  </div>
+
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <p className="text-xs font-semibold text-slate-300">
+                        Loss surface
+                      </p>
+                      <select
+                        value={surfaceTie}
+                        onChange={(e) => changeSurfaceTie(e.target.value)}
+                        disabled={running}
+                        className={`${selectClass} w-44`}
+                      >
+                        {TIE_KEYS.map((k) => (
+                          <option key={k} value={k}>
+                            α × β {TIE_TYPES[k].label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <Heatmap surface={result.surface} optimum={result.params} />
+                  </div>
+                </div>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default CalibrationPanel;
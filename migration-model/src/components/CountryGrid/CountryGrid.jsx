@@ -15,7 +15,7 @@ const CountryGrid = ({
   selectedCountries = [],
   onToggle,
   loading = false,
-  maxSelection = 6,
+  maxSelection = Infinity,
   minSelection = 2
 }) => {
   const containerRef = useRef(null);
@@ -44,6 +44,10 @@ const CountryGrid = ({
     }
   };
 
+  const limits = Number.isFinite(maxSelection)
+    ? `minimum ${minSelection}, maximum ${maxSelection}`
+    : `minimum ${minSelection}`;
+
   const columnCount = containerWidth >= 1024 ? 6 : (containerWidth >= 768 ? 4 : 2);
   const colWidth = columnCount > 0 ? Math.floor(containerWidth / columnCount) : 140;
   const rowHeight = 48;
@@ -53,7 +57,7 @@ const CountryGrid = ({
     return (
       <div className="mb-6 p-4 bg-slate-800 rounded-lg border border-slate-700" ref={containerRef}>
         <div className="flex items-center justify-between mb-3">
-          <h3 className="font-bold">Select Countries (minimum {minSelection}, maximum {maxSelection})</h3>
+          <h3 className="font-bold">Select Countries ({limits})</h3>
         </div>
         <LoadingSkeleton count={24} />
       </div>
@@ -78,7 +82,7 @@ const CountryGrid = ({
   return (
     <div className="mb-6 p-4 bg-slate-800 rounded-lg border border-slate-700" ref={containerRef}>
       <div className="flex items-center justify-between mb-3">
-        <h3 className="font-bold">Select Countries (minimum {minSelection}, maximum {maxSelection})</h3>
+        <h3 className="font-bold">Select Countries ({limits})</h3>
         <motion.span
           key={selectedCountries.length}
           initial={{ scale: 1.2, color: '#34d399' }}
@@ -93,7 +97,7 @@ const CountryGrid = ({
               : 'text-orange-400'
           }`}
         >
-          {selectedCountries.length}/{maxSelection} selected{' '}
+          {selectedCountries.length}/{Math.min(maxSelection, countries.length)} selected{' '}
           {selectedCountries.length < minSelection && `(need at least ${minSelection})`}
         </motion.span>
       </div>
@@ -0,0 +1,374 @@
+/**
+ * Covariates Panel
+ * Loads an auxiliary country-year file (GDP per capita, unemployment rate,
+ * total population, optional conflict index), maps its columns, picks the
+ * covariates that enter the gravity weights and sets their pull (γ) and
+ * push (δ) coefficients by hand or by fitting them to the one-step
+ * backtest with the other coefficients held fixed.
+ */
+
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  AlertCircle,
+  ChevronDown,
+  ChevronRight,
+  Globe,
+  Trash2,
+  Upload,
+} from "lucide-react";
+import { IMPORT_FORMATS, readImportFile } from "../../model/importers";
+import {
+  COVARIATES,
+  COVARIATE_BOUNDS,
+  COVARIATE_KEYS,
+  fitCovariateCoefficients,
+  readCovariates,
+  suggestCovariateColumns,
+} from "../../model/covariates";
+
+const selectClass =
+  "w-full px-2 py-1.5 bg-slate-700 rounded border border-slate-600 text-white text-sm focus:ring-2 focus:ring-green-500 transition-all";
+
+const signed = (v) => `${v >= 0 ? "+" : ""}${v.toFixed(2)}`;
+
+const CoefficientSlider = ({ label, value, onChange }) => (
+  <div>
+    <label className="text-xs text-slate-400 mb-1 block">
+      {label}: <span className="text-white">{signed(value)}</span>
+    </label>
+    <input
+      type="range"
+      min={COVARIATE_BOUNDS[0]}
+      max={COVARIATE_BOUNDS[1]}
+      step="0.01"
+      value={value}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      className="w-full accent-green-500"
+    />
+  </div>
+);
+
+const CovariatesPanel = ({
+  data,
+  onLoad,
+  active = [],
+  onActive,
+  coefficients,
+  onCoefficients,
+  buildContext,
+  base,
+  resolveCountry,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [table, setTable] = useState(null);
+  const [reading, setReading] = useState(false);
+  const [fitting, setFitting] = useState(false);
+  const [fit, setFit] = useState(null);
+  const [error, setError] = useState("");
+
+  const load = (t, mapping) => {
+    const parsed = readCovariates(t.records, mapping, resolveCountry);
+    onLoad({ name: t.fileName, mapping, ...parsed });
+    onActive(active.filter((k) => parsed.diagnostics.available.includes(k)));
+    setFit(null);
+  };
+
+  const handleFile = async (file) => {
+    setError("");
+    setReading(true);
+    try {
+      const t = await readImportFile(file);
+      setTable(t);
+      load(t, suggestCovariateColumns(t.headers));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const remap = (patch) =>
+    load(table, {
+      ...data.mapping,
+      ...patch,
+      columns: { ...data.mapping.columns, ...patch.columns },
+    });
+
+  const remove = () => {
+    setTable(null);
+    setFit(null);
+    onLoad(null);
+    onActive([]);
+  };
+
+  const toggle = (key) =>
+    onActive(
+      active.includes(key)
+        ? active.filter((k) => k !== key)
+        : COVARIATE_KEYS.filter((k) => k === key || active.includes(k))
+    );
+
+  const setCoefficient = (key, side, value) =>
+    onCoefficients({
+      ...coefficients,
+      [key]: { ...coefficients[key], [side]: value },
+    });
+
+  const runFit = () => {
+    setFitting(true);
+    setError("");
+    // Let the "Fitting…" state paint before the synchronous search
+    setTimeout(() => {
+      try {
+        const context = buildContext();
+        if (!context.pairs.length) {
+          throw new Error(
+            "No training pair has observed stocks for every selected country"
+          );
+        }
+        const result = fitCovariateCoefficients(context, {
+          base,
+          active,
+          initial: coefficients,
+        });
+        setFit({ ...result, pairs: context.pairs.length });
+        onCoefficients(result.coefficients);
+      } catch (err) {
+        setError(err.message);
+        setFit(null);
+      } finally {
+        setFitting(false);
+      }
+    }, 0);
+  };
+
+  const available = data?.diagnostics.available || [];
+  const years = data?.diagnostics.years || [];
+  const headers = table?.headers || [];
+
+  return (
+    <div className="mt-4 bg-slate-900 rounded border border-slate-600">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-3"
+      >
+        <span className="flex items-center gap-2 text-sm font-semibold">
+          <Globe size={16} />
+          Economic &amp; Demographic Covariates
+          {active.length > 0 && (
+            <span className="text-xs font-normal text-green-400">
+              {active.length} active
+            </span>
+          )}
+        </span>
+        {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.3 }}
+            className="overflow-hidden"
+          >
+            <div className="px-3 pb-3 space-y-3">
+              <p className="text-xs text-slate-400">
+                One row per country and year. Each active covariate is
+                standardised across the selected countries; γ scales how
+                strongly it attracts movers to a destination and δ how strongly
+                it pushes them out of an origin. Years without a value use the
+                latest earlier one.
+              </p>
+
+              {!data ? (
+                <label className="flex items-center justify-center gap-2 p-4 border-2 border-dashed border-slate-600 rounded cursor-pointer hover:border-green-500 text-sm text-slate-300 transition-colors">
+                  <Upload size={16} />
+                  {reading
+                    ? "Reading…"
+                    : `Choose a covariates file (${Object.values(
+                        IMPORT_FORMATS
+                      ).join(", ")})`}
+                  <input
+                    type="file"
+                    accept=".csv,.json,.xlsx"
+                    className="hidden"
+                    onChange={(e) => {
+                      const file = e.target.files?.[0];
+                      if (file) handleFile(file);
+                      e.target.value = "";
+                    }}
+                  />
+                </label>
+              ) : (
+                <div className="p-2 bg-slate-800 rounded text-xs space-y-2">
+                  <div className="flex items-center justify-between">
+                    <span className="text-slate-300">
+                      <strong className="text-white">{data.name}</strong>:{" "}
+                      {data.diagnostics.rowsParsed} rows
+                      {years.length > 0 &&
+                        `, ${years[0]}–${years[years.length - 1]}`}
+                      {data.diagnostics.rowsRejected > 0 &&
+                        `, ${data.diagnostics.rowsRejected} skipped`}
+                    </span>
+                    <button
+                      onClick={remove}
+                      className="p-1 text-slate-400 hover:text-red-400 transition-colors"
+                      title="Remove covariates file"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                  {data.diagnostics.warnings.length > 0 && (
+                    <p className="text-amber-400">
+                      Cells skipped:{" "}
+                      {data.diagnostics.warnings
+                        .slice(0, 3)
+                        .map((w) => `row ${w.line}: ${w.reason}`)
+                        .join("; ")}
+                      {data.diagnostics.warnings.length > 3 &&
+                        ` and ${data.diagnostics.warnings.length - 3} more`}
+                    </p>
+                  )}
+                  {data.diagnostics.unknownCountries.length > 0 && (
+                    <p className="text-amber-400">
+                      Unknown countries ignored:{" "}
+                      {data.diagnostics.unknownCountries.join(", ")}
+                    </p>
+                  )}
+                  {table && (
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-2">
+                      {[
+                        ["country", "Country"],
+                        ["year", "Year"],
+                      ].map(([field, label]) => (
+                        <div key={field}>
+                          <label className="text-slate-400 mb-1 block">
+                            {label}
+                          </label>
+                          <select
+                            value={data.mapping[field]}
+                            onChange={(e) => remap({ [field]: e.target.value })}
+                            className={selectClass}
+                          >
+                            <option value="">—</option>
+                            {headers.map((h) => (
+                              <option key={h} value={h}>
+                                {h}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                      {COVARIATE_KEYS.map((key) => (
+                        <div key={key}>
+                          <label className="text-slate-400 mb-1 block">
+                            {COVARIATES[key].label}
+                          </label>
+                          <select
+                            value={data.mapping.columns[key]}
+                            onChange={(e) =>
+                              remap({ columns: { [key]: e.target.value } })
+                            }
+                            className={selectClass}
+                          >
+                            <option value="">—</option>
+                            {headers.map((h) => (
+                              <option key={h} value={h}>
+                                {h}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {data && (
+                <div className="space-y-2">
+                  {COVARIATE_KEYS.map((key) => {
+                    const on = active.includes(key);
+                    return (
+                      <div
+                        key={key}
+                        className="grid grid-cols-1 md:grid-cols-3 gap-3 items-center p-2 bg-slate-800 rounded"
+                      >
+                        <label
+                          className={`flex items-center gap-2 text-sm ${
+                            available.includes(key)
+                              ? "text-slate-200"
+                              : "text-slate-500"
+                          }`}
+                          title={COVARIATES[key].description}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={on}
+                            disabled={!available.includes(key)}
+                            onChange={() => toggle(key)}
+                            className="accent-green-500"
+                          />
+                          {COVARIATES[key].label}
+                          {!available.includes(key) && (
+                            <span className="text-xs">(no data)</span>
+                          )}
+                        </label>
+                        {on && (
+                          <>
+                            <CoefficientSlider
+                              label="Pull γ"
+                              value={coefficients[key].pull}
+                              onChange={(v) => setCoefficient(key, "pull", v)}
+                            />
+                            <CoefficientSlider
+                              label="Push δ"
+                              value={coefficients[key].push}
+                              onChange={(v) => setCoefficient(key, "push", v)}
+                            />
+                          </>
+                        )}
+                      </div>
+                    );
+                  })}
+
+                  <button
+                    onClick={runFit}
+                    disabled={!active.length || fitting}
+                    className="px-4 py-1.5 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 rounded text-sm transition-colors"
+                  >
+                    {fitting ? "Fitting…" : "Fit coefficients"}
+                  </button>
+                  {fit && (
+                    <p className="text-xs text-slate-400">
+                      One-step RMSE over {fit.pairs} training pair
+                      {fit.pairs === 1 ? "" : "s"}: {fit.initialLoss.toFixed(1)}{" "}
+                      →{" "}
+                      <span className="text-green-400">
+                        {fit.loss.toFixed(1)}
+                      </span>{" "}
+                      ({fit.evaluations} evaluations). The sliders now hold the
+                      fitted values.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {error && (
+                <p className="flex items-center gap-2 text-xs text-red-400">
+                  <AlertCircle size={14} />
+                  {error}
+                </p>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default CovariatesPanel;
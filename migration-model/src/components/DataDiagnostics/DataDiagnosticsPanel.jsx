@@ -0,0 +1,286 @@
+/**
+ * Data Diagnostics Panel
+ * Dataset metadata from the manifest plus a per-file CSV ingestion report:
+ * rows parsed, rows rejected (with reasons) and header mismatches against
+ * the manifest column schema, and country names missing from the registry.
+ */
+
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  AlertTriangle,
+  CheckCircle2,
+  ChevronDown,
+  ChevronRight,
+  Database,
+  FileText,
+} from "lucide-react";
+
+const headerIssueCount = (d) =>
+  (d.missingColumns?.length || 0) +
+  (d.unexpectedColumns?.length || 0) +
+  (d.duplicateColumns?.length || 0);
+
+const IssueList = ({ title, items, color }) =>
+  items.length > 0 && (
+    <div className="mt-2">
+      <p className={`text-xs font-semibold ${color}`}>{title}</p>
+      <ul className="mt-1 space-y-0.5 text-xs text-slate-300">
+        {items.map((item, i) => (
+          <li key={i} className="font-mono">
+            {item}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+const FileRow = ({ d }) => {
+  const [open, setOpen] = useState(false);
+  const headerIssues = headerIssueCount(d);
+  const hasIssues =
+    !!d.error ||
+    d.rowsRejected > 0 ||
+    headerIssues > 0 ||
+    d.warnings?.length > 0;
+
+  return (
+    <div className="border-b border-slate-700 last:border-b-0">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={!hasIssues}
+        className={`w-full grid grid-cols-12 gap-2 items-center px-3 py-2 text-sm text-left ${
+          hasIssues ? "hover:bg-slate-700/50" : "cursor-default"
+        }`}
+      >
+        <span className="col-span-5 flex items-center gap-2">
+          {hasIssues ? (
+            open ? (
+              <ChevronDown size={14} className="text-slate-400" />
+            ) : (
+              <ChevronRight size={14} className="text-slate-400" />
+            )
+          ) : (
+            <span className="w-[14px]" />
+          )}
+          <FileText size={14} className="text-slate-400" />
+          {d.file}
+        </span>
+        {d.error ? (
+          <span className="col-span-7 text-red-400">{d.error}</span>
+        ) : (
+          <>
+            <span className="col-span-2 text-green-400">
+              {d.rowsParsed} parsed
+            </span>
+            <span
+              className={`col-span-2 ${
+                d.rowsRejected ? "text-red-400" : "text-slate-500"
+              }`}
+            >
+              {d.rowsRejected} rejected
+            </span>
+            <span
+              className={`col-span-3 ${
+                headerIssues ? "text-orange-400" : "text-slate-500"
+              }`}
+            >
+              {headerIssues
+                ? `${headerIssues} header mismatch${
+                    headerIssues === 1 ? "" : "es"
+                  }`
+                : "header OK"}
+            </span>
+          </>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {open && hasIssues && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.2 }}
+            className="overflow-hidden"
+          >
+            <div className="px-10 pb-3">
+              <IssueList
+                title="Rejected rows"
+                color="text-red-400"
+                items={(d.rejections || []).map(
+                  (r) => `line ${r.line}: ${r.reason}`
+                )}
+              />
+              <IssueList
+                title="Missing columns"
+                color="text-orange-400"
+                items={d.missingColumns || []}
+              />
+              <IssueList
+                title="Unexpected columns"
+                color="text-orange-400"
+                items={d.unexpectedColumns || []}
+              />
+              <IssueList
+                title="Duplicate columns"
+                color="text-orange-400"
+                items={d.duplicateColumns || []}
+              />
+              <IssueList
+                title="Warnings"
+                color="text-yellow-400"
+                items={(d.warnings || []).map(
+                  (w) => `line ${w.line}: ${w.reason}`
+                )}
+              />
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+const DatasetMetadata = ({ manifest, diagnostics }) => {
+  const years = diagnostics.map((d) => d.year).filter(Number.isFinite);
+  const range = years.length
+    ? `${Math.min(...years)}–${Math.max(...years)}`
+    : "no years";
+
+  return (
+    <div className="px-4 pb-3 -mt-1 flex flex-wrap gap-x-4 gap-y-1 text-xs text-slate-400">
+      <span className="flex items-center gap-1 text-slate-300">
+        <Database size={12} />
+        {manifest.name}
+      </span>
+      {manifest.source && <span>Source: {manifest.source}</span>}
+      {manifest.licence && <span>Licence: {manifest.licence}</span>}
+      <span>
+        Years: {range} ({manifest.files.length} files)
+      </span>
+      <span>Columns: {manifest.schema.columns.length}</span>
+    </div>
+  );
+};
+
+const ColumnSchema = ({ columns }) => (
+  <div className="mx-4 mb-4 bg-slate-900 rounded border border-slate-700 p-3">
+    <p className="text-xs font-semibold text-slate-300 mb-2">Column schema</p>
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1 text-xs text-slate-400">
+      {columns.map((c) => (
+        <span key={c.name} className="flex justify-between gap-2">
+          <span className="truncate" title={c.name}>
+            {c.name}
+          </span>
+          {c.type && <span className="text-slate-500">{c.type}</span>}
+        </span>
+      ))}
+    </div>
+  </div>
+);
+
+const UnknownCountries = ({ items }) => (
+  <div className="mx-4 mb-4 bg-slate-900 rounded border border-orange-500/40 p-3">
+    <p className="text-xs font-semibold text-orange-400 mb-2">
+      Countries not in the registry (excluded from the model)
+    </p>
+    <ul className="space-y-0.5 text-xs text-slate-300">
+      {items.map(({ name, years }) => (
+        <li key={name} className="font-mono">
+          {name}{" "}
+          <span className="text-slate-500">
+            ({years.length === 1 ? years[0] : `${years.length} years`})
+          </span>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const DataDiagnosticsPanel = ({
+  diagnostics = [],
+  manifest = null,
+  unknownCountries = [],
+}) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!diagnostics.length) return null;
+
+  const totals = diagnostics.reduce(
+    (acc, d) => ({
+      parsed: acc.parsed + (d.rowsParsed || 0),
+      rejected: acc.rejected + (d.rowsRejected || 0),
+      headerIssues: acc.headerIssues + (headerIssueCount(d) ? 1 : 0),
+      failed: acc.failed + (d.error ? 1 : 0),
+    }),
+    { parsed: 0, rejected: 0, headerIssues: 0, failed: 0 }
+  );
+  const clean =
+    !totals.rejected &&
+    !totals.headerIssues &&
+    !totals.failed &&
+    !unknownCountries.length;
+
+  return (
+    <div className="mb-6 bg-slate-800 rounded-lg border border-slate-700">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-4"
+      >
+        <div className="flex items-center gap-2">
+          {clean ? (
+            <CheckCircle2 size={18} className="text-green-400" />
+          ) : (
+            <AlertTriangle size={18} className="text-orange-400" />
+          )}
+          <h3 className="font-bold">Data Diagnostics</h3>
+        </div>
+        <div className="flex items-center gap-3 text-xs text-slate-400">
+          <span>{diagnostics.length} files</span>
+          <span>{totals.parsed} rows parsed</span>
+          <span className={totals.rejected ? "text-red-400" : ""}>
+            {totals.rejected} rejected
+          </span>
+          <span className={totals.headerIssues ? "text-orange-400" : ""}>
+            {totals.headerIssues} files with header mismatches
+          </span>
+          {unknownCountries.length > 0 && (
+            <span className="text-orange-400">
+              {unknownCountries.length} unknown countries
+            </span>
+          )}
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </div>
+      </button>
+
+      {manifest && (
+        <DatasetMetadata manifest={manifest} diagnostics={diagnostics} />
+      )}
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.3 }}
+            className="overflow-hidden"
+          >
+            <div className="mx-4 mb-4 bg-slate-900 rounded border border-slate-700">
+              {diagnostics.map((d) => (
+                <FileRow key={d.file} d={d} />
+              ))}
+            </div>
+            {unknownCountries.length > 0 && (
+              <UnknownCountries items={unknownCountries} />
+            )}
+            {manifest && <ColumnSchema columns={manifest.schema.columns} />}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default DataDiagnosticsPanel;
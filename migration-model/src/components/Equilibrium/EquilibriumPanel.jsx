@@ -0,0 +1,169 @@
+/**
+ * Equilibrium Panel
+ * Long-run behaviour of the average transition matrix: the stationary
+ * distribution it converges to, how fast it gets there (SLEM, half-life,
+ * mixing time) and the expected stay in each country, each with a short
+ * explanation card.
+ */
+
+import React, { useMemo } from "react";
+import { motion } from "framer-motion";
+import { BlockMath } from "react-katex";
+import { AlertTriangle, Scale } from "lucide-react";
+import { MIXING_TOLERANCE, spectralSummary } from "../../model/spectral";
+
+const fmtYears = (v) =>
+  Number.isFinite(v) ? `${v < 10 ? v.toFixed(1) : Math.round(v)} yrs` : "∞";
+
+const fmtShare = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(1)}%` : "—");
+
+const EXPLANATIONS = [
+  [
+    "Stationary Distribution",
+    "\\pi T = \\pi, \\quad \\textstyle\\sum_i \\pi_i = 1",
+    "The left eigenvector for eigenvalue 1: the shares of the total stock the system settles into if the average matrix applied for ever.",
+  ],
+  [
+    "Second Eigenvalue Modulus",
+    "|\\lambda_2| = \\max_{k \\ge 2} |\\lambda_k(T)|",
+    "Every deviation from equilibrium shrinks at least this much per year; values close to 1 mean slow convergence.",
+  ],
+  [
+    "Half-Life and Mixing Time",
+    `t_{1/2} = \\frac{\\ln 2}{-\\ln|\\lambda_2|}, \\quad t_{mix} = \\frac{\\ln(1/${MIXING_TOLERANCE})}{-\\ln|\\lambda_2|}`,
+    `Years until the distance to equilibrium halves, and until it falls to ${
+      MIXING_TOLERANCE * 100
+    }% of where it started.`,
+  ],
+  [
+    "Expected Stay",
+    "E[\\text{stay}_i] = \\frac{1}{1 - T_{ii}}",
+    "Mean number of years a migrant remains in country i before moving, since each year they stay with probability T_ii.",
+  ],
+];
+
+const EquilibriumPanel = ({ matrix, countries = [], colors = [], stock }) => {
+  const summary = useMemo(
+    () =>
+      matrix?.length && matrix.length === countries.length
+        ? spectralSummary(matrix)
+        : null,
+    [matrix, countries.length]
+  );
+  if (!summary) return null;
+
+  const total = countries.reduce((s, c) => s + (stock?.[c] || 0), 0);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ delay: 0.55, duration: 0.4 }}
+      className="mb-6 p-6 bg-slate-800 rounded-lg border border-slate-700"
+    >
+      <h3 className="font-bold flex items-center gap-2 text-lg mb-3">
+        <Scale size={20} />
+        Long-Run Equilibrium
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        {[
+          ["|λ₂| (SLEM)", summary.slem.toFixed(3)],
+          ["Half-life", fmtYears(summary.halfLife)],
+          [
+            `Mixing time (${MIXING_TOLERANCE * 100}%)`,
+            fmtYears(summary.mixingTime),
+          ],
+          [
+            "Largest expected stay",
+            fmtYears(Math.max(...summary.expectedStay)),
+          ],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-slate-700/50 p-3 rounded">
+            <p className="text-xs text-slate-400">{label}</p>
+            <p className="text-lg font-semibold text-white">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      {(!summary.converged || summary.slem >= 1) && (
+        <p className="text-sm text-orange-400 flex items-center gap-2 mb-4">
+          <AlertTriangle size={16} />
+          The chain does not mix (some countries never exchange migrants), so
+          the equilibrium depends on where the stock starts.
+        </p>
+      )}
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr>
+              {[
+                "Country",
+                "Share at final forecast",
+                "Equilibrium share π",
+                "Long-run stock",
+                "Expected stay",
+              ].map((h, i) => (
+                <th
+                  key={h}
+                  className={`p-2 bg-slate-700 border border-slate-600 ${
+                    i ? "text-right" : "text-left"
+                  }`}
+                >
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {countries.map((c, i) => (
+              <tr key={c}>
+                <td
+                  className="p-2 border border-slate-600 font-semibold"
+                  style={{ color: colors[i % colors.length] }}
+                >
+                  {c}
+                </td>
+                <td className="p-2 border border-slate-600 text-right">
+                  {total ? fmtShare((stock?.[c] || 0) / total) : "—"}
+                </td>
+                <td className="p-2 border border-slate-600 text-right font-semibold">
+                  {fmtShare(summary.stationary[i])}
+                </td>
+                <td className="p-2 border border-slate-600 text-right">
+                  {total
+                    ? Math.round(summary.stationary[i] * total).toLocaleString()
+                    : "—"}
+                </td>
+                <td className="p-2 border border-slate-600 text-right">
+                  {fmtYears(summary.expectedStay[i])}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-slate-400 mt-2">
+          Long-run stock spreads today's total over the equilibrium shares; the
+          closed system keeps that total fixed.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {EXPLANATIONS.map(([title, math, text]) => (
+          <div key={title} className="bg-slate-900 p-4 rounded">
+            <h4 className="font-semibold text-green-400 text-sm mb-2">
+              {title}
+            </h4>
+            <div className="overflow-x-auto">
+              <BlockMath math={math} />
+            </div>
+            <p className="text-xs text-slate-400 mt-1">{text}</p>
+          </div>
+        ))}
+      </div>
+    </motion.div>
+  );
+};
+
+export default EquilibriumPanel;
@@ -0,0 +1,122 @@
+/**
+ * Fit Residuals Panel
+ * Report for the data-fitted (least-squares) estimator: the objective,
+ * residual RMSE against the gravity heuristic on the same training pairs,
+ * and the per-pair, per-country residuals Tᵀ P_t − P_{t+1}.
+ */
+
+import React from "react";
+import { motion } from "framer-motion";
+import { BlockMath } from "react-katex";
+import { AlertTriangle, Calculator } from "lucide-react";
+
+const fmt = (v, signed = false) =>
+  Number.isFinite(v)
+    ? Math.round(v).toLocaleString(undefined, {
+        signDisplay: signed ? "exceptZero" : "auto",
+      })
+    : "—";
+
+const FitResidualsPanel = ({ fit, countries = [], colors = [] }) => {
+  if (!fit) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ delay: 0.55, duration: 0.4 }}
+      className="mb-6 p-6 bg-slate-800 rounded-lg border border-slate-700"
+    >
+      <h3 className="font-bold flex items-center gap-2 text-lg mb-3">
+        <Calculator size={20} />
+        Least-Squares Fit
+      </h3>
+
+      <div className="bg-slate-900 p-3 rounded overflow-x-auto mb-4">
+        <BlockMath math="\min_{T \ge 0,\; T\mathbf{1} = \mathbf{1}} \sum_t \left\lVert T^\top P_t - P_{t+1} \right\rVert^2" />
+      </div>
+
+      {!fit.matrix ? (
+        <p className="text-sm text-orange-400 flex items-center gap-2">
+          <AlertTriangle size={16} />
+          No training pair has a complete stock vector
+          {fit.skipped ? ` (${fit.skipped} skipped)` : ""}; the gravity
+          heuristic was used instead.
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            {[
+              ["Residual RMSE (fitted)", fmt(fit.rmse)],
+              ["Residual RMSE (gravity)", fmt(fit.gravityRMSE)],
+              [
+                "Pairs fitted",
+                `${fit.pairs}${fit.skipped ? ` (${fit.skipped} skipped)` : ""}`,
+              ],
+              [
+                "Iterations",
+                `${fit.iterations}${fit.converged ? "" : " (not converged)"}`,
+              ],
+            ].map(([label, value]) => (
+              <div key={label} className="bg-slate-700/50 p-3 rounded">
+                <p className="text-xs text-slate-400">{label}</p>
+                <p className="text-lg font-semibold text-white">{value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr>
+                  <th className="p-2 bg-slate-700 border border-slate-600 text-left">
+                    Pair
+                  </th>
+                  {countries.map((c, idx) => (
+                    <th
+                      key={c}
+                      className="p-2 bg-slate-700 border border-slate-600 text-right"
+                      style={{ color: colors[idx % colors.length] }}
+                    >
+                      {c}
+                    </th>
+                  ))}
+                  <th className="p-2 bg-slate-700 border border-slate-600 text-right">
+                    RMSE
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {fit.residuals.map((r) => (
+                  <tr key={`${r.fromYear}-${r.toYear}`}>
+                    <td className="p-2 border border-slate-600 font-mono">
+                      {r.fromYear}→{r.toYear}
+                    </td>
+                    {r.values.map((v, j) => (
+                      <td
+                        key={countries[j]}
+                        className="p-2 border border-slate-600 text-right"
+                      >
+                        {fmt(v, true)}
+                      </td>
+                    ))}
+                    <td className="p-2 border border-slate-600 text-right font-semibold">
+                      {fmt(r.rmse)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-slate-400 mt-3">
+            Residuals are fitted minus observed stock for each training pair. A
+            closed system cannot match changes in the total stock, so those show
+            up here.
+          </p>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default FitResidualsPanel;
@@ -0,0 +1,203 @@
+/**
+ * Forecast Evaluation Panel
+ * Expandable breakdown beneath the pooled metric cards: scale-free and
+ * probabilistic scores overall, per country and per horizon, plus the PIT
+ * histogram of the observations among the ensemble members.
+ */
+
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { BarChart3, ChevronDown, ChevronRight } from "lucide-react";
+
+const fmt = (v, digits = 0) =>
+  Number.isFinite(v)
+    ? v.toLocaleString(undefined, { maximumFractionDigits: digits })
+    : "—";
+
+const COLUMNS = [
+  ["n", "n", 0],
+  ["rmse", "RMSE", 0],
+  ["mape", "MAPE %", 1],
+  ["smape", "sMAPE %", 1],
+  ["mase", "MASE", 2],
+  ["crps", "CRPS", 0],
+  ["intervalScore", "Interval score", 0],
+  ["coverage", "Coverage %", 0],
+];
+
+const ScoreTable = ({ rows, firstHeader }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-slate-400 border-b border-slate-700">
+          <th className="text-left py-1 pr-3">{firstHeader}</th>
+          {COLUMNS.map(([key, label]) => (
+            <th key={key} className="text-right py-1 px-2">
+              {label}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([label, scores]) => (
+          <tr key={label} className="border-b border-slate-700/50">
+            <td className="py-1 pr-3 text-slate-200">{label}</td>
+            {COLUMNS.map(([key, , digits]) => (
+              <td key={key} className="text-right py-1 px-2 text-slate-300">
+                {fmt(scores[key], digits)}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const ForecastEvaluationPanel = ({ evaluation, countries = [] }) => {
+  const [expanded, setExpanded] = useState(false);
+  if (!evaluation?.overall.n) return null;
+
+  const { overall, byCountry, byHorizon, pit } = evaluation;
+  const pitTotal = pit.reduce((s, b) => s + b.count, 0);
+  const pitData = pit.map((b) => ({
+    bin: `${b.from.toFixed(1)}–${b.to.toFixed(1)}`,
+    count: b.count,
+  }));
+
+  return (
+    <div className="mb-6 bg-slate-800 rounded-lg border border-slate-700">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-4"
+      >
+        <div className="flex items-center gap-2">
+          <BarChart3 size={18} />
+          <h3 className="font-bold">Forecast Evaluation</h3>
+        </div>
+        <div className="flex items-center gap-3 text-xs text-slate-400">
+          <span>
+            MAPE {fmt(overall.mape, 1)}% · MASE {fmt(overall.mase, 2)} · CRPS{" "}
+            {fmt(overall.crps)}
+          </span>
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </div>
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.3 }}
+            className="overflow-hidden"
+          >
+            <div className="px-4 pb-4 space-y-4">
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                {[
+                  ["MAPE", `${fmt(overall.mape, 1)}%`],
+                  ["sMAPE", `${fmt(overall.smape, 1)}%`],
+                  ["MASE", fmt(overall.mase, 2)],
+                  ["CRPS", fmt(overall.crps)],
+                  ["Interval score (95%)", fmt(overall.intervalScore)],
+                ].map(([label, value]) => (
+                  <div key={label} className="bg-slate-700/50 p-3 rounded">
+                    <p className="text-xs text-slate-400">{label}</p>
+                    <p className="text-lg font-semibold text-white">{value}</p>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-slate-400">
+                MASE divides the absolute error by the mean one-year change of
+                the country's observed stock up to the input year, so values
+                below 1 beat a persistence forecast. CRPS and the interval score
+                use the ensemble members and are in people; lower is better for
+                both.
+              </p>
+
+              <div>
+                <h4 className="text-sm font-semibold text-green-400 mb-2">
+                  By country
+                </h4>
+                <ScoreTable
+                  firstHeader="Country"
+                  rows={countries
+                    .filter((c) => byCountry[c]?.n)
+                    .map((c) => [c, byCountry[c]])}
+                />
+              </div>
+
+              <div>
+                <h4 className="text-sm font-semibold text-green-400 mb-2">
+                  By horizon
+                </h4>
+                <ScoreTable
+                  firstHeader="Years ahead"
+                  rows={byHorizon.map((h) => [h.horizon, h])}
+                />
+              </div>
+
+              {pitTotal > 0 && (
+                <div>
+                  <h4 className="text-sm font-semibold text-green-400 mb-2">
+                    PIT histogram
+                  </h4>
+                  <ResponsiveContainer width="100%" height={220}>
+                    <BarChart
+                      data={pitData}
+                      margin={{ top: 10, right: 20, left: 0, bottom: 10 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                      <XAxis
+                        dataKey="bin"
+                        stroke="#94a3b8"
+                        style={{ fontSize: "11px" }}
+                      />
+                      <YAxis
+                        allowDecimals={false}
+                        stroke="#94a3b8"
+                        style={{ fontSize: "12px" }}
+                      />
+                      <Tooltip
+                        contentStyle={{
+                          backgroundColor: "#1e293b",
+                          border: "1px solid #475569",
+                          borderRadius: "8px",
+                        }}
+                      />
+                      <ReferenceLine
+                        y={pitTotal / pit.length}
+                        stroke="#94a3b8"
+                        strokeDasharray="4 4"
+                      />
+                      <Bar dataKey="count" fill="#10b981" name="Observations" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                  <p className="text-xs text-slate-400 mt-2">
+                    Where each observation falls among the ensemble members. A
+                    calibrated ensemble gives a flat histogram (dashed line); a
+                    U shape means the bands are too narrow, a hump that they are
+                    too wide, and a slope that the forecasts are biased.
+                  </p>
+                </div>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default ForecastEvaluationPanel;
@@ -0,0 +1,379 @@
+/**
+ * Import Wizard
+ * Drag-and-drop CSV/XLSX/JSON import: map columns onto the OECD indicator
+ * columns, review validation results, then merge into the session data.
+ */
+
+import React, { useMemo, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import {
+  AlertCircle,
+  ChevronDown,
+  ChevronRight,
+  FileText,
+  Upload,
+  XCircle,
+} from "lucide-react";
+import { IMPORT_FORMATS, readImportFile } from "../../model/importers";
+import {
+  IMPORT_MODES,
+  buildImportedYears,
+  suggestMapping,
+} from "../../model/importMapping";
+import { MIGRATION_COLUMNS } from "../../model/schema";
+
+const selectClass =
+  "w-full px-2 py-1.5 bg-slate-700 rounded border border-slate-600 text-white text-sm focus:ring-2 focus:ring-green-500 transition-all";
+
+const DropZone = ({ onFile, error }) => {
+  const [dragging, setDragging] = useState(false);
+
+  return (
+    <label
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        const file = e.dataTransfer.files?.[0];
+        if (file) onFile(file);
+      }}
+      className={`block border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors ${
+        dragging
+          ? "border-green-400 bg-green-500/10"
+          : "border-slate-600 hover:border-slate-500"
+      }`}
+    >
+      <Upload className="mx-auto mb-2 text-slate-400" size={28} />
+      <p className="text-sm text-slate-300">
+        Drop a file here or click to browse
+      </p>
+      <p className="text-xs text-slate-500 mt-1">
+        {Object.values(IMPORT_FORMATS).join(", ")}
+      </p>
+      <input
+        type="file"
+        accept=".csv,.xlsx,.json"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          if (file) onFile(file);
+          e.target.value = "";
+        }}
+      />
+      {error && (
+        <p className="text-red-400 text-sm mt-3 flex items-center justify-center gap-1">
+          <AlertCircle size={14} />
+          {error}
+        </p>
+      )}
+    </label>
+  );
+};
+
+const MappingStep = ({ table, mapping, setMapping }) => {
+  const options = ["", ...table.headers];
+  const setColumn = (target, source) =>
+    setMapping({
+      ...mapping,
+      columns: { ...mapping.columns, [target]: source },
+    });
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label className="text-xs text-slate-400 mb-1 block">
+            Country column
+          </label>
+          <select
+            value={mapping.country}
+            onChange={(e) =>
+              setMapping({ ...mapping, country: e.target.value })
+            }
+            className={selectClass}
+          >
+            {options.map((h) => (
+              <option key={h} value={h}>
+                {h || "—"}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-slate-400 mb-1 block">
+            Year column
+          </label>
+          <select
+            value={mapping.year}
+            onChange={(e) => setMapping({ ...mapping, year: e.target.value })}
+            className={selectClass}
+          >
+            {options.map((h) => (
+              <option key={h} value={h}>
+                {h || "— single-year file —"}
+              </option>
+            ))}
+          </select>
+        </div>
+        {!mapping.year && (
+          <div>
+            <label className="text-xs text-slate-400 mb-1 block">
+              Year of this file
+            </label>
+            <input
+              type="number"
+              value={mapping.fixedYear}
+              onChange={(e) =>
+                setMapping({ ...mapping, fixedYear: e.target.value })
+              }
+              placeholder="e.g. 2021"
+              className={selectClass}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="bg-slate-900 rounded border border-slate-700 p-3">
+        <p className="text-xs font-semibold text-slate-300 mb-2">
+          Indicator columns
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-2">
+          {MIGRATION_COLUMNS.map((target) => (
+            <div key={target} className="grid grid-cols-2 gap-2 items-center">
+              <span className="text-xs text-slate-400 truncate" title={target}>
+                {target}
+              </span>
+              <select
+                value={mapping.columns[target] || ""}
+                onChange={(e) => setColumn(target, e.target.value)}
+                className={selectClass}
+              >
+                {options.map((h) => (
+                  <option key={h} value={h}>
+                    {h || "— not in file —"}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ReviewSummary = ({ result }) => {
+  const { years, diagnostics: d } = result;
+  const yearList = Object.keys(years)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const issues = [
+    ...d.rejections.map((r) => `row ${r.line}: ${r.reason}`),
+    ...d.warnings.map((w) => `row ${w.line}: ${w.reason}`),
+  ];
+
+  return (
+    <div className="bg-slate-900 rounded border border-slate-700 p-3 text-sm">
+      <div className="flex flex-wrap gap-4">
+        <span className="text-green-400">{d.rowsParsed} rows valid</span>
+        <span className={d.rowsRejected ? "text-red-400" : "text-slate-500"}>
+          {d.rowsRejected} rejected
+        </span>
+        <span className="text-slate-300">
+          Years: {yearList.length ? yearList.join(", ") : "none"}
+        </span>
+      </div>
+      {d.unknownCountries.length > 0 && (
+        <p className="text-xs text-orange-400 mt-2">
+          Not in the country registry (not modelled):{" "}
+          {d.unknownCountries.join(", ")}
+        </p>
+      )}
+      {issues.length > 0 && (
+        <ul className="mt-2 max-h-32 overflow-y-auto text-xs text-slate-400 font-mono space-y-0.5">
+          {issues.map((msg, i) => (
+            <li key={i}>{msg}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const ImportWizard = ({
+  imports = [],
+  resolveCountry = null,
+  onImport,
+  onRemove,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [mode, setMode] = useState("merge");
+  const [readError, setReadError] = useState("");
+  const [reading, setReading] = useState(false);
+
+  const result = useMemo(() => {
+    if (!table || !mapping?.country) return null;
+    if (!mapping.year && !mapping.fixedYear) return null;
+    return buildImportedYears(table.records, mapping, resolveCountry);
+  }, [table, mapping, resolveCountry]);
+
+  const reset = () => {
+    setTable(null);
+    setMapping(null);
+    setReadError("");
+  };
+
+  const handleFile = async (file) => {
+    setReadError("");
+    setReading(true);
+    try {
+      const t = await readImportFile(file);
+      setTable(t);
+      setMapping(suggestMapping(t.headers));
+    } catch (err) {
+      setReadError(err.message);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleImport = () => {
+    if (!result?.diagnostics.rowsParsed) return;
+    onImport({
+      id: `${Date.now()}-${table.fileName}`,
+      name: table.fileName,
+      format: table.format,
+      mode,
+      years: result.years,
+      rowsParsed: result.diagnostics.rowsParsed,
+      rowsRejected: result.diagnostics.rowsRejected,
+    });
+    reset();
+  };
+
+  return (
+    <div className="mb-6 bg-slate-800 rounded-lg border border-slate-700">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-4"
+      >
+        <div className="flex items-center gap-2">
+          <Upload size={18} />
+          <h3 className="font-bold">Import Data</h3>
+        </div>
+        <div className="flex items-center gap-3 text-xs text-slate-400">
+          <span>
+            {imports.length
+              ? `${imports.length} imported dataset${
+                  imports.length === 1 ? "" : "s"
+                } in this session`
+              : "CSV, XLSX or JSON"}
+          </span>
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+        </div>
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.3 }}
+            className="overflow-hidden"
+          >
+            <div className="px-4 pb-4 space-y-4">
+              {imports.length > 0 && (
+                <div className="bg-slate-900 rounded border border-slate-700">
+                  {imports.map((imp) => (
+                    <div
+                      key={imp.id}
+                      className="flex items-center justify-between px-3 py-2 text-sm border-b border-slate-700 last:border-b-0"
+                    >
+                      <span className="flex items-center gap-2">
+                        <FileText size={14} className="text-slate-400" />
+                        {imp.name}
+                        <span className="text-xs text-slate-500">
+                          {Object.keys(imp.years).join(", ")} ·{" "}
+                          {IMPORT_MODES[imp.mode]}
+                        </span>
+                      </span>
+                      <button
+                        onClick={() => onRemove(imp.id)}
+                        className="text-slate-400 hover:text-red-400 transition-colors"
+                        title="Remove from session"
+                      >
+                        <XCircle size={16} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {!table ? (
+                <DropZone
+                  onFile={handleFile}
+                  error={reading ? "" : readError}
+                />
+              ) : (
+                <>
+                  <p className="text-sm text-slate-300">
+                    <strong>{table.fileName}</strong> —{" "}
+                    {IMPORT_FORMATS[table.format]}, {table.records.length} rows,{" "}
+                    {table.headers.length} columns
+                  </p>
+                  <MappingStep
+                    table={table}
+                    mapping={mapping}
+                    setMapping={setMapping}
+                  />
+                  {result && <ReviewSummary result={result} />}
+                  <div className="flex flex-wrap items-center justify-between gap-3">
+                    <select
+                      value={mode}
+                      onChange={(e) => setMode(e.target.value)}
+                      className={`${selectClass} md:w-64`}
+                    >
+                      {Object.entries(IMPORT_MODES).map(([k, label]) => (
+                        <option key={k} value={k}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={reset}
+                        className="px-4 py-2 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleImport}
+                        disabled={!result?.diagnostics.rowsParsed}
+                        className={`px-4 py-2 rounded text-sm font-semibold transition-colors ${
+                          result?.diagnostics.rowsParsed
+                            ? "bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-500 hover:to-emerald-500 text-white"
+                            : "bg-slate-700 text-slate-500 cursor-not-allowed"
+                        }`}
+                      >
+                        Import {result?.diagnostics.rowsParsed || 0} rows
+                      </button>
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default ImportWizard;
@@ -0,0 +1,144 @@
+/**
+ * Net Growth Panel
+ * For open-system runs: how the total stock across the selected countries
+ * changes each step, split into arrivals from the Rest of World,
+ * emigration to it and naturalisations leaving the foreign stock.
+ */
+
+import React from "react";
+import { motion } from "framer-motion";
+import {
+  Bar,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { Globe } from "lucide-react";
+import { flowComponents } from "../../model/openSystem";
+
+const fmt = (v) => Math.round(v).toLocaleString();
+
+const totalOf = (pop, countries) =>
+  countries.reduce((s, c) => s + (pop?.[c] || 0), 0);
+
+const NetGrowthPanel = ({ predictions = [], system, countries = [] }) => {
+  if (!system || predictions.length < 2) return null;
+
+  const data = predictions.slice(1).map((pred, k) => {
+    const prev = predictions[k];
+    const flows = flowComponents(
+      prev.predicted,
+      system,
+      countries,
+      pred.year - prev.year
+    );
+    return {
+      year: pred.year,
+      inflow: flows.inflow,
+      emigration: -flows.emigration,
+      naturalisation: -flows.naturalisation,
+      net:
+        totalOf(pred.predicted, countries) - totalOf(prev.predicted, countries),
+    };
+  });
+  const start = totalOf(predictions[0].predicted, countries);
+  const end = totalOf(predictions[predictions.length - 1].predicted, countries);
+  const years = predictions[predictions.length - 1].year - predictions[0].year;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ delay: 0.45, duration: 0.4 }}
+      className="mb-6 p-6 bg-slate-800 rounded-lg border border-slate-700"
+    >
+      <h3 className="font-bold flex items-center gap-2 text-lg mb-3">
+        <Globe size={20} />
+        Net Growth (Open System)
+      </h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        {[
+          ["Total at start", fmt(start)],
+          ["Total at end", fmt(end)],
+          ["Net change", `${end >= start ? "+" : ""}${fmt(end - start)}`],
+          [
+            "Average growth",
+            start > 0 && years > 0
+              ? `${(((end / start) ** (1 / years) - 1) * 100).toFixed(2)}% / yr`
+              : "—",
+          ],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-slate-700/50 p-3 rounded">
+            <p className="text-xs text-slate-400">{label}</p>
+            <p className="text-lg font-semibold text-white">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <ResponsiveContainer width="100%" height={320}>
+        <ComposedChart
+          data={data}
+          stackOffset="sign"
+          margin={{ top: 10, right: 30, left: 60, bottom: 30 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="year" stroke="#94a3b8" style={{ fontSize: "13px" }} />
+          <YAxis
+            stroke="#94a3b8"
+            style={{ fontSize: "13px" }}
+            tickFormatter={(v) => v.toLocaleString()}
+          />
+          <Tooltip
+            contentStyle={{
+              backgroundColor: "#1e293b",
+              border: "1px solid #475569",
+              borderRadius: "8px",
+            }}
+            formatter={(v) => fmt(v)}
+          />
+          <Legend wrapperStyle={{ paddingTop: "20px" }} />
+          <ReferenceLine y={0} stroke="#64748b" />
+          <Bar
+            dataKey="inflow"
+            stackId="flows"
+            fill="#10b981"
+            name="Arrivals from Rest of World"
+          />
+          <Bar
+            dataKey="emigration"
+            stackId="flows"
+            fill="#f59e0b"
+            name="Emigration to Rest of World"
+          />
+          <Bar
+            dataKey="naturalisation"
+            stackId="flows"
+            fill="#8b5cf6"
+            name="Naturalisations"
+          />
+          <Line
+            type="monotone"
+            dataKey="net"
+            stroke="#e2e8f0"
+            strokeWidth={2.5}
+            name="Net growth"
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+      <p className="text-xs text-slate-400 mt-3">
+        Bars are the expected flows from each step's starting stock; net growth
+        is the change in the ensemble mean, so the two differ by the ensemble
+        noise.
+      </p>
+    </motion.div>
+  );
+};
+
+export default NetGrowthPanel;
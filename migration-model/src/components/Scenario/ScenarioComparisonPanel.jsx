@@ -0,0 +1,197 @@
+/**
+ * Scenario Comparison Panel
+ * Baseline and scenario ensemble means for one country (with the
+ * scenario's 95% interval) or the total of the selected countries, and the
+ * difference scenario − baseline by year underneath.
+ */
+
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import {
+  Area,
+  Bar,
+  BarChart,
+  CartesianGrid,
+  ComposedChart,
+  Legend,
+  Line,
+  ReferenceLine,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { Zap } from "lucide-react";
+import { INTERVENTION_TYPES } from "../../model/scenarios";
+
+const TOTAL = "__total__";
+
+const fmt = (v) => Math.round(v).toLocaleString();
+
+const tooltipStyle = {
+  backgroundColor: "#1e293b",
+  border: "1px solid #475569",
+  borderRadius: "8px",
+};
+
+const describe = (iv) => {
+  const years = iv.from === iv.to ? iv.from : `${iv.from}–${iv.to}`;
+  if (iv.type === "closeCorridor") {
+    return `${INTERVENTION_TYPES[iv.type]} ${iv.origin} ↔ ${iv.dest}, ${years}`;
+  }
+  if (iv.type === "scaleAttractiveness") {
+    return `${iv.dest} attractiveness × ${iv.factor}, ${years}`;
+  }
+  return `+${fmt(iv.amount)} / yr into ${iv.dest}, ${years}`;
+};
+
+const ScenarioComparisonPanel = ({
+  baseline = [],
+  scenario,
+  countries = [],
+}) => {
+  const [country, setCountry] = useState(TOTAL);
+  if (!scenario?.results?.length || !baseline.length) return null;
+
+  const pick = (values) =>
+    country === TOTAL
+      ? countries.reduce((s, c) => s + (values?.[c] || 0), 0)
+      : values?.[country] ?? 0;
+
+  const data = baseline.map((pred, k) => {
+    const sc = scenario.results[k];
+    const base = pick(pred.predicted);
+    const shocked = pick(sc?.mean);
+    return {
+      year: pred.year,
+      baseline: base,
+      scenario: shocked,
+      // Summed country bounds are not the total's interval
+      band:
+        country === TOTAL ? null : [sc?.lower?.[country], sc?.upper?.[country]],
+      difference: shocked - base,
+    };
+  });
+  const last = data[data.length - 1];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ delay: 0.45, duration: 0.4 }}
+      className="mb-6 p-6 bg-slate-800 rounded-lg border border-slate-700"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-bold flex items-center gap-2 text-lg">
+          <Zap size={20} />
+          Scenario vs Baseline
+        </h3>
+        <select
+          value={country}
+          onChange={(e) => setCountry(e.target.value)}
+          className="px-2 py-1 bg-slate-700 rounded border border-slate-600 text-white text-sm"
+        >
+          <option value={TOTAL}>All selected countries</option>
+          {countries.map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4 text-xs">
+        {scenario.interventions.map((iv) => (
+          <span key={iv.id} className="px-2 py-1 bg-slate-700 rounded">
+            {describe(iv)}
+          </span>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        {[
+          [`Baseline ${last.year}`, fmt(last.baseline)],
+          [`Scenario ${last.year}`, fmt(last.scenario)],
+          [
+            "Difference",
+            `${last.difference >= 0 ? "+" : ""}${fmt(last.difference)}${
+              last.baseline > 0
+                ? ` (${((100 * last.difference) / last.baseline).toFixed(1)}%)`
+                : ""
+            }`,
+          ],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-slate-700/50 p-3 rounded">
+            <p className="text-xs text-slate-400">{label}</p>
+            <p className="text-lg font-semibold text-white">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <ResponsiveContainer width="100%" height={300}>
+        <ComposedChart
+          data={data}
+          margin={{ top: 10, right: 30, left: 60, bottom: 10 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="year" stroke="#94a3b8" style={{ fontSize: "13px" }} />
+          <YAxis
+            stroke="#94a3b8"
+            style={{ fontSize: "13px" }}
+            tickFormatter={(v) => v.toLocaleString()}
+          />
+          <Tooltip contentStyle={tooltipStyle} formatter={(v) => fmt(v)} />
+          <Legend wrapperStyle={{ paddingTop: "10px" }} />
+          <Area
+            dataKey="band"
+            stroke="none"
+            fill="#f59e0b"
+            fillOpacity={0.15}
+            legendType="none"
+            tooltipType="none"
+            isAnimationActive={false}
+          />
+          <Line
+            type="monotone"
+            dataKey="baseline"
+            stroke="#94a3b8"
+            strokeWidth={2.5}
+            name="Baseline"
+          />
+          <Line
+            type="monotone"
+            dataKey="scenario"
+            stroke="#f59e0b"
+            strokeWidth={2.5}
+            name="Scenario"
+          />
+        </ComposedChart>
+      </ResponsiveContainer>
+
+      <ResponsiveContainer width="100%" height={180}>
+        <BarChart
+          data={data}
+          margin={{ top: 10, right: 30, left: 60, bottom: 10 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="year" stroke="#94a3b8" style={{ fontSize: "13px" }} />
+          <YAxis
+            stroke="#94a3b8"
+            style={{ fontSize: "13px" }}
+            tickFormatter={(v) => v.toLocaleString()}
+          />
+          <Tooltip contentStyle={tooltipStyle} formatter={(v) => fmt(v)} />
+          <ReferenceLine y={0} stroke="#64748b" />
+          <Bar dataKey="difference" fill="#f59e0b" name="Scenario − baseline" />
+        </BarChart>
+      </ResponsiveContainer>
+      <p className="text-xs text-slate-400 mt-3">
+        For a single country the shaded band is the scenario's 95% interval.
+        Both runs share the seed, so most of the sampling noise cancels in the
+        difference.
+      </p>
+    </motion.div>
+  );
+};
+
+export default ScenarioComparisonPanel;
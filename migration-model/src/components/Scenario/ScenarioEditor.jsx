@@ -0,0 +1,226 @@
+/**
+ * Scenario Editor
+ * Time-bounded interventions for a "what if" run next to the baseline:
+ * close a corridor between two countries, scale a destination's
+ * attractiveness or add an inflow pulse. An empty list runs no scenario.
+ */
+
+import React, { useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { ChevronDown, ChevronRight, Trash2, Zap } from "lucide-react";
+import { INTERVENTION_TYPES, newIntervention } from "../../model/scenarios";
+
+const inputClass =
+  "w-full px-2 py-1.5 bg-slate-700 rounded border border-slate-600 text-white text-sm focus:ring-2 focus:ring-green-500 transition-all";
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="text-xs text-slate-400 mb-1 block">{label}</label>
+    {children}
+  </div>
+);
+
+const CountrySelect = ({ value, onChange, countries }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className={inputClass}
+  >
+    {countries.map((c) => (
+      <option key={c} value={c}>
+        {c}
+      </option>
+    ))}
+  </select>
+);
+
+const ScenarioEditor = ({
+  interventions = [],
+  onChange,
+  countries = [],
+  firstYear,
+  weightsFixed = false,
+}) => {
+  const [expanded, setExpanded] = useState(false);
+  const [type, setType] = useState("closeCorridor");
+
+  const update = (id, patch) =>
+    onChange(
+      interventions.map((iv) => (iv.id === id ? { ...iv, ...patch } : iv))
+    );
+  const remove = (id) => onChange(interventions.filter((iv) => iv.id !== id));
+  const add = () =>
+    onChange([...interventions, newIntervention(type, countries, firstYear)]);
+
+  return (
+    <div className="mt-4 bg-slate-900 rounded border border-slate-600">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between p-3"
+      >
+        <span className="flex items-center gap-2 text-sm font-semibold">
+          <Zap size={16} />
+          Scenario Interventions
+          {interventions.length > 0 && (
+            <span className="text-xs font-normal text-green-400">
+              {interventions.length} active
+            </span>
+          )}
+        </span>
+        {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+      </button>
+
+      <AnimatePresence>
+        {expanded && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: "auto" }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.3 }}
+            className="overflow-hidden"
+          >
+            <div className="px-3 pb-3 space-y-3">
+              <p className="text-xs text-slate-400">
+                Each intervention applies to the forecast years from its first
+                to its last year, inclusive. The scenario is run with the same
+                seed as the baseline and plotted against it. Corridor and
+                attractiveness changes set the gravity weights, and the matrices
+                of the years they cover are estimated again with them.
+              </p>
+              {weightsFixed && (
+                <p className="text-xs text-amber-400">
+                  The data-fitted estimator has no gravity weights, so only
+                  inflow pulses apply to its scenario.
+                </p>
+              )}
+
+              {interventions.map((iv) => (
+                <div
+                  key={iv.id}
+                  className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end p-2 bg-slate-800 rounded"
+                >
+                  <Field label="Intervention">
+                    <p className="text-sm text-white py-1.5">
+                      {INTERVENTION_TYPES[iv.type]}
+                    </p>
+                  </Field>
+                  {iv.type === "closeCorridor" && (
+                    <>
+                      <Field label="Between">
+                        <CountrySelect
+                          value={iv.origin}
+                          onChange={(origin) => update(iv.id, { origin })}
+                          countries={countries}
+                        />
+                      </Field>
+                      <Field label="And">
+                        <CountrySelect
+                          value={iv.dest}
+                          onChange={(dest) => update(iv.id, { dest })}
+                          countries={countries}
+                        />
+                      </Field>
+                    </>
+                  )}
+                  {iv.type !== "closeCorridor" && (
+                    <>
+                      <Field label="Country">
+                        <CountrySelect
+                          value={iv.dest}
+                          onChange={(dest) => update(iv.id, { dest })}
+                          countries={countries}
+                        />
+                      </Field>
+                      {iv.type === "scaleAttractiveness" ? (
+                        <Field label="Factor">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.1"
+                            value={iv.factor}
+                            onChange={(e) =>
+                              update(iv.id, {
+                                factor: parseFloat(e.target.value) || 0,
+                              })
+                            }
+                            className={inputClass}
+                          />
+                        </Field>
+                      ) : (
+                        <Field label="Arrivals / year">
+                          <input
+                            type="number"
+                            step="1000"
+                            value={iv.amount}
+                            onChange={(e) =>
+                              update(iv.id, {
+                                amount: parseFloat(e.target.value) || 0,
+                              })
+                            }
+                            className={inputClass}
+                          />
+                        </Field>
+                      )}
+                    </>
+                  )}
+                  <Field label="From">
+                    <input
+                      type="number"
+                      value={iv.from}
+                      onChange={(e) =>
+                        update(iv.id, { from: parseInt(e.target.value) || 0 })
+                      }
+                      className={inputClass}
+                    />
+                  </Field>
+                  <div className="flex items-end gap-2">
+                    <Field label="To">
+                      <input
+                        type="number"
+                        value={iv.to}
+                        onChange={(e) =>
+                          update(iv.id, { to: parseInt(e.target.value) || 0 })
+                        }
+                        className={inputClass}
+                      />
+                    </Field>
+                    <button
+                      onClick={() => remove(iv.id)}
+                      className="p-2 text-slate-400 hover:text-red-400 transition-colors"
+                      title="Remove intervention"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+
+              <div className="flex gap-2">
+                <select
+                  value={type}
+                  onChange={(e) => setType(e.target.value)}
+                  className={`${inputClass} md:w-64`}
+                >
+                  {Object.entries(INTERVENTION_TYPES).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={add}
+                  disabled={countries.length < 2}
+                  className="px-4 py-1.5 bg-slate-700 hover:bg-slate-600 rounded text-sm transition-colors whitespace-nowrap"
+                >
+                  Add intervention
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default ScenarioEditor;
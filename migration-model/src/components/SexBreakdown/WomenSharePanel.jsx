@@ -0,0 +1,173 @@
+/**
+ * Women Share Panel
+ * Projected share of women per country from the sex-disaggregated run,
+ * with observed shares where data exist, and the final-year split into
+ * women and men (men = total − women).
+ */
+
+import React from "react";
+import { motion } from "framer-motion";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { Users } from "lucide-react";
+
+const pct = (v) => (v === null || v === undefined ? "—" : `${v.toFixed(1)}%`);
+const fmt = (v) => Math.round(v || 0).toLocaleString();
+
+const WomenSharePanel = ({ predictions = [], countries = [], colors = [] }) => {
+  const steps = predictions.filter((p) => p.bySex);
+  if (!steps.length) return null;
+
+  const chartData = steps.map((p) => {
+    const point = { year: p.year };
+    countries.forEach((c) => {
+      const share = p.bySex.share[c];
+      const actual = p.bySex.actualShare[c];
+      if (share !== null && share !== undefined) {
+        point[`${c}_share`] = share * 100;
+      }
+      if (actual !== null && actual !== undefined) {
+        point[`${c}_actualShare`] = actual * 100;
+      }
+    });
+    return point;
+  });
+
+  const last = steps[steps.length - 1];
+  const modelled = countries.filter((c) => last.bySex.share[c] !== null);
+  const missing = countries.filter((c) => last.bySex.share[c] === null);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, scale: 0.95 }}
+      animate={{ opacity: 1, scale: 1 }}
+      transition={{ delay: 0.4, duration: 0.5 }}
+      className="mb-6 p-6 bg-slate-800 rounded-lg border border-slate-700"
+    >
+      <h3 className="font-bold flex items-center gap-2 text-lg mb-4">
+        <Users size={20} />
+        Projected Share of Women
+      </h3>
+
+      <ResponsiveContainer width="100%" height={360}>
+        <LineChart
+          data={chartData}
+          margin={{ top: 10, right: 30, left: 20, bottom: 30 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis
+            dataKey="year"
+            stroke="#94a3b8"
+            style={{ fontSize: "13px" }}
+            label={{
+              value: "Year",
+              position: "insideBottom",
+              offset: -10,
+              style: { fill: "#94a3b8" },
+            }}
+          />
+          <YAxis
+            stroke="#94a3b8"
+            style={{ fontSize: "13px" }}
+            domain={["auto", "auto"]}
+            tickFormatter={(v) => `${v.toFixed(0)}%`}
+            label={{
+              value: "Women (% of total)",
+              angle: -90,
+              position: "insideLeft",
+              style: { fill: "#94a3b8", textAnchor: "middle" },
+            }}
+          />
+          <Tooltip
+            contentStyle={{
+              backgroundColor: "#1e293b",
+              border: "1px solid #475569",
+              borderRadius: "8px",
+            }}
+            formatter={(v) => pct(v)}
+          />
+          <Legend wrapperStyle={{ paddingTop: "20px" }} />
+          {modelled.map((c) => {
+            const color = colors[countries.indexOf(c) % colors.length];
+            return (
+              <React.Fragment key={c}>
+                <Line
+                  type="monotone"
+                  dataKey={`${c}_share`}
+                  stroke={color}
+                  strokeWidth={2.5}
+                  dot={{ r: 3, fill: color }}
+                  name={`${c} (projected)`}
+                  connectNulls
+                />
+                <Line
+                  type="monotone"
+                  dataKey={`${c}_actualShare`}
+                  stroke={color}
+                  strokeWidth={1.5}
+                  strokeDasharray="5 5"
+                  dot={{ r: 4, fill: "none", stroke: color, strokeWidth: 2 }}
+                  name={`${c} (observed)`}
+                  connectNulls
+                />
+              </React.Fragment>
+            );
+          })}
+        </LineChart>
+      </ResponsiveContainer>
+
+      <div className="mt-4 overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-400 text-xs">
+              <th className="text-left p-2">Country ({last.year})</th>
+              <th className="text-right p-2">Women</th>
+              <th className="text-right p-2">Men</th>
+              <th className="text-right p-2">Share of women</th>
+            </tr>
+          </thead>
+          <tbody>
+            {modelled.map((c) => (
+              <tr key={c} className="border-t border-slate-700">
+                <td className="p-2">{c}</td>
+                <td className="p-2 text-right">
+                  {fmt(last.bySex.women.mean[c])}
+                  <span className="text-xs text-slate-500 ml-1">
+                    ({fmt(last.bySex.women.lower[c])}–
+                    {fmt(last.bySex.women.upper[c])})
+                  </span>
+                </td>
+                <td className="p-2 text-right">
+                  {fmt(last.bySex.men.mean[c])}
+                  <span className="text-xs text-slate-500 ml-1">
+                    ({fmt(last.bySex.men.lower[c])}–
+                    {fmt(last.bySex.men.upper[c])})
+                  </span>
+                </td>
+                <td className="p-2 text-right font-semibold">
+                  {pct(last.bySex.share[c] * 100)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {missing.length > 0 && (
+        <p className="text-xs text-orange-400 mt-3">
+          No women data at the start year for: {missing.join(", ")}
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default WomenSharePanel;
@@ -0,0 +1,115 @@
+/**
+ * Virtual Matrix
+ * Windowed view of a large transition matrix: only the cells in view are
+ * rendered by react-window, while the country headers along the top and
+ * left follow the scroll position so every cell keeps its labels.
+ * `cell(i, j)` returns { content, title, className, style } for a cell.
+ */
+
+import React, { useState } from "react";
+import { Grid } from "react-window";
+
+const CELL_WIDTH = 96;
+const ROW_HEIGHT = 36;
+const HEADER_WIDTH = 150;
+
+const Cell = ({ columnIndex, rowIndex, style, cell }) => {
+  const {
+    content,
+    title,
+    className = "",
+    style: cellStyle,
+  } = cell(rowIndex, columnIndex);
+  return (
+    <div
+      style={{ ...style, ...cellStyle }}
+      title={title}
+      className={`flex items-center justify-center border-r border-b border-slate-600 text-sm ${className}`}
+    >
+      {content}
+    </div>
+  );
+};
+
+const VirtualMatrix = ({
+  rowLabels = [],
+  columnLabels = [],
+  cell,
+  cellWidth = CELL_WIDTH,
+  height = 480,
+}) => {
+  const [scroll, setScroll] = useState({ left: 0, top: 0 });
+  const bodyHeight = Math.min(height, rowLabels.length * ROW_HEIGHT + 16);
+
+  const header = (label, key, extra = {}) => (
+    <div
+      key={key}
+      title={label.label}
+      className="flex items-center px-2 bg-slate-700 border-r border-b border-slate-600 text-sm font-medium truncate flex-shrink-0"
+      style={{ color: label.color, ...extra }}
+    >
+      <span className="truncate">{label.label}</span>
+    </div>
+  );
+
+  return (
+    <div className="text-sm">
+      <div className="flex">
+        <div
+          className="flex items-center px-2 bg-slate-700 border-r border-b border-slate-600 font-semibold flex-shrink-0"
+          style={{ width: HEADER_WIDTH, height: ROW_HEIGHT }}
+        >
+          From \ To
+        </div>
+        <div className="overflow-hidden flex-1">
+          <div
+            className="flex"
+            style={{ transform: `translateX(${-scroll.left}px)` }}
+          >
+            {columnLabels.map((label, j) =>
+              header(label, j, {
+                width: cellWidth,
+                height: ROW_HEIGHT,
+                justifyContent: "center",
+              })
+            )}
+          </div>
+        </div>
+      </div>
+      <div className="flex">
+        <div
+          className="overflow-hidden flex-shrink-0"
+          style={{ width: HEADER_WIDTH, height: bodyHeight }}
+        >
+          <div style={{ transform: `translateY(${-scroll.top}px)` }}>
+            {rowLabels.map((label, i) =>
+              header(label, i, {
+                width: HEADER_WIDTH,
+                height: ROW_HEIGHT,
+                backgroundColor: "#1e293b",
+              })
+            )}
+          </div>
+        </div>
+        <Grid
+          cellComponent={Cell}
+          cellProps={{ cell }}
+          columnCount={columnLabels.length}
+          columnWidth={cellWidth}
+          rowCount={rowLabels.length}
+          rowHeight={ROW_HEIGHT}
+          overscanCount={2}
+          onScroll={(e) =>
+            setScroll({
+              left: e.currentTarget.scrollLeft,
+              top: e.currentTarget.scrollTop,
+            })
+          }
+          style={{ height: bodyHeight, flex: 1 }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default VirtualMatrix;
@@ -0,0 +1,123 @@
+/**
+ * Transition-matrix aggregation
+ * Turns the per-year training matrices ({ year, matrix }, year being the
+ * arrival year of the pair) into what the forecast uses: an equal or
+ * exponentially weighted average, one matrix from a per-cell linear trend,
+ * or a distinct trended matrix for every forecast year.
+ */
+
+export const AGGREGATION_MODES = {
+  equal: "Equal-weight average",
+  exponential: "Exponentially weighted",
+  trend: "Linear trend (extrapolated)",
+  inhomogeneous: "Time-inhomogeneous (T per year)",
+};
+
+export const DEFAULT_WEIGHT_HALF_LIFE = 3;
+
+const usable = (matrices) =>
+  (matrices || []).filter((m) => Array.isArray(m?.matrix) && m.matrix.length);
+
+/* Weighted average; weights need not sum to 1 */
+export const weightedAverageMatrix = (matrices, weights, n) => {
+  const total = weights.reduce((a, b) => a + b, 0) || 1;
+  const avg = Array.from({ length: n }, () => Array(n).fill(0));
+  matrices.forEach(({ matrix }, k) => {
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        avg[i][j] += ((matrix[i]?.[j] ?? 0) * weights[k]) / total;
+      }
+    }
+  });
+  return avg;
+};
+
+/* Weight 1 for the latest year, halving every `halfLife` years before it */
+export const exponentialWeights = (years, halfLife) => {
+  const latest = Math.max(...years);
+  return years.map((y) => 0.5 ** ((latest - y) / Math.max(halfLife, 1e-6)));
+};
+
+/*
+  Per-cell least-squares line through the yearly values, evaluated at
+  `year`. Negative cells are clipped and each row renormalised so the
+  result stays row-stochastic; a row that clips to nothing keeps its
+  average instead.
+*/
+export const trendMatrixAt = (matrices, year, n) => {
+  const years = matrices.map((m) => m.year);
+  const meanYear = years.reduce((a, b) => a + b, 0) / years.length;
+  const sxx = years.reduce((s, y) => s + (y - meanYear) ** 2, 0);
+  const average = weightedAverageMatrix(
+    matrices,
+    years.map(() => 1),
+    n
+  );
+
+  return average.map((avgRow, i) => {
+    const row = avgRow.map((mean, j) => {
+      if (!sxx) return mean;
+      const sxy = matrices.reduce(
+        (s, { matrix }, k) =>
+          s + (years[k] - meanYear) * ((matrix[i]?.[j] ?? 0) - mean),
+        0
+      );
+      return Math.max(0, mean + (sxy / sxx) * (year - meanYear));
+    });
+    const total = row.reduce((a, b) => a + b, 0);
+    return total > 0 ? row.map((v) => v / total) : avgRow;
+  });
+};
+
+/**
+ * Aggregate for a forecast starting at startYear.
+ * Returns { matrix, yearMatrices } where matrix is the one used for a
+ * homogeneous run (for the time-inhomogeneous mode, the first forecast
+ * year's) and yearMatrices[k] is the matrix for startYear + k → k + 1
+ * (null unless the mode is time-inhomogeneous).
+ */
+export const aggregateTransitionMatrices = (
+  matrices,
+  n,
+  {
+    mode = "equal",
+    halfLife = DEFAULT_WEIGHT_HALF_LIFE,
+    startYear,
+    steps = 1,
+  } = {}
+) => {
+  const list = usable(matrices);
+  if (!list.length) return { matrix: null, yearMatrices: null };
+  const years = list.map((m) => m.year);
+
+  if (mode === "exponential") {
+    return {
+      matrix: weightedAverageMatrix(
+        list,
+        exponentialWeights(years, halfLife),
+        n
+      ),
+      yearMatrices: null,
+    };
+  }
+  if (mode === "trend") {
+    return {
+      matrix: trendMatrixAt(list, startYear + 1, n),
+      yearMatrices: null,
+    };
+  }
+  if (mode === "inhomogeneous") {
+    const yearMatrices = Array.from({ length: Math.max(1, steps) }, (_, k) =>
+      trendMatrixAt(list, startYear + k + 1, n)
+    );
+    return { matrix: yearMatrices[0], yearMatrices };
+  }
+  return {
+    matrix: weightedAverageMatrix(
+      list,
+      years.map(() => 1),
+      n
+    ),
+    yearMatrices: null,
+  };
+};
@@ -0,0 +1,52 @@
+import { aggregateTransitionMatrices } from "./aggregation";
+
+// Stay probability of the first country falls by 0.05 a year
+const matrices = [2010, 2011, 2012].map((year, k) => ({
+  year,
+  matrix: [
+    [0.9 - 0.05 * k, 0.1 + 0.05 * k],
+    [0.2, 0.8],
+  ],
+}));
+
+const rowSums = (M) => M.map((row) => row.reduce((a, b) => a + b, 0));
+
+test("equal weighting reproduces the plain average", () => {
+  const { matrix, yearMatrices } = aggregateTransitionMatrices(matrices, 2);
+  expect(matrix[0][0]).toBeCloseTo(0.85, 12);
+  expect(yearMatrices).toBeNull();
+});
+
+test("exponential weighting leans towards recent years", () => {
+  const { matrix } = aggregateTransitionMatrices(matrices, 2, {
+    mode: "exponential",
+    halfLife: 1,
+  });
+  // weights 1/4, 1/2, 1
+  expect(matrix[0][0]).toBeCloseTo((0.9 / 4 + 0.85 / 2 + 0.8) / 1.75, 12);
+});
+
+test("trend extrapolates each cell and stays row-stochastic", () => {
+  const { matrix } = aggregateTransitionMatrices(matrices, 2, {
+    mode: "trend",
+    startYear: 2013,
+  });
+  expect(matrix[0][0]).toBeCloseTo(0.7, 10);
+  rowSums(matrix).forEach((s) => expect(s).toBeCloseTo(1, 12));
+});
+
+test("time-inhomogeneous mode gives one clipped matrix per forecast year", () => {
+  const { matrix, yearMatrices } = aggregateTransitionMatrices(matrices, 2, {
+    mode: "inhomogeneous",
+    startYear: 2012,
+    steps: 20,
+  });
+  expect(yearMatrices).toHaveLength(20);
+  expect(matrix).toEqual(yearMatrices[0]);
+  expect(yearMatrices[1][0][0]).toBeCloseTo(0.7, 10);
+  // The trend runs below zero by 2032; the cell is clipped, not negative
+  expect(yearMatrices[19][0][0]).toBe(0);
+  yearMatrices.forEach((M) =>
+    rowSums(M).forEach((s) => expect(s).toBeCloseTo(1, 12))
+  );
+});
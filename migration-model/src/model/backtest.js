@@ -0,0 +1,119 @@
+/**
+ * Rolling-origin backtesting
+ * For every eligible origin year the model is refitted on the years up to
+ * the origin only, the observed stock at the origin is propagated 1..H
+ * steps ahead and each forecast is scored against what was later observed.
+ * Point forecasts use the fitted matrix directly (the ensemble mean).
+ */
+
+import { propagatePopulation } from "./ensemble";
+
+const withInflow = (pop, inflow, countries) =>
+  inflow
+    ? Object.fromEntries(countries.map((c) => [c, pop[c] + (inflow[c] || 0)]))
+    : pop;
+
+/**
+ * Run the harness.
+ * fitAt(origin) -> { matrix, pairs, yearMatrices? } trained on data up to
+ *   origin, or null; yearMatrices[h - 1], when given, is used for step h
+ *   and an `inflow` by country (open system) is added after every step
+ * observedAt(year) -> stock object keyed by country, or null
+ * Returns { origins: [{ origin, trainPairs }], records } where records are
+ * { origin, horizon, year, country, predicted, actual, error }.
+ * Countries with a non-positive stock at the origin or target are skipped.
+ */
+export const rollingOriginBacktest = ({
+  years,
+  countries,
+  horizon = 3,
+  minTrainPairs = 3,
+  fitAt,
+  observedAt,
+}) => {
+  const origins = [];
+  const records = [];
+  const available = new Set(years);
+
+  [...years]
+    .sort((a, b) => a - b)
+    .forEach((origin) => {
+      if (!available.has(origin + 1)) return;
+      const start = observedAt(origin);
+      if (!start) return;
+      const fit = fitAt(origin);
+      if (!fit?.matrix || fit.pairs.length < minTrainPairs) return;
+
+      origins.push({ origin, trainPairs: fit.pairs.length });
+      let pop = start;
+      for (let h = 1; h <= horizon; h++) {
+        const matrix = fit.yearMatrices?.[h - 1] ?? fit.matrix;
+        pop = withInflow(
+          propagatePopulation(pop, matrix, countries),
+          fit.inflow,
+          countries
+        );
+        const actual = available.has(origin + h) && observedAt(origin + h);
+        if (!actual) continue;
+        for (const country of countries) {
+          if (!(start[country] > 0) || !(actual[country] > 0)) continue;
+          records.push({
+            origin,
+            horizon: h,
+            year: origin + h,
+            country,
+            predicted: pop[country],
+            actual: actual[country],
+            error: pop[country] - actual[country],
+          });
+        }
+      }
+    });
+
+  return { origins, records };
+};
+
+const scoreRecords = (records) => {
+  const n = records.length;
+  if (!n) return { n: 0, rmse: NaN, mae: NaN, mape: NaN, bias: NaN };
+  let se = 0;
+  let ae = 0;
+  let ape = 0;
+  let bias = 0;
+  records.forEach(({ error, actual }) => {
+    se += error * error;
+    ae += Math.abs(error);
+    ape += Math.abs(error) / actual;
+    bias += error;
+  });
+  return {
+    n,
+    rmse: Math.sqrt(se / n),
+    mae: ae / n,
+    mape: (100 * ape) / n,
+    bias: bias / n,
+  };
+};
+
+/*
+  Error-by-horizon summary:
+  { overall: [{ horizon, n, rmse, mae, mape, bias }],
+    byCountry: { [country]: [{ horizon, ... }] } }
+*/
+export const errorsByHorizon = (records, horizon, countries) => {
+  const horizons = Array.from({ length: horizon }, (_, i) => i + 1);
+  const forH = (h, country) =>
+    records.filter(
+      (r) => r.horizon === h && (!country || r.country === country)
+    );
+
+  return {
+    overall: horizons.map((h) => ({ horizon: h, ...scoreRecords(forH(h)) })),
+    byCountry: Object.fromEntries(
+      countries.map((c) => [
+        c,
+        horizons.map((h) => ({ horizon: h, ...scoreRecords(forH(h, c)) })),
+      ])
+    ),
+  };
+};
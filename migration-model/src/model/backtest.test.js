@@ -0,0 +1,40 @@
+import { errorsByHorizon, rollingOriginBacktest } from "./backtest";
+
+const countries = ["A", "B"];
+const identity = [
+  [1, 0],
+  [0, 1],
+];
+// A grows by 10 a year, B is flat
+const observed = (year) => ({ A: 100 + 10 * (year - 2000), B: 50 });
+
+test("trains only on data before each origin and scores 1..H ahead", () => {
+  const seenOrigins = [];
+  const { origins, records } = rollingOriginBacktest({
+    years: [2000, 2001, 2002, 2003, 2004, 2005],
+    countries,
+    horizon: 2,
+    minTrainPairs: 2,
+    fitAt: (origin) => {
+      seenOrigins.push(origin);
+      const pairs = Array.from({ length: origin - 2000 }, (_, i) => [
+        2000 + i,
+        2001 + i,
+      ]);
+      return { matrix: identity, pairs };
+    },
+    observedAt: observed,
+  });
+
+  expect(origins.map((o) => o.origin)).toEqual([2002, 2003, 2004]);
+  expect(seenOrigins).not.toContain(2005);
+  // 2004 only has one step of observations ahead
+  expect(records.filter((r) => r.origin === 2004)).toHaveLength(2);
+
+  const { overall, byCountry } = errorsByHorizon(records, 2, countries);
+  expect(overall[0].n).toBe(6);
+  expect(byCountry.A[0].rmse).toBeCloseTo(10);
+  expect(byCountry.A[1].rmse).toBeCloseTo(20);
+  expect(byCountry.B[1].rmse).toBe(0);
+  expect(overall[1].bias).toBeLessThan(0);
+});
@@ -0,0 +1,169 @@
+/**
+ * Baseline forecasters
+ * Per-country univariate forecasts from the observed stock up to the input
+ * year, scored on the same points as the Markov ensemble so the leaderboard
+ * shows whether the model beats trivial methods. Each method takes the
+ * history [{ year, value }] in year order and returns value(year) for any
+ * later (possibly fractional) year; too short a history falls back to
+ * persistence.
+ */
+
+import { evaluationRecords, scoreForecasts } from "./evaluation";
+
+export const BASELINES = {
+  persistence: "Persistence",
+  linear: "Linear trend",
+  logLinear: "Log-linear growth",
+  holt: "Holt smoothing",
+  ar1: "AR(1)",
+};
+
+export const MARKOV_MODEL = "markov";
+
+const HOLT_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+/* Ordinary least squares y = a + b x */
+const olsLine = (xs, ys) => {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  xs.forEach((x, k) => {
+    sxx += (x - mx) ** 2;
+    sxy += (x - mx) * (ys[k] - my);
+  });
+  const b = sxx ? sxy / sxx : 0;
+  return { a: my - b * mx, b };
+};
+
+/* Holt level / trend after the series, plus its one-step SSE */
+const holtRun = (values, alpha, beta) => {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  let sse = 0;
+  for (let t = 1; t < values.length; t++) {
+    const forecast = level + trend;
+    sse += (values[t] - forecast) ** 2;
+    const prevLevel = level;
+    level = alpha * values[t] + (1 - alpha) * forecast;
+    trend = beta * (level - prevLevel) + (1 - beta) * trend;
+  }
+  return { level, trend, sse };
+};
+
+const FITTERS = {
+  persistence: (years, values) => {
+    const last = values[values.length - 1];
+    return () => last;
+  },
+  linear: (years, values) => {
+    if (values.length < 2) return null;
+    const { a, b } = olsLine(years, values);
+    return (year) => a + b * year;
+  },
+  logLinear: (years, values) => {
+    if (values.length < 2) return null;
+    const { a, b } = olsLine(
+      years,
+      values.map((v) => Math.log(v))
+    );
+    return (year) => Math.exp(a + b * year);
+  },
+  /* Smoothing constants picked by one-step SSE on a coarse grid */
+  holt: (years, values) => {
+    if (values.length < 2) return null;
+    let best = null;
+    HOLT_GRID.forEach((alpha) =>
+      HOLT_GRID.forEach((beta) => {
+        const run = holtRun(values, alpha, beta);
+        if (!best || run.sse < best.sse) best = run;
+      })
+    );
+    const lastYear = years[years.length - 1];
+    return (year) => best.level + best.trend * (year - lastYear);
+  },
+  /*
+    y_t = c + φ y_{t−1} by least squares, h years ahead μ + φ^h (y_T − μ)
+    with μ = c / (1 − φ). φ ≤ 0 forecasts the mean; a unit root becomes a
+    random walk with the mean yearly change as drift.
+  */
+  ar1: (years, values) => {
+    if (values.length < 3) return null;
+    const { a: c, b: phi } = olsLine(values.slice(0, -1), values.slice(1));
+    const last = values[values.length - 1];
+    const lastYear = years[years.length - 1];
+    if (phi >= 1 - 1e-9) {
+      const drift = (last - values[0]) / (values.length - 1);
+      return (year) => last + drift * (year - lastYear);
+    }
+    if (phi <= 0) {
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      return () => mean;
+    }
+    const mu = c / (1 - phi);
+    return (year) => mu + phi ** (year - lastYear) * (last - mu);
+  },
+};
+
+/* Forecast function of one method for one country's history */
+export const fitBaseline = (method, history) => {
+  const usable = history.filter((h) => Number.isFinite(h.value) && h.value > 0);
+  if (!usable.length) return () => 0;
+  const years = usable.map((h) => h.year);
+  const values = usable.map((h) => h.value);
+  const forecast =
+    FITTERS[method](years, values) ?? FITTERS.persistence(years, values);
+  return (year) => Math.max(0, forecast(year));
+};
+
+/*
+  Baseline run shaped like the Markov predictions: [{ year, phase,
+  predicted, actualData }] following `predictions` (step 0 keeps its
+  input values). histories: { [country]: [{ year, value }] }.
+*/
+export const baselinePredictions = (
+  method,
+  histories,
+  predictions,
+  countries
+) => {
+  const fits = Object.fromEntries(
+    countries.map((c) => [c, fitBaseline(method, histories[c] || [])])
+  );
+  return predictions.map((pred) => ({
+    year: pred.year,
+    phase: pred.phase,
+    actualData: pred.actualData,
+    predicted:
+      pred.phase === "prediction"
+        ? Object.fromEntries(countries.map((c) => [c, fits[c](pred.year)]))
+        : pred.predicted,
+  }));
+};
+
+/*
+  Leaderboard of runs { [key]: predictions } on their observed points:
+  [{ key, n, rmse, mae, skill }] by ascending RMSE, skill being
+  1 − RMSE / RMSE(persistence).
+*/
+export const rankModels = (runs, countries) => {
+  const rows = Object.entries(runs).map(([key, predictions]) => ({
+    key,
+    ...scoreForecasts(evaluationRecords(predictions, countries)),
+  }));
+  const reference = rows.find((r) => r.key === "persistence")?.rmse;
+  return rows
+    .map(({ key, n, rmse, mae }) => ({
+      key,
+      n,
+      rmse,
+      mae,
+      skill: reference > 0 ? 1 - rmse / reference : NaN,
+    }))
+    .sort(
+      (a, b) =>
+        (Number.isFinite(a.rmse) ? a.rmse : Infinity) -
+        (Number.isFinite(b.rmse) ? b.rmse : Infinity)
+    );
+};
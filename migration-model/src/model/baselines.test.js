@@ -0,0 +1,47 @@
+import { baselinePredictions, fitBaseline, rankModels } from "./baselines";
+
+const history = [2010, 2011, 2012, 2013].map((year, k) => ({
+  year,
+  value: 100 + 10 * k,
+}));
+
+test("baselines extrapolate a straight-line history", () => {
+  expect(fitBaseline("persistence", history)(2015)).toBe(130);
+  expect(fitBaseline("linear", history)(2015)).toBeCloseTo(150, 9);
+  expect(fitBaseline("holt", history)(2015)).toBeCloseTo(150, 9);
+  // Exact linear growth is a unit root: drift of 10 a year
+  expect(fitBaseline("ar1", history)(2015)).toBeCloseTo(150, 6);
+});
+
+test("log-linear growth follows a constant rate", () => {
+  const growing = [0, 1, 2].map((k) => ({
+    year: 2000 + k,
+    value: 100 * 1.1 ** k,
+  }));
+  expect(fitBaseline("logLinear", growing)(2004)).toBeCloseTo(
+    100 * 1.1 ** 4,
+    9
+  );
+});
+
+test("short histories fall back to persistence", () => {
+  expect(fitBaseline("ar1", history.slice(0, 2))(2015)).toBe(110);
+});
+
+test("leaderboard ranks by RMSE with skill against persistence", () => {
+  const predictions = [
+    { year: 2013, phase: "input", predicted: { A: 130 } },
+    { year: 2014, phase: "prediction", actualData: { A: 140 } },
+    { year: 2015, phase: "prediction", actualData: { A: 150 } },
+  ];
+  const runs = Object.fromEntries(
+    ["persistence", "linear"].map((m) => [
+      m,
+      baselinePredictions(m, { A: history }, predictions, ["A"]),
+    ])
+  );
+  const board = rankModels(runs, ["A"]);
+  expect(board.map((r) => r.key)).toEqual(["linear", "persistence"]);
+  expect(board[0].skill).toBeCloseTo(1, 9);
+  expect(board[1].skill).toBe(0);
+});
@@ -0,0 +1,309 @@
+/**
+ * Coefficient calibration
+ * Searches the distance decay α, the tie coefficients β_k and optionally
+ * the stay-probability floor for the values that minimise a one-step
+ * backtest loss over the training pairs: for each pair (t, t+1) the
+ * gravity matrix built from year t's flows propagates the observed stock
+ * of year t and is scored against the observed stock of year t+1.
+ * The searches are generators that yield { done, total } progress (total
+ * null when unknown) between slices of evaluations, so the page can stay
+ * responsive and report progress; calibrate and lossSurface run them to
+ * the end in one go.
+ */
+
+import { TIE_KEYS } from "./connectivity";
+import { perturbRow, propagatePopulation } from "./ensemble";
+import { createRng } from "./rng";
+
+export const CALIBRATION_METHODS = {
+  nelderMead: "Nelder–Mead",
+  grid: "Grid search",
+};
+
+export const CALIBRATION_LOSSES = {
+  rmse: "Backtest RMSE",
+  crps: "Backtest CRPS",
+};
+
+export const PARAMETER_BOUNDS = {
+  alpha: [0, 1],
+  beta: [0, 1],
+  stayFloor: [0, 0.95],
+};
+
+/* Loss within this fraction of the optimum counts as "as good" */
+export const CONFIDENCE_TOLERANCE = 0.05;
+
+const CRPS_MEMBERS = 40;
+const CRPS_SEED = "calibration";
+
+const clamp = (v, [lo, hi]) => Math.min(hi, Math.max(lo, v));
+
+/* Parameter vector <-> { alpha, betas, stayFloor } */
+const toParams = (x, base, withFloor) => ({
+  alpha: clamp(x[0], PARAMETER_BOUNDS.alpha),
+  betas: Object.fromEntries(
+    TIE_KEYS.map((k, i) => [k, clamp(x[i + 1], PARAMETER_BOUNDS.beta)])
+  ),
+  stayFloor: withFloor
+    ? clamp(x[TIE_KEYS.length + 1], PARAMETER_BOUNDS.stayFloor)
+    : base.stayFloor,
+});
+
+const toVector = (params, withFloor) => [
+  params.alpha,
+  ...TIE_KEYS.map((k) => params.betas[k] || 0),
+  ...(withFloor ? [params.stayFloor] : []),
+];
+
+/* Empirical CRPS of an ensemble against one observation */
+export const ensembleCRPS = (members, observed) => {
+  const m = members.length;
+  if (!m) return Math.abs(observed);
+  const sorted = [...members].sort((a, b) => a - b);
+  const spread = sorted.reduce((a, x, i) => a + x * (2 * i - m + 1), 0);
+  const absErr = sorted.reduce((a, x) => a + Math.abs(x - observed), 0) / m;
+  return absErr - spread / (m * m);
+};
+
+/**
+ * One-step backtest loss of a parameter set.
+ * context: { countries, pairs: [{ from, to, ... }], buildMatrix(pair, params) }
+ * where from/to are stock objects keyed by country.
+ */
+export const backtestLoss = (context, params, loss = "rmse") => {
+  const { countries, pairs, buildMatrix } = context;
+  let total = 0;
+  let count = 0;
+  // Same random numbers for every parameter set keep the CRPS surface smooth
+  const rng = loss === "crps" ? createRng(CRPS_SEED) : null;
+
+  pairs.forEach((pair) => {
+    const matrix = buildMatrix(pair, params);
+    if (loss === "crps") {
+      const members = Array.from({ length: CRPS_MEMBERS }, () =>
+        propagatePopulation(
+          pair.from,
+          matrix.map((row) => perturbRow(row, rng)),
+          countries
+        )
+      );
+      countries.forEach((c) => {
+        total += ensembleCRPS(
+          members.map((m) => m[c]),
+          pair.to[c]
+        );
+        count++;
+      });
+    } else {
+      const pred = propagatePopulation(pair.from, matrix, countries);
+      countries.forEach((c) => {
+        total += (pred[c] - pair.to[c]) ** 2;
+        count++;
+      });
+    }
+  });
+
+  if (!count) return NaN;
+  return loss === "crps" ? total / count : Math.sqrt(total / count);
+};
+
+/* Value a step generator returns, running it to the end */
+export const runSteps = (steps) => {
+  let r = steps.next();
+  while (!r.done) r = steps.next();
+  return r.value;
+};
+
+/* Nelder–Mead simplex minimisation of f over R^n, one yield per iteration */
+export function* nelderMeadSteps(
+  f,
+  x0,
+  { step = 0.1, maxIter = 300, tol = 1e-8 } = {}
+) {
+  const n = x0.length;
+  let simplex = [
+    x0,
+    ...x0.map((_, i) => x0.map((v, j) => (i === j ? v + step : v))),
+  ].map((x) => ({ x, fx: f(x) }));
+  let iterations = 0;
+
+  const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+  for (; iterations < maxIter; iterations++) {
+    yield { done: iterations, total: null };
+    simplex.sort((a, b) => a.fx - b.fx);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.fx - best.fx) <= tol * (Math.abs(best.fx) + tol)) break;
+
+    const centroid = Array(n).fill(0);
+    simplex.slice(0, n).forEach(({ x }) => {
+      x.forEach((v, i) => {
+        centroid[i] += v / n;
+      });
+    });
+
+    const reflected = combine(centroid, worst.x, -1);
+    const fr = f(reflected);
+    if (fr < best.fx) {
+      const expanded = combine(centroid, worst.x, -2);
+      const fe = f(expanded);
+      simplex[n] = fe < fr ? { x: expanded, fx: fe } : { x: reflected, fx: fr };
+    } else if (fr < simplex[n - 1].fx) {
+      simplex[n] = { x: reflected, fx: fr };
+    } else {
+      const contracted = combine(centroid, worst.x, fr < worst.fx ? -0.5 : 0.5);
+      const fc = f(contracted);
+      if (fc < Math.min(fr, worst.fx)) {
+        simplex[n] = { x: contracted, fx: fc };
+      } else {
+        simplex = simplex.map((p, i) => {
+          if (i === 0) return p;
+          const x = combine(best.x, p.x, 0.5);
+          return { x, fx: f(x) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.fx - b.fx);
+  return { x: simplex[0].x, fx: simplex[0].fx, iterations };
+}
+
+export const nelderMead = (f, x0, options) =>
+  runSteps(nelderMeadSteps(f, x0, options));
+
+const linspace = ([lo, hi], size) =>
+  Array.from({ length: size }, (_, i) => lo + ((hi - lo) * i) / (size - 1));
+
+/*
+  Range of one parameter over which the loss stays within
+  CONFIDENCE_TOLERANCE of the optimum, others held at the optimum.
+*/
+const profileRange = (evaluate, params, setter, bounds, bestLoss) => {
+  const limit = bestLoss * (1 + CONFIDENCE_TOLERANCE);
+  const ok = linspace(bounds, 21).filter(
+    (v) => evaluate(setter(params, v)) <= limit
+  );
+  return ok.length ? [Math.min(...ok), Math.max(...ok)] : null;
+};
+
+/**
+ * Calibrate α, β (and optionally the stay floor).
+ * options: { method, loss, calibrateFloor, initial: { alpha, betas, stayFloor } }
+ * Returns { params, loss, evaluations, ranges: { alpha, betas: { k }, stayFloor } }.
+ * Yields once per grid cell (or search iteration) and per profiled range.
+ */
+export function* calibrationSteps(context, options) {
+  const {
+    method = "nelderMead",
+    loss = "rmse",
+    calibrateFloor = false,
+  } = options;
+  const initial = options.initial;
+  let evaluations = 0;
+  const evaluate = (params) => {
+    evaluations++;
+    const v = backtestLoss(context, params, loss);
+    return Number.isFinite(v) ? v : Infinity;
+  };
+
+  let best;
+  if (method === "grid") {
+    // α × common β (× stay floor) grid; each β_k shares the grid value
+    const floors = calibrateFloor
+      ? linspace([0.3, 0.9], 7)
+      : [initial.stayFloor];
+    best = { params: initial, fx: Infinity };
+    const total = 11 * 11 * floors.length;
+    for (const alpha of linspace(PARAMETER_BOUNDS.alpha, 11)) {
+      for (const beta of linspace(PARAMETER_BOUNDS.beta, 11)) {
+        yield { done: evaluations, total };
+        for (const stayFloor of floors) {
+          const params = {
+            alpha,
+            betas: Object.fromEntries(TIE_KEYS.map((k) => [k, beta])),
+            stayFloor,
+          };
+          const fx = evaluate(params);
+          if (fx < best.fx) best = { params, fx };
+        }
+      }
+    }
+  } else {
+    const search = nelderMeadSteps(
+      (x) => evaluate(toParams(x, initial, calibrateFloor)),
+      toVector(initial, calibrateFloor)
+    );
+    let r = search.next();
+    while (!r.done) {
+      yield { done: evaluations, total: null };
+      r = search.next();
+    }
+    const result = r.value;
+    best = {
+      params: toParams(result.x, initial, calibrateFloor),
+      fx: result.fx,
+    };
+  }
+
+  const { params } = best;
+  const profile = function* (setter, bounds) {
+    yield { done: evaluations, total: null };
+    return profileRange(evaluate, params, setter, bounds, best.fx);
+  };
+  const ranges = {
+    alpha: yield* profile(
+      (p, v) => ({ ...p, alpha: v }),
+      PARAMETER_BOUNDS.alpha
+    ),
+    betas: {},
+    stayFloor: null,
+  };
+  for (const k of TIE_KEYS) {
+    ranges.betas[k] = yield* profile(
+      (p, v) => ({ ...p, betas: { ...p.betas, [k]: v } }),
+      PARAMETER_BOUNDS.beta
+    );
+  }
+  if (calibrateFloor) {
+    ranges.stayFloor = yield* profile(
+      (p, v) => ({ ...p, stayFloor: v }),
+      PARAMETER_BOUNDS.stayFloor
+    );
+  }
+
+  return { params, loss: best.fx, evaluations, ranges };
+}
+
+export const calibrate = (context, options) =>
+  runSteps(calibrationSteps(context, options));
+
+/* Loss over an α × β_k grid, other parameters fixed; one yield per β row */
+export function* lossSurfaceSteps(
+  context,
+  params,
+  tieKey,
+  loss = "rmse",
+  size = 15
+) {
+  const alphas = linspace(PARAMETER_BOUNDS.alpha, size);
+  const betas = linspace(PARAMETER_BOUNDS.beta, size);
+  const values = [];
+  for (const beta of betas) {
+    yield { done: values.length * size, total: size * size };
+    values.push(
+      alphas.map((alpha) =>
+        backtestLoss(
+          context,
+          { ...params, alpha, betas: { ...params.betas, [tieKey]: beta } },
+          loss
+        )
+      )
+    );
+  }
+  return { alphas, betas, values, tieKey };
+}
+
+export const lossSurface = (...args) => runSteps(lossSurfaceSteps(...args));
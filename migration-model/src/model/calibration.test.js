@@ -0,0 +1,59 @@
+import {
+  backtestLoss,
+  calibrate,
+  calibrationSteps,
+  ensembleCRPS,
+  nelderMead,
+} from "./calibration";
+
+test("Nelder–Mead finds the minimum of a quadratic bowl", () => {
+  const { x } = nelderMead(
+    ([a, b]) => (a - 0.3) ** 2 + 2 * (b + 0.1) ** 2,
+    [0, 0]
+  );
+  expect(x[0]).toBeCloseTo(0.3, 3);
+  expect(x[1]).toBeCloseTo(-0.1, 3);
+});
+
+test("CRPS of a point ensemble is the absolute error", () => {
+  expect(ensembleCRPS([5, 5, 5], 2)).toBeCloseTo(3);
+  expect(ensembleCRPS([1, 3], 2)).toBeCloseTo(0.5);
+});
+
+test("calibration recovers the coefficient that generated the data", () => {
+  const countries = ["A", "B"];
+  // Toy model: the off-diagonal share is α / 2
+  const buildMatrix = (pair, { alpha }) => [
+    [1 - alpha / 2, alpha / 2],
+    [alpha / 2, 1 - alpha / 2],
+  ];
+  const from = { A: 1000, B: 200 };
+  const to = { A: 1000 - 0.2 * 1000 + 0.2 * 200, B: 200 - 40 + 200 };
+  const context = { countries, buildMatrix, pairs: [{ from, to }] };
+  const initial = {
+    alpha: 0.1,
+    betas: { border: 0, language: 0, colonial: 0, freeMovement: 0 },
+    stayFloor: 0.5,
+  };
+
+  expect(backtestLoss(context, { ...initial, alpha: 0.4 })).toBeCloseTo(0);
+  const result = calibrate(context, { method: "nelderMead", initial });
+  expect(result.params.alpha).toBeCloseTo(0.4, 2);
+  expect(result.ranges.alpha[0]).toBeLessThanOrEqual(0.4);
+  expect(result.ranges.alpha[1]).toBeGreaterThanOrEqual(0.4);
+
+  const grid = calibrate(context, { method: "grid", initial });
+  expect(grid.params.alpha).toBeCloseTo(0.4, 5);
+
+  // The stepped search yields progress and ends with the same result
+  const steps = calibrationSteps(context, { method: "grid", initial });
+  const progress = [];
+  let r = steps.next();
+  while (!r.done) {
+    progress.push(r.value);
+    r = steps.next();
+  }
+  expect(progress[0]).toEqual({ done: 0, total: 121 });
+  expect(progress.length).toBeGreaterThan(121);
+  expect(r.value).toEqual(grid);
+});
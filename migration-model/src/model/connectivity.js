@@ -0,0 +1,101 @@
+/**
+ * Bilateral connectivity
+ * Ties between registry countries read from data/ties.json: land borders,
+ * a shared official language, a common colonial or imperial history and
+ * joint free-movement membership (EU, EEA or Schengen) in a given year.
+ * Each tie is an indicator c_k(i, j) ∈ {0, 1} weighted by its own β_k in
+ * the gravity weight.
+ */
+
+import ties from "./data/ties.json";
+import { resolveCountry } from "./countries";
+
+export const TIE_TYPES = {
+  border: {
+    label: "Land border",
+    description: "Countries share a land border",
+  },
+  language: {
+    label: "Shared language",
+    description: "Countries share at least one official language",
+  },
+  colonial: {
+    label: "Colonial history",
+    description:
+      "Countries were in a colonial relationship or part of the same empire",
+  },
+  freeMovement: {
+    label: "Free movement",
+    description: "Both countries are EU, EEA or Schengen members that year",
+  },
+};
+
+export const TIE_KEYS = Object.keys(TIE_TYPES);
+
+export const DEFAULT_TIE_COEFFICIENTS = {
+  border: 0.3,
+  language: 0.2,
+  colonial: 0.1,
+  freeMovement: 0.2,
+};
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+const borders = new Set(ties.borders.map(([a, b]) => pairKey(a, b)));
+
+const colonialPairs = new Set();
+Object.values(ties.colonialGroups).forEach((members) => {
+  members.forEach((a) => {
+    members.forEach((b) => {
+      if (a !== b) colonialPairs.add(pairKey(a, b));
+    });
+  });
+});
+
+const isMember = (span, year) =>
+  !!span && year >= span.from && (span.to === undefined || year <= span.to);
+
+/* Tie indicators between two ISO3 codes in a given year */
+export const tieValues = (iso1, iso2, year) => {
+  if (iso1 === iso2) {
+    return { border: 0, language: 0, colonial: 0, freeMovement: 0 };
+  }
+  const key = pairKey(iso1, iso2);
+  const langs1 = ties.languages[iso1] || [];
+  const langs2 = ties.languages[iso2] || [];
+  const freeMovement = Object.values(ties.freeMovement).some(
+    (area) => isMember(area[iso1], year) && isMember(area[iso2], year)
+  );
+
+  return {
+    border: borders.has(key) ? 1 : 0,
+    language: langs1.some((l) => langs2.includes(l)) ? 1 : 0,
+    colonial: colonialPairs.has(key) ? 1 : 0,
+    freeMovement: freeMovement ? 1 : 0,
+  };
+};
+
+/* Tie indicators between registry countries for one year, keyed by name */
+export const buildConnectivity = (names, year) => {
+  const iso = {};
+  names.forEach((n) => {
+    iso[n] = resolveCountry(n)?.iso3 || n;
+  });
+
+  const conn = {};
+  names.forEach((c1) => {
+    conn[c1] = {};
+    names.forEach((c2) => {
+      conn[c1][c2] = tieValues(iso[c1], iso[c2], year);
+    });
+  });
+  return conn;
+};
+
+/* 1 + Σ β_k c_k(i, j); missing ties or coefficients count as zero */
+export const connectivityMultiplier = (pairTies, coefficients) =>
+  1 +
+  TIE_KEYS.reduce(
+    (sum, k) => sum + (coefficients?.[k] || 0) * (pairTies?.[k] || 0),
+    0
+  );
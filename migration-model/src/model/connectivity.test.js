@@ -0,0 +1,35 @@
+import {
+  buildConnectivity,
+  connectivityMultiplier,
+  tieValues,
+} from "./connectivity";
+
+test("reads borders, languages and colonial history symmetrically", () => {
+  expect(tieValues("AUT", "DEU", 2010)).toMatchObject({
+    border: 1,
+    language: 1,
+  });
+  expect(tieValues("NZL", "GBR", 2010)).toMatchObject({
+    border: 0,
+    language: 1,
+    colonial: 1,
+  });
+  expect(tieValues("MEX", "CHL", 2010)).toEqual(tieValues("CHL", "MEX", 2010));
+  expect(tieValues("JPN", "JPN", 2010).border).toBe(0);
+});
+
+test("free movement follows membership years", () => {
+  expect(tieValues("POL", "DEU", 2003).freeMovement).toBe(0);
+  expect(tieValues("POL", "DEU", 2004).freeMovement).toBe(1);
+  expect(tieValues("CHE", "FRA", 2007).freeMovement).toBe(0);
+  expect(tieValues("CHE", "FRA", 2008).freeMovement).toBe(1);
+  expect(tieValues("GBR", "IRL", 2020).freeMovement).toBe(1);
+  expect(tieValues("GBR", "IRL", 2021).freeMovement).toBe(0);
+});
+
+test("weights each tie by its own coefficient", () => {
+  const conn = buildConnectivity(["Austria", "Germany"], 2010);
+  const beta = { border: 0.3, language: 0.2, colonial: 0.5, freeMovement: 0.1 };
+  expect(connectivityMultiplier(conn.Austria.Germany, beta)).toBeCloseTo(1.6);
+  expect(connectivityMultiplier(conn.Austria.Austria, beta)).toBe(1);
+});
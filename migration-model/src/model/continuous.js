@@ -0,0 +1,196 @@
+/**
+ * Continuous-time variant
+ * Reads the one-year transition matrix T as the t = 1 value of a
+ * continuous-time Markov chain, T = e^Q, and solves the Kolmogorov forward
+ * equation dP/dt = Qᵀ P with either the matrix exponential or an RK4
+ * integrator, so horizons and outputs need not fall on whole years.
+ */
+
+export const TIME_MODES = {
+  discrete: "Discrete (yearly steps)",
+  continuous: "Continuous (ODE)",
+};
+
+export const ODE_SOLVERS = {
+  expm: "Matrix exponential",
+  rk4: "Runge–Kutta 4",
+};
+
+/* Output spacing in years */
+export const OUTPUT_INTERVALS = [
+  [1, "Yearly"],
+  [0.5, "Half-yearly"],
+  [0.25, "Quarterly"],
+  [1 / 12, "Monthly"],
+];
+
+export const RK4_MAX_STEP = 0.05;
+
+/* Small dense-matrix helpers */
+const identity = (n) =>
+  Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+  );
+
+const multiply = (A, B) =>
+  A.map((row) =>
+    B[0].map((_, j) => row.reduce((s, a, k) => s + a * B[k][j], 0))
+  );
+
+const combine = (A, B, a = 1, b = 1) =>
+  A.map((row, i) => row.map((v, j) => a * v + b * B[i][j]));
+
+const scale = (A, s) => A.map((row) => row.map((v) => v * s));
+
+/* Max absolute row sum */
+const norm = (A) =>
+  Math.max(0, ...A.map((row) => row.reduce((s, v) => s + Math.abs(v), 0)));
+
+const isFiniteMatrix = (A) => A.every((row) => row.every(Number.isFinite));
+
+/* Gauss–Jordan inverse with partial pivoting */
+const inverse = (A) => {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, ...identity(n)[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) {
+      if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    }
+    if (Math.abs(M[pivot][c]) < 1e-14) throw new Error("Singular matrix");
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    const p = M[c][c];
+    for (let j = 0; j < 2 * n; j++) M[c][j] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === c || M[r][c] === 0) continue;
+      const f = M[r][c];
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map((row) => row.slice(n));
+};
+
+/* Principal square root by the Denman–Beavers iteration */
+const sqrtm = (A) => {
+  let Y = A;
+  let Z = identity(A.length);
+  for (let i = 0; i < 50; i++) {
+    const nextY = scale(combine(Y, inverse(Z)), 0.5);
+    const nextZ = scale(combine(Z, inverse(Y)), 0.5);
+    const change = norm(combine(nextY, Y, 1, -1));
+    Y = nextY;
+    Z = nextZ;
+    if (change < 1e-13) break;
+  }
+  return Y;
+};
+
+/*
+  Principal logarithm by inverse scaling and squaring: take square roots
+  until A is close to I, sum the series for log(I + X), scale back.
+*/
+export const logm = (A) => {
+  const n = A.length;
+  const I = identity(n);
+  let R = A;
+  let k = 0;
+  while (norm(combine(R, I, 1, -1)) > 0.25 && k < 30) {
+    R = sqrtm(R);
+    k++;
+  }
+  const X = combine(R, I, 1, -1);
+  let term = X;
+  let sum = X;
+  for (let m = 2; m <= 100 && norm(term) > 1e-16; m++) {
+    term = multiply(term, X);
+    sum = combine(sum, term, 1, (m % 2 ? 1 : -1) / m);
+  }
+  return scale(sum, 2 ** k);
+};
+
+/* Matrix exponential by scaling and squaring of the Taylor series */
+export const expm = (A) => {
+  const n = A.length;
+  const s = Math.max(0, Math.ceil(Math.log2(norm(A) / 0.5)));
+  const X = scale(A, 1 / 2 ** s);
+  let term = identity(n);
+  let sum = identity(n);
+  for (let m = 1; m <= 30 && norm(term) > 1e-17; m++) {
+    term = scale(multiply(term, X), 1 / m);
+    sum = combine(sum, term);
+  }
+  for (let i = 0; i < s; i++) sum = multiply(sum, sum);
+  return sum;
+};
+
+/**
+ * Generator matrix Q with e^Q ≈ T.
+ * Uses the principal logarithm and, where that has negative off-diagonal
+ * rates (T is not exactly embeddable), clips them to 0 and resets the
+ * diagonal so every row sums to 0. Falls back to Q = T − I when the
+ * logarithm does not exist (e.g. a singular T).
+ * Returns { Q, method: "log" | "linear", clipped }.
+ */
+export const generatorFromTransition = (T) => {
+  const n = T.length;
+  let method = "log";
+  let L;
+  try {
+    L = logm(T);
+    if (!isFiniteMatrix(L)) throw new Error("No real logarithm");
+  } catch (_) {
+    method = "linear";
+    L = combine(T, identity(n), 1, -1);
+  }
+
+  let clipped = 0;
+  const Q = L.map((row, i) => {
+    const out = row.map((v, j) => {
+      if (i === j) return 0;
+      if (v < -1e-12) clipped++;
+      return Math.max(0, v);
+    });
+    out[i] = -out.reduce((s, v) => s + v, 0);
+    return out;
+  });
+  return { Q, method, clipped };
+};
+
+/* dP/dt = Qᵀ P for a population vector */
+const derivative = (p, Q) =>
+  p.map((_, j) => p.reduce((s, pi, i) => s + pi * Q[i][j], 0));
+
+/* Classical RK4 from 0 to t in steps of at most maxStep */
+export const rk4Integrate = (p0, Q, t, maxStep = RK4_MAX_STEP) => {
+  const steps = Math.max(1, Math.ceil(t / maxStep - 1e-9));
+  const h = t / steps;
+  const axpy = (p, k, a) => p.map((v, i) => v + a * k[i]);
+  let p = p0;
+  for (let s = 0; s < steps; s++) {
+    const k1 = derivative(p, Q);
+    const k2 = derivative(axpy(p, k1, h / 2), Q);
+    const k3 = derivative(axpy(p, k2, h / 2), Q);
+    const k4 = derivative(axpy(p, k3, h), Q);
+    p = p.map((v, i) => v + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+  }
+  return p;
+};
+
+/*
+  Transition matrix over an interval dt, row i being where a unit
+  population starting in i ends up: e^{Q dt}, or RK4 applied to each row.
+*/
+export const intervalMatrix = (Q, dt, solver = "expm") =>
+  solver === "rk4"
+    ? identity(Q.length).map((row) => rk4Integrate(row, Q, dt))
+    : expm(scale(Q, dt));
+
+/* Output times 0, interval, 2·interval, … up to and including horizon */
+export const outputTimes = (horizon, interval = 1) => {
+  const times = [0];
+  for (let k = 1; k * interval < horizon - 1e-9; k++) {
+    times.push(Math.round(k * interval * 1e6) / 1e6);
+  }
+  if (horizon > 0) times.push(Math.round(horizon * 1e6) / 1e6);
+  return times;
+};
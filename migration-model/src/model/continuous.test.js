@@ -0,0 +1,71 @@
+import {
+  expm,
+  generatorFromTransition,
+  intervalMatrix,
+  outputTimes,
+  rk4Integrate,
+} from "./continuous";
+import { ensembleSteps } from "./ensemble";
+
+const T = [
+  [0.9, 0.07, 0.03],
+  [0.05, 0.9, 0.05],
+  [0.02, 0.08, 0.9],
+];
+
+const expectClose = (A, B, digits = 6) =>
+  A.forEach((row, i) =>
+    row.forEach((v, j) => expect(v).toBeCloseTo(B[i][j], digits))
+  );
+
+test("generator recovers T over one year and has zero row sums", () => {
+  const { Q, method, clipped } = generatorFromTransition(T);
+  expect(method).toBe("log");
+  expect(clipped).toBe(0);
+  Q.forEach((row, i) => {
+    expect(row.reduce((a, b) => a + b, 0)).toBeCloseTo(0, 12);
+    row.forEach((v, j) => i !== j && expect(v).toBeGreaterThanOrEqual(0));
+  });
+  expectClose(expm(Q), T);
+});
+
+test("half-year steps compose to the one-year matrix", () => {
+  const { Q } = generatorFromTransition(T);
+  const half = intervalMatrix(Q, 0.5);
+  const composed = half.map((row) =>
+    T.map((_, j) => row.reduce((s, v, k) => s + v * half[k][j], 0))
+  );
+  expectClose(composed, T);
+});
+
+test("RK4 agrees with the matrix exponential and keeps the total", () => {
+  const { Q } = generatorFromTransition(T);
+  const p0 = [1000, 500, 250];
+  const viaRk4 = rk4Integrate(p0, Q, 2.5);
+  const E = expm(Q.map((row) => row.map((v) => v * 2.5)));
+  const viaExpm = T.map((_, j) => p0.reduce((s, p, i) => s + p * E[i][j], 0));
+  viaRk4.forEach((v, j) => expect(v).toBeCloseTo(viaExpm[j], 4));
+  expect(viaRk4.reduce((a, b) => a + b, 0)).toBeCloseTo(1750, 8);
+});
+
+test("output times include a fractional horizon", () => {
+  expect(outputTimes(2, 0.5)).toEqual([0, 0.5, 1, 1.5, 2]);
+  expect(outputTimes(2.25, 1)).toEqual([0, 1, 2, 2.25]);
+});
+
+test("continuous ensemble reports fractional years", () => {
+  const { Q } = generatorFromTransition(T);
+  const years = Array.from(
+    ensembleSteps({
+      initPop: { A: 1000, B: 500, C: 250 },
+      selectedCountries: ["A", "B", "C"],
+      ensembleSize: 10,
+      seed: "ct",
+      startYear: 2020,
+      generator: Q,
+      times: outputTimes(1.5, 0.5),
+    }),
+    (s) => s.result.year
+  );
+  expect(years).toEqual([2020, 2020.5, 2021, 2021.5]);
+});
@@ -0,0 +1,88 @@
+/**
+ * Country registry
+ * Bundled list of OECD countries with ISO3 codes, name aliases, capital and
+ * population-weighted centroid coordinates and region membership. Every
+ * country name coming from a data file is resolved through here.
+ */
+
+import registry from "./data/countries.json";
+
+export const COUNTRIES = registry.countries;
+
+export const DISTANCE_BASES = {
+  centroid: "Population-weighted centroids",
+  capital: "Capital cities",
+};
+
+export const REGIONS = Array.from(
+  new Set(COUNTRIES.flatMap((c) => c.regions))
+).sort();
+
+const normaliseName = (name) =>
+  String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const lookup = new Map();
+COUNTRIES.forEach((c) => {
+  [c.name, c.iso3, ...c.aliases].forEach((n) => {
+    lookup.set(normaliseName(n), c);
+  });
+});
+
+/* Registry entry for a name, alias or ISO3 code; null when unknown */
+export const resolveCountry = (name) => lookup.get(normaliseName(name)) || null;
+
+export const countriesInRegion = (region) =>
+  COUNTRIES.filter((c) => c.regions.includes(region)).map((c) => c.name);
+
+export const countryLocation = (entry, basis = "centroid") => {
+  const point = basis === "capital" ? entry.capital : entry.centroid;
+  return [point.lat, point.lon];
+};
+
+export const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/* Great-circle distances (km) between registry countries, keyed by name */
+export const buildDistanceMatrix = (names, basis = "centroid") => {
+  const distances = {};
+  names.forEach((c1) => {
+    distances[c1] = {};
+    const [lat1, lon1] = countryLocation(resolveCountry(c1), basis);
+    names.forEach((c2) => {
+      if (c1 === c2) {
+        distances[c1][c2] = 0;
+        return;
+      }
+      const [lat2, lon2] = countryLocation(resolveCountry(c2), basis);
+      distances[c1][c2] = haversineDistance(lat1, lon1, lat2, lon2);
+    });
+  });
+  return distances;
+};
+
+/**
+ * Rewrite row.Country to registry names in place.
+ * Returns the names that could not be resolved.
+ */
+export const canonicaliseCountries = (rows) => {
+  const unknown = [];
+  rows.forEach((row) => {
+    const entry = resolveCountry(row?.Country);
+    if (entry) row.Country = entry.name;
+    else if (row?.Country) unknown.push(row.Country);
+  });
+  return unknown;
+};
@@ -0,0 +1,48 @@
+import {
+  buildDistanceMatrix,
+  canonicaliseCountries,
+  haversineDistance,
+  resolveCountry,
+} from "./countries";
+
+test("names, aliases and ISO3 codes resolve to one registry entry", () => {
+  expect(resolveCountry("United States").iso3).toBe("USA");
+  expect(resolveCountry("United States of America").name).toBe("United States");
+  expect(resolveCountry("usa").name).toBe("United States");
+  expect(resolveCountry("Korea, Rep.").name).toBe("Korea");
+  expect(resolveCountry("KOR").name).toBe("Korea");
+  // Case, accents and punctuation are ignored
+  expect(resolveCountry("TÜRKIYE").name).toBe("Turkey");
+  expect(resolveCountry(" south-korea ").name).toBe("Korea");
+});
+
+test("unknown and empty names resolve to null", () => {
+  expect(resolveCountry("Atlantis")).toBeNull();
+  expect(resolveCountry("")).toBeNull();
+  expect(resolveCountry(undefined)).toBeNull();
+});
+
+test("distance matrix is symmetric, zero on the diagonal and in km", () => {
+  const names = ["Germany", "France", "Spain"];
+  const d = buildDistanceMatrix(names, "capital");
+  names.forEach((a) => {
+    expect(d[a][a]).toBe(0);
+    names.forEach((b) => expect(d[a][b]).toBeCloseTo(d[b][a], 9));
+  });
+  // Berlin to Paris is about 880 km
+  expect(d.Germany.France).toBeGreaterThan(850);
+  expect(d.Germany.France).toBeLessThan(900);
+  expect(d.Germany.Spain).toBeGreaterThan(d.Germany.France);
+
+  const centroid = buildDistanceMatrix(names);
+  expect(centroid.Germany.France).toBeCloseTo(
+    haversineDistance(50.9, 9.9, 47.2, 2.6),
+    9
+  );
+});
+
+test("data rows are rewritten to registry names", () => {
+  const rows = [{ Country: "USA" }, { Country: "Atlantis" }, {}];
+  expect(canonicaliseCountries(rows)).toEqual(["Atlantis"]);
+  expect(rows[0].Country).toBe("United States");
+});
@@ -0,0 +1,263 @@
+/**
+ * Economic and demographic covariates
+ * Country-year GDP per capita, unemployment rate, total population and an
+ * optional conflict index from an auxiliary file. An active covariate x_k
+ * enters the gravity model standardised across the selected countries in
+ * the year, z_k = (x_k − mean) / sd (after a log for the skewed ones):
+ * destinations pull with exp(Σ γ_k z_jk) on the weight w_ij and origins
+ * push with exp(Σ δ_k z_ik) on the outflow rate behind p_stay. A missing
+ * value counts as the mean, z = 0.
+ */
+
+import { backtestLoss, nelderMead } from "./calibration";
+import { parseNumberCell } from "./importers";
+
+export const COVARIATES = {
+  gdpPerCapita: {
+    label: "GDP per capita",
+    symbol: "\\text{GDP}",
+    description: "Log GDP per capita",
+    log: true,
+    aliases: ["gdp per capita", "gdppc", "gdp pc", "gdp"],
+  },
+  unemployment: {
+    label: "Unemployment rate",
+    symbol: "\\text{U}",
+    description: "Unemployment rate in percent",
+    log: false,
+    aliases: ["unemployment rate", "unemployment", "unemp"],
+  },
+  population: {
+    label: "Total population",
+    symbol: "\\text{Pop}",
+    description: "Log total population",
+    log: true,
+    aliases: ["total population", "population", "pop"],
+  },
+  conflict: {
+    label: "Conflict index",
+    symbol: "\\text{Conf}",
+    description: "Conflict or political instability index (optional)",
+    log: false,
+    aliases: ["conflict index", "conflict", "instability"],
+  },
+};
+
+export const COVARIATE_KEYS = Object.keys(COVARIATES);
+
+/* γ (pull on destinations) and δ (push out of origins) per covariate */
+export const DEFAULT_COVARIATE_COEFFICIENTS = {
+  gdpPerCapita: { pull: 0.3, push: -0.2 },
+  unemployment: { pull: -0.2, push: 0.2 },
+  population: { pull: 0.1, push: 0 },
+  conflict: { pull: -0.3, push: 0.3 },
+};
+
+export const COVARIATE_BOUNDS = [-1, 1];
+
+const normalise = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/* Best-guess { country, year, columns: { key: source } } for a header row */
+export const suggestCovariateColumns = (headers = []) => {
+  const byNorm = {};
+  headers.forEach((h) => {
+    byNorm[normalise(h)] = h;
+  });
+  const pick = (...names) =>
+    names.map((n) => byNorm[normalise(n)]).find(Boolean) || "";
+
+  return {
+    country: pick("country", "country name", "nation", "iso3"),
+    year: pick("year", "time", "period"),
+    columns: Object.fromEntries(
+      COVARIATE_KEYS.map((k) => [k, pick(...COVARIATES[k].aliases)])
+    ),
+  };
+};
+
+/**
+ * Covariate values from imported records and a column mapping.
+ * Returns { values: { [country]: { [year]: { [key]: number } } },
+ * diagnostics: { rowsParsed, rowsRejected, unknownCountries, available,
+ * years, warnings } }, available listing the covariates with at least one
+ * value and warnings the { line, reason } of cells skipped as unreadable.
+ * Log-scaled covariates must be positive.
+ */
+export const readCovariates = (
+  records = [],
+  mapping,
+  resolveCountry = null
+) => {
+  const values = {};
+  const unknown = new Set();
+  const available = new Set();
+  const years = new Set();
+  const warnings = [];
+  let rowsParsed = 0;
+  let rowsRejected = 0;
+  const mapped = Object.entries(mapping.columns || {}).filter(
+    ([, source]) => source
+  );
+
+  records.forEach((rec, i) => {
+    const line = i + 2; // header is row 1
+    const raw = String(rec[mapping.country] ?? "").trim();
+    const year = Number(rec[mapping.year]);
+    if (!raw || !Number.isInteger(year) || year < 1900 || year > 2100) {
+      rowsRejected++;
+      return;
+    }
+    const entry = resolveCountry ? resolveCountry(raw) : null;
+    if (resolveCountry && !entry) unknown.add(raw);
+    const country = entry ? entry.name : raw;
+
+    const row = {};
+    mapped.forEach(([key, source]) => {
+      const { value: n, reason } = parseNumberCell(rec[source]);
+      if (reason) warnings.push({ line, reason: `${reason} in ${source}` });
+      if (n === null || reason) return;
+      if (COVARIATES[key].log && n <= 0) return;
+      row[key] = n;
+      available.add(key);
+    });
+    if (!Object.keys(row).length) {
+      rowsRejected++;
+      return;
+    }
+
+    values[country] = values[country] || {};
+    values[country][year] = { ...values[country][year], ...row };
+    years.add(year);
+    rowsParsed++;
+  });
+
+  return {
+    values,
+    diagnostics: {
+      rowsParsed,
+      rowsRejected,
+      unknownCountries: [...unknown].sort(),
+      available: COVARIATE_KEYS.filter((k) => available.has(k)),
+      years: [...years].sort((a, b) => a - b),
+      warnings,
+    },
+  };
+};
+
+/*
+  Value of a covariate for a country in a year: that year, else the latest
+  earlier year, else the earliest later one; null when there is none.
+*/
+export const covariateValue = (values, country, year, key) => {
+  const byYear = values?.[country];
+  if (!byYear) return null;
+  const known = Object.keys(byYear)
+    .map(Number)
+    .filter((y) => Number.isFinite(byYear[y]?.[key]))
+    .sort((a, b) => a - b);
+  if (!known.length) return null;
+  const earlier = known.filter((y) => y <= year);
+  const used = earlier.length ? earlier[earlier.length - 1] : known[0];
+  return byYear[used][key];
+};
+
+/* z-scores of a list with nulls; nulls and a zero spread give 0 */
+const standardise = (xs) => {
+  const present = xs.filter((x) => x !== null);
+  if (present.length < 2) return xs.map(() => 0);
+  const mean = present.reduce((a, b) => a + b, 0) / present.length;
+  const sd = Math.sqrt(
+    present.reduce((a, x) => a + (x - mean) ** 2, 0) / present.length
+  );
+  return xs.map((x) => (x === null || !(sd > 0) ? 0 : (x - mean) / sd));
+};
+
+/* Standardised covariates { [key]: { [country]: z } } for one year */
+export const covariateScores = (values, countries, year, active) =>
+  Object.fromEntries(
+    active.map((key) => {
+      const xs = countries.map((c) => {
+        const v = covariateValue(values, c, year, key);
+        if (v === null) return null;
+        return COVARIATES[key].log ? Math.log(v) : v;
+      });
+      const zs = standardise(xs);
+      return [key, Object.fromEntries(countries.map((c, i) => [c, zs[i]]))];
+    })
+  );
+
+/*
+  Multipliers for estimateTransitionMatrix in one year:
+  { pull: { [country]: exp(Σ γ_k z_k) }, push: { [country]: exp(Σ δ_k z_k) } },
+  or null when no covariate is active.
+*/
+export const covariateTerms = (
+  values,
+  countries,
+  year,
+  active,
+  coefficients
+) => {
+  if (!values || !active.length) return null;
+  const scores = covariateScores(values, countries, year, active);
+  const factor = (country, side) =>
+    Math.exp(
+      active.reduce(
+        (s, key) => s + (coefficients[key]?.[side] || 0) * scores[key][country],
+        0
+      )
+    );
+  return {
+    pull: Object.fromEntries(countries.map((c) => [c, factor(c, "pull")])),
+    push: Object.fromEntries(countries.map((c) => [c, factor(c, "push")])),
+  };
+};
+
+const clamp = (v) =>
+  Math.min(COVARIATE_BOUNDS[1], Math.max(COVARIATE_BOUNDS[0], v));
+
+/**
+ * Fit γ_k and δ_k of the active covariates by Nelder–Mead on the one-step
+ * backtest loss, the gravity parameters in `base` held fixed. The context
+ * is the calibration one; its buildMatrix reads params.covariates.
+ * Returns { coefficients, loss, initialLoss, evaluations }.
+ */
+export const fitCovariateCoefficients = (
+  context,
+  { base, active, initial, loss = "rmse" }
+) => {
+  let evaluations = 0;
+  const toCoefficients = (x) => ({
+    ...initial,
+    ...Object.fromEntries(
+      active.map((key, k) => [
+        key,
+        { pull: clamp(x[2 * k]), push: clamp(x[2 * k + 1]) },
+      ])
+    ),
+  });
+  const evaluate = (coefficients) => {
+    evaluations++;
+    const v = backtestLoss(
+      context,
+      { ...base, covariates: coefficients },
+      loss
+    );
+    return Number.isFinite(v) ? v : Infinity;
+  };
+
+  const x0 = active.flatMap((key) => [
+    initial[key]?.pull || 0,
+    initial[key]?.push || 0,
+  ]);
+  const initialLoss = evaluate(initial);
+  const result = nelderMead((x) => evaluate(toCoefficients(x)), x0);
+  const coefficients = toCoefficients(result.x);
+  // Keep the starting point when the search does not improve on it
+  return result.fx < initialLoss
+    ? { coefficients, loss: result.fx, initialLoss, evaluations }
+    : { coefficients: initial, loss: initialLoss, initialLoss, evaluations };
+};
@@ -0,0 +1,122 @@
+import {
+  DEFAULT_COVARIATE_COEFFICIENTS,
+  covariateTerms,
+  covariateValue,
+  fitCovariateCoefficients,
+  readCovariates,
+  suggestCovariateColumns,
+} from "./covariates";
+
+const headers = ["Country", "Year", "GDP per capita", "Unemployment rate"];
+const records = [
+  { Country: "AAA", Year: "2020", "GDP per capita": "40,000" },
+  { Country: "BBB", Year: "2020", "GDP per capita": "10000" },
+  { Country: "BBB", Year: "2018", "Unemployment rate": "12.5" },
+  { Country: "Atlantis", Year: "2020", "GDP per capita": "5000" },
+  { Country: "AAA", Year: "", "GDP per capita": "1" },
+];
+const resolve = (name) =>
+  name === "AAA" ? { name: "Alpha" } : name === "BBB" ? { name: "Beta" } : null;
+
+test("columns and values are read from an imported table", () => {
+  const mapping = suggestCovariateColumns(headers);
+  expect(mapping.country).toBe("Country");
+  expect(mapping.columns.gdpPerCapita).toBe("GDP per capita");
+  expect(mapping.columns.population).toBe("");
+
+  const { values, diagnostics } = readCovariates(records, mapping, resolve);
+  expect(values.Alpha[2020].gdpPerCapita).toBe(40000);
+  expect(values.Beta[2018].unemployment).toBe(12.5);
+  expect(diagnostics.rowsParsed).toBe(4);
+  expect(diagnostics.rowsRejected).toBe(1);
+  expect(diagnostics.unknownCountries).toEqual(["Atlantis"]);
+  expect(diagnostics.available).toEqual(["gdpPerCapita", "unemployment"]);
+  expect(diagnostics.warnings).toEqual([]);
+});
+
+test("a decimal-comma covariate cell is skipped with a warning", () => {
+  const mapping = suggestCovariateColumns(headers);
+  const { values, diagnostics } = readCovariates(
+    [{ Country: "AAA", Year: "2020", "Unemployment rate": "7,5" }],
+    mapping,
+    resolve
+  );
+  expect(values).toEqual({});
+  expect(diagnostics.rowsRejected).toBe(1);
+  expect(diagnostics.warnings).toEqual([
+    { line: 2, reason: 'Ambiguous comma in "7,5" in Unemployment rate' },
+  ]);
+});
+
+test("a missing year falls back to the latest earlier one", () => {
+  const values = { A: { 2015: { x: 1 }, 2018: { x: 2 }, 2021: { x: 3 } } };
+  expect(covariateValue(values, "A", 2020, "x")).toBe(2);
+  expect(covariateValue(values, "A", 2010, "x")).toBe(1);
+  expect(covariateValue(values, "B", 2020, "x")).toBeNull();
+});
+
+test("pull and push factors follow the standardised covariates", () => {
+  const values = {
+    A: { 2020: { gdpPerCapita: 40000, unemployment: 5 } },
+    B: { 2020: { gdpPerCapita: 10000, unemployment: 15 } },
+    C: { 2020: {} },
+  };
+  const terms = covariateTerms(
+    values,
+    ["A", "B", "C"],
+    2020,
+    ["gdpPerCapita"],
+    { gdpPerCapita: { pull: 0.5, push: -0.5 } }
+  );
+  // Two observed values standardise to ±1, the missing one to 0
+  expect(terms.pull.A).toBeCloseTo(Math.exp(0.5));
+  expect(terms.pull.B).toBeCloseTo(Math.exp(-0.5));
+  expect(terms.pull.C).toBeCloseTo(1);
+  expect(terms.push.A).toBeCloseTo(Math.exp(-0.5));
+  expect(covariateTerms(values, ["A", "B"], 2020, [], {})).toBeNull();
+});
+
+test("fitting recovers the pull coefficient that generated the data", () => {
+  const values = {
+    A: { 2020: { population: 100 } },
+    B: { 2020: { population: 1 } },
+  };
+  const countries = ["A", "B"];
+  // Toy model: each side's mover share grows with its own pull factor
+  const buildMatrix = (pair, params) => {
+    const terms = covariateTerms(
+      values,
+      countries,
+      2020,
+      ["population"],
+      params.covariates
+    );
+    const toA = 0.1 * terms.pull.A;
+    const toB = 0.1 * terms.pull.B;
+    return [
+      [1 - toB, toB],
+      [toA, 1 - toA],
+    ];
+  };
+  const truth = { population: { pull: 0.4, push: 0 } };
+  const from = { A: 1000, B: 1000 };
+  const m = buildMatrix(null, { covariates: truth });
+  const to = {
+    A: from.A * m[0][0] + from.B * m[1][0],
+    B: from.A * m[0][1] + from.B * m[1][1],
+  };
+
+  const result = fitCovariateCoefficients(
+    { countries, buildMatrix, pairs: [{ from, to }] },
+    {
+      base: {},
+      active: ["population"],
+      initial: DEFAULT_COVARIATE_COEFFICIENTS,
+    }
+  );
+  expect(result.coefficients.population.pull).toBeCloseTo(0.4, 2);
+  expect(result.loss).toBeLessThan(result.initialLoss);
+  expect(result.coefficients.gdpPerCapita).toEqual(
+    DEFAULT_COVARIATE_COEFFICIENTS.gdpPerCapita
+  );
+});
@@ -0,0 +1,205 @@
+/**
+ * RFC 4180 CSV parsing with per-row diagnostics
+ * Handles quoted fields (embedded commas, quotes and line breaks), CRLF/LF/CR
+ * line endings and a leading UTF-8 BOM. Problems are reported per row
+ * instead of silently producing shifted columns.
+ */
+
+import { COUNTRY_COLUMN, EXPECTED_HEADERS } from "./schema";
+
+/**
+ * Tokenise CSV text into records.
+ * Returns { records: [{ line, fields }], errors: [{ line, reason }] } where
+ * line is the 1-based physical line on which the record starts, so errors
+ * can be matched to their record.
+ */
+export const tokenizeCSV = (text) => {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const records = [];
+  const errors = [];
+
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let quotedField = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = "";
+    quotedField = false;
+  };
+  const endRecord = () => {
+    endField();
+    // A record made of a single empty field is a blank line
+    if (!(fields.length === 1 && fields[0] === "")) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === "\n" || (ch === "\r" && src[i + 1] !== "\n")) line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      if (field === "" && !quotedField) {
+        inQuotes = true;
+        quotedField = true;
+      } else {
+        errors.push({
+          line: recordLine,
+          reason: "Stray quote inside unquoted field",
+        });
+        field += ch;
+      }
+    } else if (ch === ",") {
+      endField();
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      if (quotedField) {
+        errors.push({
+          line: recordLine,
+          reason: "Characters after closing quote",
+        });
+        quotedField = false;
+      }
+      field += ch;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: recordLine, reason: "Unterminated quoted field" });
+  }
+  if (field !== "" || fields.length) endRecord();
+
+  return { records, errors };
+};
+
+const isNumericCell = (v) => v === "" || Number.isFinite(Number(v));
+
+/**
+ * Parse a migration CSV into row objects keyed by header.
+ * The country cell is always stored under COUNTRY_COLUMN, whatever the
+ * file calls it, so the model can rely on row.Country.
+ * Returns { rows, diagnostics } where diagnostics is
+ * { rowsParsed, rowsRejected, rejections, warnings, missingColumns,
+ *   unexpectedColumns, duplicateColumns }.
+ */
+export const parseCSV = (
+  text,
+  { expectedHeaders = EXPECTED_HEADERS, countryColumn = COUNTRY_COLUMN } = {}
+) => {
+  const { records, errors } = tokenizeCSV(text);
+  const rejections = [];
+  const warnings = [];
+  const rows = [];
+
+  const diagnostics = {
+    rowsParsed: 0,
+    rowsRejected: 0,
+    rejections,
+    warnings,
+    missingColumns: [],
+    unexpectedColumns: [],
+    duplicateColumns: [],
+  };
+
+  if (!records.length) {
+    rejections.push({ line: 1, reason: "File is empty" });
+    return { rows, diagnostics };
+  }
+
+  // Header row; trailing blank header cells are export artefacts
+  const headers = records[0].fields.map((h) => h.trim());
+  while (headers.length && headers[headers.length - 1] === "") headers.pop();
+
+  const seen = new Set();
+  headers.forEach((h) => {
+    if (seen.has(h)) diagnostics.duplicateColumns.push(h);
+    seen.add(h);
+  });
+  diagnostics.missingColumns = expectedHeaders.filter((h) => !seen.has(h));
+  diagnostics.unexpectedColumns = headers.filter(
+    (h) => !expectedHeaders.includes(h)
+  );
+
+  const errorsByLine = {};
+  errors.forEach((e) => {
+    (errorsByLine[e.line] = errorsByLine[e.line] || []).push(e.reason);
+  });
+
+  const countryIdx = headers.indexOf(countryColumn);
+  const seenCountries = new Set();
+
+  records.slice(1).forEach(({ line, fields }) => {
+    const reject = (reason) => rejections.push({ line, reason });
+
+    if (errorsByLine[line]) {
+      reject(errorsByLine[line].join("; "));
+      return;
+    }
+
+    const values = [...fields];
+    while (values.length > headers.length && values[values.length - 1] === "")
+      values.pop();
+    if (values.length > headers.length) {
+      reject(`${values.length} fields, header has ${headers.length}`);
+      return;
+    }
+    if (values.length < headers.length) {
+      warnings.push({
+        line,
+        reason: `${values.length} fields, padded to ${headers.length}`,
+      });
+      while (values.length < headers.length) values.push("");
+    }
+
+    const country = countryIdx >= 0 ? values[countryIdx].trim() : "";
+    if (!country) {
+      reject(`Missing ${countryColumn}`);
+      return;
+    }
+    if (seenCountries.has(country)) {
+      reject(`Duplicate row for ${country}`);
+      return;
+    }
+    seenCountries.add(country);
+
+    const obj = {};
+    headers.forEach((h, i) => {
+      const v = values[i].trim();
+      if (i !== countryIdx && !isNumericCell(v)) {
+        warnings.push({ line, reason: `Non-numeric "${v}" in ${h}` });
+        obj[h] = "";
+      } else {
+        obj[h] = v;
+      }
+    });
+    obj[COUNTRY_COLUMN] = country;
+    rows.push(obj);
+  });
+
+  diagnostics.rowsParsed = rows.length;
+  diagnostics.rowsRejected = rejections.length;
+  return { rows, diagnostics };
+};
@@ -0,0 +1,48 @@
+import { parseCSV, tokenizeCSV } from "./csv";
+
+const headers = ["Country", "Stock", "Inflow"];
+
+test("handles quoted commas, escaped quotes, CRLF and BOM", () => {
+  const text =
+    '\uFEFFCountry,Stock,Inflow\r\n"Korea, Republic of",10,2\r\n"The ""Isles""",5,1\r\n';
+  const { rows, diagnostics } = parseCSV(text, { expectedHeaders: headers });
+  expect(rows).toEqual([
+    { Country: "Korea, Republic of", Stock: "10", Inflow: "2" },
+    { Country: 'The "Isles"', Stock: "5", Inflow: "1" },
+  ]);
+  expect(diagnostics.rowsRejected).toBe(0);
+  expect(diagnostics.missingColumns).toEqual([]);
+});
+
+test("keeps line breaks inside quoted fields", () => {
+  const { records } = tokenizeCSV('a,"b\nc"\nd,e');
+  expect(records).toEqual([
+    { line: 1, fields: ["a", "b\nc"] },
+    { line: 3, fields: ["d", "e"] },
+  ]);
+});
+
+test("drops trailing blank columns but rejects extra values", () => {
+  const text = "Country,Stock,Inflow,,\nA,1,2,,\nB,1,2,3\n";
+  const { rows, diagnostics } = parseCSV(text, { expectedHeaders: headers });
+  expect(rows.map((r) => r.Country)).toEqual(["A"]);
+  expect(diagnostics.rejections).toEqual([
+    { line: 3, reason: "4 fields, header has 3" },
+  ]);
+});
+
+test("reports header mismatches and per-row problems", () => {
+  const text = 'Country,Stock,Extra\nA,1,x\n,2,3\nA,3,4\n"B,1,2\n';
+  const { diagnostics } = parseCSV(text, { expectedHeaders: headers });
+  expect(diagnostics.missingColumns).toEqual(["Inflow"]);
+  expect(diagnostics.unexpectedColumns).toEqual(["Extra"]);
+  expect(diagnostics.warnings).toEqual([
+    { line: 2, reason: 'Non-numeric "x" in Extra' },
+  ]);
+  expect(diagnostics.rejections.map((r) => r.reason)).toEqual([
+    "Missing Country",
+    "Duplicate row for A",
+    "Unterminated quoted field",
+  ]);
+  expect(diagnostics.rowsParsed).toBe(1);
+});
@@ -0,0 +1,101 @@
+/**
+ * Dataset manifest loading
+ * public/datasets.json lists every bundled data file with its year, plus the
+ * source, licence and column schema shared by the files. Adding a year means
+ * dropping the CSV into public/ and adding one entry under "files".
+ */
+
+import { parseCSV } from "./csv";
+import { COUNTRY_COLUMN, MIGRATION_COLUMNS } from "./schema";
+
+export const MANIFEST_URL = "/datasets.json";
+
+/* Validate and normalise a parsed manifest; throws on unusable input */
+export const normaliseManifest = (raw) => {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Dataset manifest is not a JSON object");
+  }
+  if (!Array.isArray(raw.files) || !raw.files.length) {
+    throw new Error("Dataset manifest lists no files");
+  }
+
+  const countryColumn = raw.schema?.countryColumn || COUNTRY_COLUMN;
+  const columns = Array.isArray(raw.schema?.columns)
+    ? raw.schema.columns.map((c) => (typeof c === "string" ? { name: c } : c))
+    : MIGRATION_COLUMNS.map((name) => ({ name }));
+
+  const seenYears = new Set();
+  const files = raw.files.map((f, i) => {
+    const year = Number(f?.year);
+    if (!Number.isInteger(year)) {
+      throw new Error(`Manifest file #${i + 1} has no valid year`);
+    }
+    if (!f.path) {
+      throw new Error(`Manifest file for ${year} has no path`);
+    }
+    if (seenYears.has(year)) {
+      throw new Error(`Manifest lists ${year} more than once`);
+    }
+    seenYears.add(year);
+
+    // Files may declare their own column subset when a release dropped one
+    const fileColumns = Array.isArray(f.columns)
+      ? f.columns
+      : columns.map((c) => c.name);
+    return {
+      year,
+      path: f.path,
+      expectedHeaders: [countryColumn, ...fileColumns],
+    };
+  });
+
+  return {
+    name: raw.name || "Unnamed dataset",
+    source: raw.source || "",
+    licence: raw.licence || "",
+    schema: { countryColumn, columns },
+    files: files.sort((a, b) => a.year - b.year),
+  };
+};
+
+export const fetchManifest = async (url = MANIFEST_URL) => {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`Dataset manifest: HTTP ${r.status}`);
+  return normaliseManifest(await r.json());
+};
+
+/**
+ * Fetch and parse every manifest file in parallel.
+ * Resolves to [{ year, file, rows, diagnostics }] in manifest year order;
+ * a file that fails to load has rows [] and diagnostics.error set.
+ */
+export const fetchDatasetFiles = (manifest, baseUrl = "/") =>
+  Promise.all(
+    manifest.files.map(async ({ year, path, expectedHeaders }) => {
+      const { countryColumn } = manifest.schema;
+      try {
+        const r = await fetch(`${baseUrl}${path}`);
+        if (!r.ok) {
+          return {
+            year,
+            file: path,
+            rows: [],
+            diagnostics: { error: `HTTP ${r.status}` },
+          };
+        }
+        const { rows, diagnostics } = parseCSV(await r.text(), {
+          expectedHeaders,
+          countryColumn,
+        });
+        return { year, file: path, rows, diagnostics };
+      } catch (err) {
+        console.warn(`Failed to load ${path}:`, err);
+        return {
+          year,
+          file: path,
+          rows: [],
+          diagnostics: { error: String(err?.message || err) },
+        };
+      }
+    })
+  );
@@ -0,0 +1,59 @@
+import { fetchManifest, normaliseManifest } from "./datasets";
+import { COUNTRY_COLUMN, MIGRATION_COLUMNS } from "./schema";
+
+const manifest = {
+  name: "OECD IMD",
+  files: [
+    { year: 2021, path: "data/2021.csv", columns: ["Inflows"] },
+    { year: 2019, path: "data/2019.csv" },
+  ],
+};
+
+test("files are sorted by year with their expected headers", () => {
+  const m = normaliseManifest(manifest);
+  expect(m.files.map((f) => f.year)).toEqual([2019, 2021]);
+  expect(m.files[0].expectedHeaders).toEqual([
+    COUNTRY_COLUMN,
+    ...MIGRATION_COLUMNS,
+  ]);
+  expect(m.files[1].expectedHeaders).toEqual([COUNTRY_COLUMN, "Inflows"]);
+  expect(m.schema.countryColumn).toBe(COUNTRY_COLUMN);
+  expect(m.licence).toBe("");
+});
+
+test("unusable manifests are rejected with a reason", () => {
+  expect(() => normaliseManifest(null)).toThrow("not a JSON object");
+  expect(() => normaliseManifest({ files: [] })).toThrow("no files");
+  expect(() => normaliseManifest({ files: [{ path: "x.csv" }] })).toThrow(
+    "no valid year"
+  );
+  expect(() => normaliseManifest({ files: [{ year: 2020 }] })).toThrow(
+    "no path"
+  );
+  expect(() =>
+    normaliseManifest({
+      files: [
+        { year: 2020, path: "a.csv" },
+        { year: 2020, path: "b.csv" },
+      ],
+    })
+  ).toThrow("more than once");
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("fetchManifest normalises the fetched manifest", async () => {
+  global.fetch = jest.fn(() =>
+    Promise.resolve({ ok: true, json: () => Promise.resolve(manifest) })
+  );
+  const m = await fetchManifest("/m.json");
+  expect(global.fetch).toHaveBeenCalledWith("/m.json");
+  expect(m.files).toHaveLength(2);
+});
+
+test("fetchManifest reports HTTP failures", async () => {
+  global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+  await expect(fetchManifest()).rejects.toThrow("HTTP 404");
+});
@@ -0,0 +1,278 @@
+/**
+ * Ensemble sampling + propagation
+ * Shared by the ensemble worker and the main-thread fallback in App.js so
+ * both paths produce the same results for the same inputs.
+ */
+
+import { intervalMatrix } from "./continuous";
+import {
+  dirichletRowsInto,
+  fromVector,
+  packMatrix,
+  propagateInto,
+  toVector,
+} from "./linalg";
+import { createRng, gammaSample, generateSeed } from "./rng";
+
+export const DEFAULT_CONCENTRATION = 100;
+
+export const CONCENTRATION_MODES = {
+  counts: "From flow counts",
+  fixed: "Fixed",
+};
+
+/*
+  Dirichlet draw around a row with α_j = κ · p_j: the mean is the row
+  itself and each cell's variance is p_j (1 − p_j) / (κ + 1).
+*/
+export const perturbRow = (row, rng, concentration = DEFAULT_CONCENTRATION) => {
+  if (!Array.isArray(row) || row.length === 0) return [];
+  const gammas = row.map((p) =>
+    gammaSample(
+      Math.max(1e-6, (typeof p === "number" ? p : 0) * concentration),
+      rng
+    )
+  );
+  const s = gammas.reduce((a, b) => a + b, 0) || 1;
+  return gammas.map((g) => g / s);
+};
+
+/*
+  Posterior concentration per origin row: the moves actually counted out
+  of each country over the given years (flows objects keyed by country),
+  never below 1. Rows backed by few recorded moves get wide draws.
+*/
+export const flowConcentrations = (yearFlows, countries) =>
+  countries.map((c) =>
+    Math.max(
+      1,
+      yearFlows.reduce(
+        (s, flows) => s + (flows[c]?.outflow > 0 ? flows[c].outflow : 0),
+        0
+      )
+    )
+  );
+
+/* Central credible levels (%) reported for every step, for fan charts */
+export const BAND_LEVELS = [50, 80, 95];
+
+/* Linearly interpolated quantile of an ascending array, p in [0, 1] */
+export const quantile = (sorted, p) => {
+  if (!sorted.length) return 0;
+  const pos = (sorted.length - 1) * p;
+  const lo = Math.floor(pos);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+/* { [level]: { lower, upper } } of each country's sorted member values */
+const bandsOf = (sortedByCountry, levels) =>
+  Object.fromEntries(
+    levels.map((level) => {
+      const tail = (1 - level / 100) / 2;
+      const lower = {};
+      const upper = {};
+      Object.entries(sortedByCountry).forEach(([country, vals]) => {
+        lower[country] = quantile(vals, tail);
+        upper[country] = quantile(vals, 1 - tail);
+      });
+      return [level, { lower, upper }];
+    })
+  );
+
+/* One Markov step: P_{t+1}[j] = sum_i P_t[i] * T[i][j] */
+export const propagatePopulation = (currentPop, transMatrix, countries) =>
+  fromVector(
+    propagateInto(
+      toVector(currentPop, countries),
+      packMatrix(transMatrix || []),
+      countries.length
+    ),
+    countries
+  );
+
+/**
+ * Step-wise ensemble run.
+ * Yields { step, steps, result } after every forecast step so callers can
+ * report progress and stop early; result is { year, mean, lower, upper,
+ * bands, members } where bands holds the central interval of each of
+ * `levels` (%), lower / upper are the 95% one and members are each
+ * country's sorted member values (for probabilistic scores). Step 0 (the
+ * initial population) is yielded first.
+ * Every member draws its own matrix from a Dirichlet posterior centred on
+ * the estimate, row by row, and keeps it along its whole trajectory from
+ * the initial population (one draw per year matrix when they vary), so
+ * the uncertainty in poorly observed rows compounds over the horizon
+ * instead of averaging out; the concentration is one number for all rows
+ * or one per origin row.
+ * With a generator Q the run is in continuous time: steps follow `times`
+ * (years after startYear, possibly fractional), each step's matrix is the
+ * solved interval matrix and the perturbation concentration is divided by
+ * the step length so the spread per year does not depend on the spacing.
+ * Time-inhomogeneous runs pass one matrix per forecast year (yearMatrices)
+ * or, in continuous time, one generator per year (generators); years past
+ * the end of the list reuse its last entry.
+ * Open-system runs pass rows with an extra exit column (ignored by the
+ * propagation, so exits simply leave) and a per-year `inflow` by country
+ * that is added after each step, pro rata for fractional steps.
+ * Scenario runs may add one-off arrivals per forecast year (pulses, entry k
+ * for the year ending startYear + k + 1, null for none), spread the same
+ * way over the steps within that year.
+ */
+export function* ensembleSteps({
+  finalAvgMatrix,
+  initPop = {},
+  selectedCountries = [],
+  steps = 0,
+  ensembleSize = 100,
+  seed,
+  startYear = 0,
+  generator = null,
+  solver = "expm",
+  times = null,
+  yearMatrices = null,
+  generators = null,
+  inflow = null,
+  pulses = null,
+  concentration = DEFAULT_CONCENTRATION,
+  levels = BAND_LEVELS,
+}) {
+  const rng = createRng(seed ?? generateSeed());
+  const nCountries = selectedCountries.length || 0;
+  const continuous =
+    (Array.isArray(generator) || Array.isArray(generators)) &&
+    Array.isArray(times);
+  const forYear = (list, index) =>
+    list?.length ? list[Math.min(index, list.length - 1)] : null;
+  const totalSteps = continuous ? times.length - 1 : Math.max(0, steps);
+
+  const stepYearIndex = (step) =>
+    continuous ? Math.floor(times[step - 1] + 1e-9) : step - 1;
+
+  /* Steps with the same key share a matrix, and so each member's draw */
+  const stepKey = (step) => {
+    if (!continuous) {
+      return yearMatrices?.length
+        ? String(Math.min(step - 1, yearMatrices.length - 1))
+        : "0";
+    }
+    const dt = times[step] - times[step - 1];
+    return `${generators ? stepYearIndex(step) : 0}:${dt.toFixed(9)}`;
+  };
+  const matrixCache = {};
+  const stepMatrix = (step) => {
+    if (!continuous) {
+      const matrix = forYear(yearMatrices, step - 1) ?? finalAvgMatrix;
+      return Array.isArray(matrix) ? matrix : [];
+    }
+    const dt = times[step] - times[step - 1];
+    const Q = forYear(generators, stepYearIndex(step)) ?? generator;
+    const key = stepKey(step);
+    if (!matrixCache[key]) {
+      matrixCache[key] = intervalMatrix(Q, dt, solver);
+    }
+    return matrixCache[key];
+  };
+  const rowConcentration = (i, step) =>
+    (Array.isArray(concentration)
+      ? concentration[i] ?? DEFAULT_CONCENTRATION
+      : concentration) / (continuous ? times[step] - times[step - 1] : 1);
+  const addInflow = (pop, step) => {
+    const pulse = pulses?.[stepYearIndex(step)];
+    if (!inflow && !pulse) return pop;
+    const dt = continuous ? times[step] - times[step - 1] : 1;
+    selectedCountries.forEach((c, j) => {
+      pop[j] += ((inflow?.[c] || 0) + (pulse?.[c] || 0)) * dt;
+    });
+    return pop;
+  };
+  const stepYear = (step) =>
+    continuous
+      ? Math.round((startYear + times[step]) * 1e6) / 1e6
+      : startYear + step;
+
+  yield {
+    step: 0,
+    steps: totalSteps,
+    result: {
+      year: startYear,
+      mean: initPop,
+      lower: initPop,
+      upper: initPop,
+      bands: Object.fromEntries(
+        levels.map((level) => [level, { lower: initPop, upper: initPop }])
+      ),
+    },
+  };
+
+  // One state vector per member, drawn and propagated in typed arrays
+  const members = Math.max(1, ensembleSize);
+  const start = toVector(initPop, selectedCountries);
+  const states = Array.from({ length: members }, () =>
+    Float64Array.from(start)
+  );
+  const uniformRow = Array.from(
+    { length: nCountries || 1 },
+    () => 1 / (nCountries || 1)
+  );
+
+  // Each member's posterior draw of the current step matrix
+  let drawnKey = null;
+  let drawn = [];
+
+  for (let step = 1; step <= totalSteps; step++) {
+    if (stepKey(step) !== drawnKey) {
+      drawnKey = stepKey(step);
+      const baseMatrix = packMatrix(
+        stepMatrix(step).map((row) =>
+          Array.isArray(row) && row.length ? row : uniformRow
+        )
+      );
+      const rowAlphas = Float64Array.from({ length: baseMatrix.rows }, (_, i) =>
+        rowConcentration(i, step)
+      );
+      drawn = Array.from({ length: members }, () => ({
+        ...baseMatrix,
+        data: dirichletRowsInto(
+          baseMatrix,
+          rowAlphas,
+          rng,
+          new Float64Array(baseMatrix.data.length)
+        ),
+      }));
+    }
+    const next = new Float64Array(nCountries);
+    const values = selectedCountries.map(() => new Float64Array(members));
+
+    for (let s = 0; s < members; s++) {
+      addInflow(propagateInto(states[s], drawn[s], nCountries, next), step);
+      states[s].set(next);
+      values.forEach((vals, j) => {
+        vals[s] = next[j];
+      });
+    }
+
+    const mean = {};
+    const sorted = {};
+    selectedCountries.forEach((country, j) => {
+      const vals = values[j].sort();
+      sorted[country] = Array.from(vals);
+      mean[country] = vals.reduce((a, b) => a + b, 0) / members;
+    });
+    const bands = bandsOf(sorted, levels);
+    const { lower, upper } = bandsOf(sorted, [95])[95];
+
+    yield {
+      step,
+      steps: totalSteps,
+      result: {
+        year: stepYear(step),
+        mean,
+        lower,
+        upper,
+        bands,
+        members: sorted,
+      },
+    };
+  }
+}
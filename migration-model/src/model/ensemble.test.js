@@ -0,0 +1,137 @@
+import {
+  ensembleSteps,
+  flowConcentrations,
+  perturbRow,
+  quantile,
+} from "./ensemble";
+import { createRng } from "./rng";
+
+const params = {
+  finalAvgMatrix: [
+    [0.9, 0.07, 0.03],
+    [0.05, 0.9, 0.05],
+    [0.02, 0.08, 0.9],
+  ],
+  initPop: { A: 1000, B: 500, C: 250 },
+  selectedCountries: ["A", "B", "C"],
+  steps: 4,
+  ensembleSize: 50,
+  startYear: 2010,
+};
+
+const run = (extra) =>
+  Array.from(ensembleSteps({ ...params, ...extra }), (s) => s.result);
+
+test("same seed reproduces the run exactly", () => {
+  expect(run({ seed: "report-2024" })).toEqual(run({ seed: "report-2024" }));
+});
+
+test("different seeds give different ensembles", () => {
+  const a = run({ seed: "a" });
+  const b = run({ seed: "b" });
+  expect(a[4].mean).not.toEqual(b[4].mean);
+});
+
+test("yields one result per step including the start year", () => {
+  const results = run({ seed: "x" });
+  expect(results.map((r) => r.year)).toEqual([2010, 2011, 2012, 2013, 2014]);
+  expect(results[0].mean).toEqual(params.initPop);
+});
+
+test("row draws match the Dirichlet mean and variance", () => {
+  const rng = createRng("dirichlet");
+  const row = [0.7, 0.2, 0.1];
+  const draws = Array.from({ length: 20000 }, () => perturbRow(row, rng, 50));
+  const first = draws.map((d) => d[0]);
+  const mean = first.reduce((a, b) => a + b, 0) / first.length;
+  const variance =
+    first.reduce((a, b) => a + (b - mean) ** 2, 0) / first.length;
+  expect(mean).toBeCloseTo(0.7, 2);
+  expect(variance).toBeCloseTo((0.7 * 0.3) / 51, 4);
+});
+
+test("rows backed by fewer counted moves get wider intervals", () => {
+  const concentration = flowConcentrations(
+    [{ A: { outflow: 20000 }, B: { outflow: 30 }, C: {} }],
+    params.selectedCountries
+  );
+  expect(concentration).toEqual([20000, 30, 1]);
+  const [, , , , last] = run({
+    seed: "counts",
+    concentration: [20000, 30, 30],
+  });
+  const width = (c) => (last.upper[c] - last.lower[c]) / last.mean[c];
+  expect(width("A")).toBeLessThan(width("B"));
+});
+
+test("fan bands are nested and the 95% band is lower / upper", () => {
+  const last = run({ seed: "fan", ensembleSize: 200 })[4];
+  params.selectedCountries.forEach((c) => {
+    const { 50: b50, 80: b80, 95: b95 } = last.bands;
+    expect(b95.lower[c]).toBe(last.lower[c]);
+    expect(b95.upper[c]).toBe(last.upper[c]);
+    expect(b80.lower[c]).toBeGreaterThanOrEqual(b95.lower[c]);
+    expect(b50.lower[c]).toBeGreaterThanOrEqual(b80.lower[c]);
+    expect(b50.upper[c]).toBeLessThanOrEqual(b80.upper[c]);
+    expect(b80.upper[c]).toBeLessThanOrEqual(b95.upper[c]);
+  });
+});
+
+test("quantiles interpolate between members", () => {
+  expect(quantile([0, 10, 20, 30], 0.5)).toBe(15);
+  expect(quantile([0, 10, 20, 30], 1)).toBe(30);
+});
+
+test("the band widens with the horizon as members keep their trajectories", () => {
+  const results = run({ seed: "horizon", ensembleSize: 300, steps: 10 });
+  const width = (k) => results[k].upper.A - results[k].lower.A;
+  expect(width(5)).toBeGreaterThan(width(1));
+  expect(width(10)).toBeGreaterThan(1.3 * width(1));
+});
+
+test("a member keeps its drawn matrix across steps", () => {
+  // B is absorbing, so A's share after k steps is its own stay draw ^ k
+  const results = run({
+    finalAvgMatrix: [
+      [0.8, 0.2],
+      [0, 1],
+    ],
+    initPop: { A: 1, B: 0 },
+    selectedCountries: ["A", "B"],
+    steps: 3,
+    ensembleSize: 1,
+    concentration: 20,
+    seed: "posterior",
+  });
+  const stay = results[1].mean.A;
+  expect(stay).not.toBeCloseTo(0.8, 6);
+  expect(results[2].mean.A).toBeCloseTo(stay ** 2, 9);
+  expect(results[3].mean.A).toBeCloseTo(stay ** 3, 9);
+});
+
+test("time-varying runs draw one matrix per year matrix", () => {
+  const yearMatrices = [
+    [
+      [0.8, 0.2],
+      [0, 1],
+    ],
+    [
+      [0.5, 0.5],
+      [0, 1],
+    ],
+  ];
+  const results = run({
+    finalAvgMatrix: yearMatrices[0],
+    yearMatrices,
+    initPop: { A: 1, B: 0 },
+    selectedCountries: ["A", "B"],
+    steps: 3,
+    ensembleSize: 1,
+    concentration: 20,
+    seed: "posterior",
+  });
+  // Steps 2 and 3 reuse the last year matrix and so the same draw
+  const second = results[2].mean.A / results[1].mean.A;
+  expect(second).toBeLessThan(0.8);
+  expect(results[3].mean.A).toBeCloseTo(results[2].mean.A * second, 9);
+});
@@ -0,0 +1,164 @@
+/**
+ * Forecast evaluation
+ * Scores a run's predictions against the observed stock point by point and
+ * summarises them overall, per country and per horizon. Besides RMSE / MAE
+ * there are scale-free scores (MAPE, sMAPE and MASE against the in-sample
+ * persistence forecast) and probabilistic ones from the ensemble members:
+ * CRPS, the 95% interval score and the PIT histogram.
+ */
+
+import { ensembleCRPS } from "./calibration";
+
+export const INTERVAL_ALPHA = 0.05;
+export const PIT_BINS = 10;
+
+/*
+  Scored points of a run: every prediction step with an observation.
+  predictions: [{ year, phase, predicted, lower, upper, members?,
+  actualData? }] with the input year first; horizon is years after it.
+*/
+export const evaluationRecords = (predictions, countries) => {
+  const origin = predictions[0]?.year ?? 0;
+  const records = [];
+  predictions.forEach((pred) => {
+    if (pred.phase !== "prediction" || !pred.actualData) return;
+    countries.forEach((country) => {
+      const actual = pred.actualData[country];
+      if (!(actual > 0)) return;
+      records.push({
+        country,
+        year: pred.year,
+        horizon: Math.round((pred.year - origin) * 1e6) / 1e6,
+        predicted: pred.predicted?.[country] ?? 0,
+        actual,
+        lower: pred.lower?.[country] ?? 0,
+        upper: pred.upper?.[country] ?? 0,
+        members: pred.members?.[country] ?? null,
+      });
+    });
+  });
+  return records;
+};
+
+/*
+  MASE denominator: mean absolute one-year change of an in-sample series.
+  Only neighbours one year apart count, by `years` (parallel to the series,
+  consecutive when omitted); a missing value breaks the pairs around it.
+*/
+export const naiveScale = (series, years = null) => {
+  const valid = (v) => Number.isFinite(v) && v > 0;
+  let sum = 0;
+  let count = 0;
+  for (let i = 1; i < series.length; i++) {
+    if (!valid(series[i]) || !valid(series[i - 1])) continue;
+    if (years && years[i] - years[i - 1] !== 1) continue;
+    sum += Math.abs(series[i] - series[i - 1]);
+    count++;
+  }
+  return count ? sum / count : NaN;
+};
+
+/* Gneiting–Raftery interval score of a central (1 − alpha) interval */
+export const intervalScore = (lower, upper, observed, alpha = INTERVAL_ALPHA) =>
+  upper -
+  lower +
+  (2 / alpha) * Math.max(0, lower - observed) +
+  (2 / alpha) * Math.max(0, observed - upper);
+
+/* Probability integral transform, ties split evenly */
+export const pitValue = (sortedMembers, observed) => {
+  let below = 0;
+  let equal = 0;
+  sortedMembers.forEach((v) => {
+    if (v < observed) below++;
+    else if (v === observed) equal++;
+  });
+  return (below + equal / 2) / sortedMembers.length;
+};
+
+const average = (values) => {
+  const finite = values.filter(Number.isFinite);
+  return finite.length
+    ? finite.reduce((a, b) => a + b, 0) / finite.length
+    : NaN;
+};
+
+/* Scores of a set of records; scales: { [country]: MASE denominator } */
+export const scoreForecasts = (records, scales = {}) => {
+  const withMembers = records.filter((r) => r.members?.length);
+  return {
+    n: records.length,
+    rmse: Math.sqrt(average(records.map((r) => (r.predicted - r.actual) ** 2))),
+    mae: average(records.map((r) => Math.abs(r.predicted - r.actual))),
+    mape:
+      100 *
+      average(records.map((r) => Math.abs(r.predicted - r.actual) / r.actual)),
+    smape:
+      100 *
+      average(
+        records.map(
+          (r) =>
+            (2 * Math.abs(r.predicted - r.actual)) /
+            (Math.abs(r.predicted) + Math.abs(r.actual))
+        )
+      ),
+    mase: average(
+      records.map((r) => Math.abs(r.predicted - r.actual) / scales[r.country])
+    ),
+    crps: average(withMembers.map((r) => ensembleCRPS(r.members, r.actual))),
+    intervalScore: average(
+      records.map((r) => intervalScore(r.lower, r.upper, r.actual))
+    ),
+    coverage:
+      100 *
+      average(
+        records.map((r) => (r.actual >= r.lower && r.actual <= r.upper ? 1 : 0))
+      ),
+  };
+};
+
+/* PIT histogram: [{ from, to, count }], flat when the ensemble is calibrated */
+export const pitHistogram = (records, bins = PIT_BINS) => {
+  const counts = Array(bins).fill(0);
+  records.forEach((r) => {
+    if (!r.members?.length) return;
+    const u = pitValue(r.members, r.actual);
+    counts[Math.min(bins - 1, Math.floor(u * bins))]++;
+  });
+  return counts.map((count, i) => ({
+    from: i / bins,
+    to: (i + 1) / bins,
+    count,
+  }));
+};
+
+/*
+  Full evaluation:
+  { overall, byCountry: { [country]: scores },
+    byHorizon: [{ horizon, ...scores }], pit }
+*/
+export const evaluateForecasts = (records, countries, scales = {}) => {
+  const horizons = [...new Set(records.map((r) => r.horizon))].sort(
+    (a, b) => a - b
+  );
+  return {
+    overall: scoreForecasts(records, scales),
+    byCountry: Object.fromEntries(
+      countries.map((c) => [
+        c,
+        scoreForecasts(
+          records.filter((r) => r.country === c),
+          scales
+        ),
+      ])
+    ),
+    byHorizon: horizons.map((h) => ({
+      horizon: h,
+      ...scoreForecasts(
+        records.filter((r) => r.horizon === h),
+        scales
+      ),
+    })),
+    pit: pitHistogram(records),
+  };
+};
@@ -0,0 +1,73 @@
+import {
+  evaluateForecasts,
+  evaluationRecords,
+  intervalScore,
+  naiveScale,
+  pitHistogram,
+} from "./evaluation";
+
+const predictions = [
+  { year: 2015, phase: "input", predicted: { A: 100, B: 50 } },
+  {
+    year: 2016,
+    phase: "prediction",
+    predicted: { A: 110, B: 50 },
+    lower: { A: 100, B: 45 },
+    upper: { A: 120, B: 55 },
+    members: { A: [100, 110, 120], B: [45, 50, 55] },
+    actualData: { A: 100, B: 60 },
+  },
+  {
+    year: 2017,
+    phase: "prediction",
+    predicted: { A: 120, B: 50 },
+    lower: { A: 100, B: 40 },
+    upper: { A: 140, B: 60 },
+    members: { A: [100, 120, 140], B: [40, 50, 60] },
+    actualData: { A: 120, B: 0 },
+  },
+];
+
+test("records skip unobserved points and carry the horizon", () => {
+  const records = evaluationRecords(predictions, ["A", "B"]);
+  expect(records.map((r) => [r.country, r.horizon])).toEqual([
+    ["A", 1],
+    ["B", 1],
+    ["A", 2],
+  ]);
+});
+
+test("scale-free and probabilistic scores", () => {
+  const records = evaluationRecords(predictions, ["A", "B"]);
+  const scales = { A: naiveScale([80, 90, 100]), B: 5 };
+  expect(scales.A).toBe(10);
+  // Neither the 2012 -> 2015 jump nor the pairs around 2016 (missing) count
+  expect(
+    naiveScale(
+      [80, 90, 100, 150, NaN, 170, 180],
+      [2010, 2011, 2012, 2015, 2016, 2017, 2018]
+    )
+  ).toBe(10);
+  const { overall, byCountry, byHorizon } = evaluateForecasts(
+    records,
+    ["A", "B"],
+    scales
+  );
+  // |errors| 10, 10, 0 against 100, 60, 120
+  expect(overall.mae).toBeCloseTo(20 / 3, 12);
+  expect(overall.mape).toBeCloseTo((100 * (0.1 + 1 / 6)) / 3, 12);
+  expect(byCountry.A.mase).toBeCloseTo(0.5, 12);
+  expect(byCountry.B.mase).toBeCloseTo(2, 12);
+  expect(byCountry.B.smape).toBeCloseTo((100 * 20) / 110, 12);
+  // B at 60 falls 5 above its interval: 10 + (2 / 0.05) · 5
+  expect(intervalScore(45, 55, 60)).toBe(210);
+  expect(byHorizon.map((h) => h.n)).toEqual([2, 1]);
+  expect(byHorizon[0].coverage).toBe(50);
+});
+
+test("PIT histogram bins where the observation falls among the members", () => {
+  const records = evaluationRecords(predictions, ["A", "B"]);
+  const pit = pitHistogram(records, 2);
+  // A 2016: 1/6, B 2016: 1, A 2017: 1/2
+  expect(pit.map((b) => b.count)).toEqual([1, 2]);
+});
@@ -0,0 +1,198 @@
+/**
+ * Imported dataset mapping, validation and merging
+ * Maps user columns onto the OECD indicator columns read by getFlows and
+ * getPopulationStock, validates the result and merges it into the
+ * year-indexed data alongside (or instead of) the bundled files.
+ */
+
+import { parseNumberCell } from "./importers";
+import { COUNTRY_COLUMN, MIGRATION_COLUMNS } from "./schema";
+
+export const IMPORT_MODES = {
+  merge: "Alongside bundled data",
+  replace: "Instead of bundled data",
+};
+
+const SESSION_KEY = "migration-model.imports";
+
+const normalise = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/* Best-guess mapping { country, year, columns: { target: source } } */
+export const suggestMapping = (headers = []) => {
+  const byNorm = {};
+  headers.forEach((h) => {
+    byNorm[normalise(h)] = h;
+  });
+  const pick = (...names) =>
+    names.map((n) => byNorm[normalise(n)]).find(Boolean) || "";
+
+  const columns = {};
+  MIGRATION_COLUMNS.forEach((target) => {
+    columns[target] = pick(target);
+  });
+
+  return {
+    country: pick(
+      COUNTRY_COLUMN,
+      "country name",
+      "nation",
+      "reporting country"
+    ),
+    year: pick("year", "time", "period"),
+    fixedYear: "",
+    columns,
+  };
+};
+
+/**
+ * Apply a mapping to imported records.
+ * Returns { years: { [year]: rows }, diagnostics } where rows use the OECD
+ * column names and diagnostics mirrors parseCSV's shape, plus
+ * unknownCountries for names the model cannot place. When given,
+ * resolveCountry maps names and aliases onto registry names.
+ */
+export const buildImportedYears = (
+  records = [],
+  mapping,
+  resolveCountry = null
+) => {
+  const years = {};
+  const rejections = [];
+  const warnings = [];
+  const unknown = new Set();
+  const seen = new Set();
+  const mapped = Object.entries(mapping.columns || {}).filter(
+    ([, source]) => source
+  );
+  const fixedYear = Number(mapping.fixedYear);
+
+  records.forEach((rec, i) => {
+    const line = i + 2; // header is row 1
+    const reject = (reason) => rejections.push({ line, reason });
+
+    const rawCountry = String(rec[mapping.country] ?? "").trim();
+    if (!rawCountry) return reject("Missing country");
+    const entry = resolveCountry ? resolveCountry(rawCountry) : null;
+    const country = entry ? entry.name : rawCountry;
+
+    const year = mapping.year ? Number(rec[mapping.year]) : fixedYear;
+    if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+      const shown = mapping.year ? rec[mapping.year] : mapping.fixedYear;
+      return reject(`Invalid year "${shown ?? ""}"`);
+    }
+
+    const key = `${country}|${year}`;
+    if (seen.has(key)) return reject(`Duplicate row for ${country} ${year}`);
+    seen.add(key);
+
+    const row = { [COUNTRY_COLUMN]: country };
+    let values = 0;
+    for (const [target, source] of mapped) {
+      const { value: n, reason } = parseNumberCell(rec[source]);
+      if (n === null) continue;
+      if (reason) {
+        warnings.push({ line, reason: `${reason} in ${source}` });
+        continue;
+      }
+      if (n < 0) {
+        warnings.push({ line, reason: `Negative value in ${source}` });
+        continue;
+      }
+      row[target] = String(n);
+      values++;
+    }
+    if (!values) return reject("No mapped values");
+
+    if (resolveCountry && !entry) unknown.add(country);
+    (years[year] = years[year] || []).push(row);
+  });
+
+  const rowsParsed = Object.values(years).reduce((a, r) => a + r.length, 0);
+  return {
+    years,
+    diagnostics: {
+      rowsParsed,
+      rowsRejected: rejections.length,
+      rejections,
+      warnings,
+      unknownCountries: Array.from(unknown).sort(),
+    },
+  };
+};
+
+/**
+ * Merge imported datasets over bundled year data.
+ * bundled: [{ year, data }]; imports are applied in order. A "replace"
+ * import discards everything before it; "merge" adds new years and, for
+ * existing years, overrides the non-empty cells of matching countries.
+ * When given, resolveCountry renames rows to registry names before they
+ * are matched, so an alias replaces the row it stands for.
+ * Returns [{ year, data, source }] sorted by year.
+ */
+export const mergeYearData = (
+  bundled = [],
+  imports = [],
+  resolveCountry = null
+) => {
+  const copy = (row) => {
+    const entry = resolveCountry ? resolveCountry(row?.[COUNTRY_COLUMN]) : null;
+    return entry ? { ...row, [COUNTRY_COLUMN]: entry.name } : { ...row };
+  };
+  let byYear = {};
+  bundled.forEach(({ year, data }) => {
+    byYear[year] = {
+      year,
+      data: data.map(copy),
+      source: "bundled",
+    };
+  });
+
+  imports.forEach((imp) => {
+    if (imp.mode === "replace") byYear = {};
+    Object.entries(imp.years || {}).forEach(([y, rows]) => {
+      const year = Number(y);
+      const entry = byYear[year];
+      if (!entry) {
+        byYear[year] = {
+          year,
+          data: rows.map(copy),
+          source: "imported",
+        };
+        return;
+      }
+      rows.map(copy).forEach((row) => {
+        const existing = entry.data.find(
+          (r) => r[COUNTRY_COLUMN] === row[COUNTRY_COLUMN]
+        );
+        if (existing) Object.assign(existing, row);
+        else entry.data.push(row);
+      });
+      if (entry.source === "bundled") entry.source = "bundled+imported";
+    });
+  });
+
+  return Object.values(byYear).sort((a, b) => a.year - b.year);
+};
+
+/* Session persistence (cleared when the tab closes) */
+export const loadSessionImports = () => {
+  try {
+    const raw = sessionStorage.getItem(SESSION_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    console.warn("Could not restore imported datasets:", err);
+    return [];
+  }
+};
+
+export const saveSessionImports = (imports) => {
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(imports));
+  } catch (err) {
+    console.warn("Could not keep imported datasets in this session:", err);
+  }
+};
@@ -0,0 +1,110 @@
+import {
+  buildImportedYears,
+  mergeYearData,
+  suggestMapping,
+} from "./importMapping";
+import { resolveCountry } from "./countries";
+
+const STOCK = "Stock of foreign population by nationality(Total)";
+const INFLOW = "Inflows of foreign population by nationality(Total)";
+
+test("maps, validates and groups imported rows by year", () => {
+  const mapping = suggestMapping(["country", "Year", "stock"]);
+  expect(mapping.country).toBe("country");
+  expect(mapping.year).toBe("Year");
+
+  mapping.columns[STOCK] = "stock";
+  const { years, diagnostics } = buildImportedYears(
+    [
+      { country: "Chile", Year: "2021", stock: "1,200" },
+      { country: "CHL", Year: "2021", stock: "5" },
+      { country: "Atlantis", Year: "2021", stock: "5" },
+      { country: "", Year: "2021", stock: "5" },
+      { country: "Peru", Year: "20x1", stock: "5" },
+      { country: "Peru", Year: "2022", stock: "n/a" },
+    ],
+    mapping,
+    (name) => (["Chile", "CHL"].includes(name) ? { name: "Chile" } : null)
+  );
+
+  expect(years).toEqual({
+    2021: [
+      { Country: "Chile", [STOCK]: "1200" },
+      { Country: "Atlantis", [STOCK]: "5" },
+    ],
+  });
+  expect(diagnostics.unknownCountries).toEqual(["Atlantis"]);
+  expect(diagnostics.rejections.map((r) => r.reason)).toEqual([
+    "Duplicate row for Chile 2021",
+    "Missing country",
+    'Invalid year "20x1"',
+    "No mapped values",
+  ]);
+  expect(diagnostics.warnings).toHaveLength(1);
+});
+
+test("a decimal comma is flagged instead of read as thousands", () => {
+  const mapping = suggestMapping(["country", "Year", "stock"]);
+  mapping.columns[STOCK] = "stock";
+  const { years, diagnostics } = buildImportedYears(
+    [
+      { country: "Chile", Year: "2021", stock: "1,5" },
+      { country: "Peru", Year: "2021", stock: "1,234.5" },
+    ],
+    mapping
+  );
+  expect(years).toEqual({ 2021: [{ Country: "Peru", [STOCK]: "1234.5" }] });
+  expect(diagnostics.warnings).toEqual([
+    { line: 2, reason: 'Ambiguous comma in "1,5" in stock' },
+  ]);
+  expect(diagnostics.rejections.map((r) => r.reason)).toEqual([
+    "No mapped values",
+  ]);
+});
+
+test("merges imports over bundled years or replaces them", () => {
+  const bundled = [
+    { year: 2019, data: [{ Country: "A", [STOCK]: "10", [INFLOW]: "1" }] },
+  ];
+  const merged = mergeYearData(bundled, [
+    {
+      mode: "merge",
+      years: {
+        2019: [{ Country: "A", [STOCK]: "12" }],
+        2021: [{ Country: "A", [STOCK]: "15" }],
+      },
+    },
+  ]);
+  expect(merged.map((d) => [d.year, d.source])).toEqual([
+    [2019, "bundled+imported"],
+    [2021, "imported"],
+  ]);
+  expect(merged[0].data[0]).toEqual({
+    Country: "A",
+    [STOCK]: "12",
+    [INFLOW]: "1",
+  });
+  expect(bundled[0].data[0][STOCK]).toBe("10");
+
+  const replaced = mergeYearData(bundled, [
+    { mode: "replace", years: { 2021: [{ Country: "A", [STOCK]: "15" }] } },
+  ]);
+  expect(replaced.map((d) => d.year)).toEqual([2021]);
+});
+
+test("an imported alias replaces the bundled row it stands for", () => {
+  const bundled = [
+    {
+      year: 2019,
+      data: [{ Country: "United Kingdom", [STOCK]: "10", [INFLOW]: "1" }],
+    },
+  ];
+  const merged = mergeYearData(
+    bundled,
+    [{ mode: "merge", years: { 2019: [{ Country: "UK", [STOCK]: "12" }] } }],
+    resolveCountry
+  );
+  expect(merged[0].data).toEqual([
+    { Country: "United Kingdom", [STOCK]: "12", [INFLOW]: "1" },
+  ]);
+});
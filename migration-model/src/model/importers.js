@@ -0,0 +1,193 @@
+/**
+ * User dataset readers
+ * Turn a dropped CSV, XLSX or JSON file into a plain table
+ * { headers, records } of string cells, ready for column mapping.
+ * XLSX workbooks are read with JSZip (first worksheet only).
+ */
+
+import JSZip from "jszip";
+import { tokenizeCSV } from "./csv";
+
+export const IMPORT_FORMATS = {
+  csv: "CSV",
+  xlsx: "Excel workbook",
+  json: "JSON",
+};
+
+export const formatOf = (fileName = "") => {
+  const ext = String(fileName).toLowerCase().split(".").pop();
+  return IMPORT_FORMATS[ext] ? ext : null;
+};
+
+const cellToString = (v) =>
+  v === null || v === undefined ? "" : String(v).trim();
+
+const THOUSANDS = /^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+
+/*
+  Number in an imported cell as { value, reason }. Spaces are dropped, but
+  commas only when they group thousands ("1,234.5"): "1,5" is a decimal
+  comma in many national extracts and would otherwise read as 15. An empty
+  cell gives value null; one that is not a number gives NaN and a reason.
+*/
+export const parseNumberCell = (cell) => {
+  const text = String(cell ?? "").replace(/\s/g, "");
+  if (text === "") return { value: null, reason: null };
+  if (text.includes(",") && !THOUSANDS.test(text)) {
+    return { value: NaN, reason: `Ambiguous comma in "${cell}"` };
+  }
+  const value = Number(text.replace(/,/g, ""));
+  return Number.isFinite(value)
+    ? { value, reason: null }
+    : { value: NaN, reason: `Non-numeric "${cell}"` };
+};
+
+const tableFromRows = (rows) => {
+  const [headerRow = [], ...body] = rows;
+  const headers = headerRow.map(cellToString);
+  const records = body
+    .filter((r) => r.some((v) => cellToString(v) !== ""))
+    .map((r) => {
+      const obj = {};
+      headers.forEach((h, i) => {
+        if (h) obj[h] = cellToString(r[i]);
+      });
+      return obj;
+    });
+  return { headers: headers.filter(Boolean), records };
+};
+
+export const readCSVTable = (text) => {
+  const { records, errors } = tokenizeCSV(text);
+  if (errors.length) {
+    throw new Error(`CSV error on line ${errors[0].line}: ${errors[0].reason}`);
+  }
+  return tableFromRows(records.map((r) => r.fields));
+};
+
+/*
+  Accepted JSON layouts:
+  - [{ "Country": "...", "Year": 2021, ... }, ...]
+  - { "rows" | "data" | "records": [ ...same... ] }
+*/
+export const readJSONTable = (text) => {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed)
+    ? parsed
+    : parsed?.rows || parsed?.data || parsed?.records;
+  if (!Array.isArray(list)) {
+    throw new Error("JSON must be an array of row objects");
+  }
+
+  const headers = [];
+  const records = list
+    .filter((r) => r && typeof r === "object" && !Array.isArray(r))
+    .map((r) => {
+      const obj = {};
+      Object.entries(r).forEach(([k, v]) => {
+        if (!headers.includes(k)) headers.push(k);
+        obj[k] = cellToString(v);
+      });
+      return obj;
+    });
+  return { headers, records };
+};
+
+const columnIndex = (ref) => {
+  const letters = String(ref).replace(/[0-9]/g, "");
+  let idx = 0;
+  for (let i = 0; i < letters.length; i++) {
+    idx = idx * 26 + (letters.charCodeAt(i) - 64);
+  }
+  return idx - 1;
+};
+
+const parseXml = (text) =>
+  new DOMParser().parseFromString(text, "application/xml");
+
+const textOf = (el) =>
+  Array.from(el.getElementsByTagName("t"))
+    .map((t) => t.textContent)
+    .join("");
+
+export const readXLSXTable = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const read = (path) => zip.file(path)?.async("string");
+
+  const workbookXml = await read("xl/workbook.xml");
+  if (!workbookXml) throw new Error("Not an Excel workbook (.xlsx)");
+
+  const firstSheet = parseXml(workbookXml).getElementsByTagName("sheet")[0];
+  if (!firstSheet) throw new Error("Workbook has no worksheets");
+
+  // Resolve the first sheet's file through the workbook relationships
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  const relsXml = await read("xl/_rels/workbook.xml.rels");
+  if (relsXml) {
+    const relId = firstSheet.getAttribute("r:id");
+    const rel = Array.from(
+      parseXml(relsXml).getElementsByTagName("Relationship")
+    ).find((r) => r.getAttribute("Id") === relId);
+    const target = rel?.getAttribute("Target");
+    if (target) {
+      sheetPath = target.startsWith("/")
+        ? target.slice(1)
+        : `xl/${target.replace(/^\.\//, "")}`;
+    }
+  }
+
+  const sharedXml = await read("xl/sharedStrings.xml");
+  const shared = sharedXml
+    ? Array.from(parseXml(sharedXml).getElementsByTagName("si")).map(textOf)
+    : [];
+
+  const sheetXml = await read(sheetPath);
+  if (!sheetXml) throw new Error(`Worksheet ${sheetPath} is missing`);
+
+  const rows = Array.from(parseXml(sheetXml).getElementsByTagName("row")).map(
+    (rowEl) => {
+      const cells = [];
+      Array.from(rowEl.getElementsByTagName("c")).forEach((c, pos) => {
+        const ref = c.getAttribute("r");
+        const idx = ref ? columnIndex(ref) : pos;
+        const type = c.getAttribute("t");
+        const v = c.getElementsByTagName("v")[0]?.textContent ?? "";
+        if (type === "s") cells[idx] = shared[Number(v)] ?? "";
+        else if (type === "inlineStr") cells[idx] = textOf(c);
+        else cells[idx] = v;
+      });
+      return Array.from(cells, (v) => v ?? "");
+    }
+  );
+
+  return tableFromRows(rows);
+};
+
+const readAs = (file, method) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[method](file);
+  });
+
+/* Read a browser File into { fileName, format, headers, records } */
+export const readImportFile = async (file) => {
+  const format = formatOf(file?.name);
+  if (!format) {
+    throw new Error(`${file?.name || "File"}: expected .csv, .xlsx or .json`);
+  }
+
+  let table;
+  if (format === "xlsx") {
+    table = await readXLSXTable(await readAs(file, "readAsArrayBuffer"));
+  } else {
+    const text = await readAs(file, "readAsText");
+    table = format === "csv" ? readCSVTable(text) : readJSONTable(text);
+  }
+
+  if (!table.headers.length || !table.records.length) {
+    throw new Error(`${file.name}: no data rows found`);
+  }
+  return { fileName: file.name, format, ...table };
+};
@@ -0,0 +1,55 @@
+import JSZip from "jszip";
+import { parseNumberCell, readJSONTable, readXLSXTable } from "./importers";
+
+test("number cells strip thousands commas but flag decimal commas", () => {
+  expect(parseNumberCell("1,200").value).toBe(1200);
+  expect(parseNumberCell(" 1,234.5 ").value).toBe(1234.5);
+  expect(parseNumberCell("12 500").value).toBe(12500);
+  expect(parseNumberCell("").value).toBeNull();
+  expect(parseNumberCell("1,5")).toEqual({
+    value: NaN,
+    reason: 'Ambiguous comma in "1,5"',
+  });
+  expect(parseNumberCell("1,23,456").reason).toMatch(/Ambiguous comma/);
+  expect(parseNumberCell("n/a").reason).toBe('Non-numeric "n/a"');
+});
+
+test("reads the first worksheet of an xlsx workbook", async () => {
+  const zip = new JSZip();
+  zip.file(
+    "xl/workbook.xml",
+    '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Data" sheetId="1" r:id="rId1"/></sheets></workbook>'
+  );
+  zip.file(
+    "xl/_rels/workbook.xml.rels",
+    '<Relationships><Relationship Id="rId1" Target="worksheets/data.xml"/></Relationships>'
+  );
+  zip.file(
+    "xl/sharedStrings.xml",
+    "<sst><si><t>Country</t></si><si><t>Stock</t></si><si><t>Chile</t></si></sst>"
+  );
+  zip.file(
+    "xl/worksheets/data.xml",
+    '<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row><row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><v>7</v></c></row><row r="3"><c r="A3" t="inlineStr"><is><t>Peru</t></is></c><c r="B3"><v>42</v></c></row></sheetData></worksheet>'
+  );
+
+  const table = await readXLSXTable(
+    await zip.generateAsync({ type: "uint8array" })
+  );
+  expect(table.headers).toEqual(["Country", "Stock"]);
+  expect(table.records).toEqual([
+    { Country: "Chile", Stock: "" },
+    { Country: "Peru", Stock: "42" },
+  ]);
+});
+
+test("reads JSON arrays and wrapped row lists", () => {
+  expect(readJSONTable('[{"Country":"A","Year":2021}]')).toEqual({
+    headers: ["Country", "Year"],
+    records: [{ Country: "A", Year: "2021" }],
+  });
+  expect(readJSONTable('{"data":[{"Country":"B"}]}').records).toEqual([
+    { Country: "B" },
+  ]);
+  expect(() => readJSONTable('{"x":1}')).toThrow(/array of row objects/);
+});
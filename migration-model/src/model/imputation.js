@@ -0,0 +1,133 @@
+/**
+ * Missing-value imputation
+ * Fills blank indicator cells per country and column across years, so a
+ * missing outflow or stock is no longer read as a real 0. Every filled cell
+ * is recorded in a provenance map { [year]: { [country]: { [column]:
+ * method } } } so the UI can tell observed values from imputed ones.
+ */
+
+import { COUNTRY_COLUMN, MIGRATION_COLUMNS } from "./schema";
+
+export const IMPUTATION_METHODS = {
+  none: "None (blank cells read as 0)",
+  linear: "Linear interpolation",
+  locf: "Last observation carried forward",
+  logLinear: "Log-linear trend",
+};
+
+const parseCell = (v) => {
+  if (v === undefined || v === null || String(v).trim() === "") return NaN;
+  const n = Number.parseFloat(v);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+/*
+  Fill one series (values aligned with years; NaN = missing).
+  Cells outside the observed range take the nearest observation for
+  linear and LOCF; log-linear extrapolates its fitted trend.
+*/
+const fillSeries = (years, values, method) => {
+  const observed = [];
+  values.forEach((v, i) => {
+    if (Number.isFinite(v)) observed.push(i);
+  });
+  if (!observed.length || observed.length === values.length) return values;
+
+  if (method === "logLinear") {
+    const pts = observed.filter((i) => values[i] > 0);
+    if (!pts.length) return fillSeries(years, values, "locf");
+    const n = pts.length;
+    const mx = pts.reduce((a, i) => a + years[i], 0) / n;
+    const my = pts.reduce((a, i) => a + Math.log(values[i]), 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    pts.forEach((i) => {
+      sxy += (years[i] - mx) * (Math.log(values[i]) - my);
+      sxx += (years[i] - mx) ** 2;
+    });
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return values.map((v, i) =>
+      Number.isFinite(v) ? v : Math.exp(my + slope * (years[i] - mx))
+    );
+  }
+
+  const first = observed[0];
+  const last = observed[observed.length - 1];
+  return values.map((v, i) => {
+    if (Number.isFinite(v)) return v;
+    if (i < first) return values[first];
+    const prev = observed.filter((o) => o < i).pop();
+    if (i > last || method === "locf") return values[prev];
+    const next = observed.find((o) => o > i);
+    const t = (years[i] - years[prev]) / (years[next] - years[prev]);
+    return values[prev] + t * (values[next] - values[prev]);
+  });
+};
+
+/**
+ * Impute blank cells in year-indexed data [{ year, data, ... }].
+ * Countries absent from a year get a row of imputed cells. Returns
+ * { yearData, provenance, imputedCount }; method "none" returns the input
+ * unchanged with an empty provenance map.
+ */
+export const imputeYearData = (
+  yearData = [],
+  method = "none",
+  columns = MIGRATION_COLUMNS
+) => {
+  if (method === "none" || !IMPUTATION_METHODS[method]) {
+    return { yearData, provenance: {}, imputedCount: 0 };
+  }
+
+  const sorted = [...yearData].sort((a, b) => a.year - b.year);
+  const years = sorted.map((d) => d.year);
+  const rowsByYear = sorted.map((d) => {
+    const byCountry = {};
+    (d.data || []).forEach((r) => {
+      if (r?.[COUNTRY_COLUMN]) byCountry[r[COUNTRY_COLUMN]] = { ...r };
+    });
+    return byCountry;
+  });
+  const countries = Array.from(
+    new Set(rowsByYear.flatMap((byCountry) => Object.keys(byCountry)))
+  );
+
+  const provenance = {};
+  let imputedCount = 0;
+
+  countries.forEach((country) => {
+    columns.forEach((col) => {
+      const values = rowsByYear.map((byCountry) =>
+        parseCell(byCountry[country]?.[col])
+      );
+      const filled = fillSeries(years, values, method);
+      filled.forEach((v, i) => {
+        if (Number.isFinite(values[i]) || !Number.isFinite(v)) return;
+        const byCountry = rowsByYear[i];
+        byCountry[country] = byCountry[country] || {
+          [COUNTRY_COLUMN]: country,
+        };
+        byCountry[country][col] = String(Math.max(0, v));
+
+        const y = years[i];
+        provenance[y] = provenance[y] || {};
+        provenance[y][country] = provenance[y][country] || {};
+        provenance[y][country][col] = method;
+        imputedCount++;
+      });
+    });
+  });
+
+  return {
+    yearData: sorted.map((d, i) => ({
+      ...d,
+      data: Object.values(rowsByYear[i]),
+    })),
+    provenance,
+    imputedCount,
+  };
+};
+
+/* Imputation method of a cell, or null when the value was observed */
+export const imputedBy = (provenance, year, country, column) =>
+  provenance?.[year]?.[country]?.[column] || null;
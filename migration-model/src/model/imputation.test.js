@@ -0,0 +1,37 @@
+import { imputeYearData, imputedBy } from "./imputation";
+
+const COL = "Outflows of foreign population by nationality(Total)";
+const data = (values) =>
+  values.map((v, i) => ({
+    year: 2000 + i,
+    data: v === null ? [] : [{ Country: "Canada", [COL]: v }],
+  }));
+const series = (result) => result.yearData.map((d) => Number(d.data[0]?.[COL]));
+
+test("fills gaps per method and flags every imputed cell", () => {
+  const input = data(["", "100", "", "300", null]);
+
+  expect(series(imputeYearData(input, "linear", [COL]))).toEqual([
+    100, 100, 200, 300, 300,
+  ]);
+  expect(series(imputeYearData(input, "locf", [COL]))).toEqual([
+    100, 100, 100, 300, 300,
+  ]);
+
+  const logLinear = imputeYearData(data(["100", "", "400"]), "logLinear", [
+    COL,
+  ]);
+  expect(series(logLinear)[1]).toBeCloseTo(200);
+
+  const { provenance, imputedCount } = imputeYearData(input, "linear", [COL]);
+  expect(imputedCount).toBe(3);
+  expect(imputedBy(provenance, 2002, "Canada", COL)).toBe("linear");
+  expect(imputedBy(provenance, 2001, "Canada", COL)).toBeNull();
+});
+
+test("none leaves the data untouched", () => {
+  const input = data(["", "100"]);
+  const result = imputeYearData(input, "none", [COL]);
+  expect(result.yearData).toBe(input);
+  expect(result.imputedCount).toBe(0);
+});
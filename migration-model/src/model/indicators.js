@@ -0,0 +1,108 @@
+/**
+ * Model indicators
+ * Which OECD indicator columns feed the model: the state variable that is
+ * propagated through the transition matrix, and the inflow/outflow columns
+ * that drive destination attractiveness and the stay probability.
+ */
+
+const STOCK_NATIONALITY = "Stock of foreign population by nationality";
+const STOCK_BIRTH = "Stock of foreign-born population by country of birth";
+
+/*
+  Each indicator reads the first non-empty of its OECD columns, so "stock"
+  keeps the model's original state, the foreign-born stock, and falls back
+  to the nationality stock where country of birth is not reported.
+*/
+export const INDICATORS = {
+  stock: {
+    label: "Foreign population stock (foreign-born, else nationality)",
+    axis: "Foreign population",
+    type: "stock",
+    columns: [STOCK_BIRTH, STOCK_NATIONALITY],
+  },
+  stockNationality: {
+    label: STOCK_NATIONALITY,
+    axis: "Foreign nationals",
+    type: "stock",
+    columns: [STOCK_NATIONALITY],
+  },
+  stockBirth: {
+    label: STOCK_BIRTH,
+    axis: "Foreign-born population",
+    type: "stock",
+    columns: [STOCK_BIRTH],
+  },
+  inflow: {
+    label: "Inflows of foreign population by nationality",
+    axis: "Foreign population inflow",
+    type: "inflow",
+    columns: ["Inflows of foreign population by nationality"],
+  },
+  asylum: {
+    label: "Inflows of asylum seekers by nationality",
+    axis: "Asylum seekers",
+    type: "inflow",
+    columns: ["Inflows of asylum seekers by nationality"],
+  },
+  workers: {
+    label: "Inflows of foreign workers by nationality",
+    axis: "Foreign workers",
+    type: "inflow",
+    columns: ["Inflows of foreign workers by nationality"],
+  },
+  outflow: {
+    label: "Outflows of foreign population by nationality",
+    axis: "Foreign population outflow",
+    type: "outflow",
+    columns: ["Outflows of foreign population by nationality"],
+  },
+  acquisition: {
+    label: "Acquisition of nationality by country of former nationality",
+    axis: "Acquisitions of nationality",
+    type: "acquisition",
+    columns: ["Acquisition of nationality by country of former nationality"],
+  },
+};
+
+const keysOfType = (...types) =>
+  Object.keys(INDICATORS).filter((k) => types.includes(INDICATORS[k].type));
+
+export const STATE_INDICATORS = Object.keys(INDICATORS);
+export const INFLOW_DRIVERS = keysOfType("inflow", "acquisition");
+export const OUTFLOW_DRIVERS = keysOfType("outflow", "acquisition");
+
+export const DEFAULT_INDICATORS = {
+  state: "stock",
+  inflow: "inflow",
+  outflow: "outflow",
+};
+
+export const indicatorColumn = (indicator, sex = "Total") =>
+  `${indicator}(${sex})`;
+
+const isSet = (row, column) => {
+  const raw = row?.[column];
+  return (
+    raw !== undefined && raw !== "" && Number.isFinite(Number.parseFloat(raw))
+  );
+};
+
+/*
+  Column an indicator is read from in a data row; null when none is set.
+  The fallback is chosen on the "(Total)" columns and other sexes read the
+  same indicator, so women and total always count the same population; a
+  country without that companion column is missing for the sex.
+*/
+export const indicatorSource = (row, key, sex = "Total") => {
+  const { columns } = INDICATORS[key] || INDICATORS.stock;
+  const indicator = columns.find((c) => isSet(row, indicatorColumn(c)));
+  if (!indicator) return null;
+  const column = indicatorColumn(indicator, sex);
+  return isSet(row, column) ? column : null;
+};
+
+/* Value of an indicator in a data row; NaN when none of its columns is set */
+export const readIndicator = (row, key, sex = "Total") => {
+  const column = indicatorSource(row, key, sex);
+  return column ? Number.parseFloat(row[column]) : NaN;
+};
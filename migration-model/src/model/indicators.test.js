@@ -0,0 +1,39 @@
+import { readIndicator } from "./indicators";
+
+const row = {
+  "Stock of foreign population by nationality(Total)": "",
+  "Stock of foreign-born population by country of birth(Total)": "1500",
+  "Inflows of asylum seekers by nationality(Total)": "320",
+  "Inflows of asylum seekers by nationality(Women)": "110",
+};
+
+test("reads the selected indicator, falling back across its columns", () => {
+  expect(readIndicator(row, "stock")).toBe(1500);
+  expect(readIndicator(row, "stockNationality")).toBeNaN();
+  expect(readIndicator(row, "asylum")).toBe(320);
+  expect(readIndicator(row, "asylum", "Women")).toBe(110);
+  expect(readIndicator(null, "asylum")).toBeNaN();
+  // Women read the indicator the total uses, never another fallback
+  const women = {
+    ...row,
+    "Stock of foreign population by nationality(Women)": "400",
+  };
+  expect(readIndicator(women, "stock", "Women")).toBeNaN();
+  expect(
+    readIndicator(
+      {
+        ...women,
+        "Stock of foreign-born population by country of birth(Women)": "700",
+      },
+      "stock",
+      "Women"
+    )
+  ).toBe(700);
+  // With both stocks reported the foreign-born one is the default state
+  const both = {
+    ...row,
+    "Stock of foreign population by nationality(Total)": "900",
+  };
+  expect(readIndicator(both, "stock")).toBe(1500);
+  expect(readIndicator(both, "stockNationality")).toBe(900);
+});
@@ -0,0 +1,154 @@
+/**
+ * Data-fitted transition matrix
+ * Solves  min_T Σ_t ‖P_{t+1} − Tᵀ P_t‖²  subject to T ≥ 0 and every row of T
+ * summing to 1, over the observed stock vectors of consecutive training
+ * years. Accelerated projected gradient (FISTA) with each row projected
+ * onto the probability simplex after every step.
+ */
+
+export const ESTIMATORS = {
+  gravity: "Gravity heuristic",
+  fitted: "Data-fitted (least squares)",
+};
+
+/* Iteration cap of the fit; it runs on the main thread, once per backtest
+   origin, so the default stays modest and the UI can raise it */
+export const DEFAULT_FIT_ITERATIONS = 1000;
+
+/* Euclidean projection of a vector onto { x ≥ 0, Σx = 1 } */
+export const projectToSimplex = (v) => {
+  const u = [...v].sort((a, b) => b - a);
+  let cumsum = 0;
+  let theta = 0;
+  for (let k = 0; k < u.length; k++) {
+    cumsum += u[k];
+    const t = (cumsum - 1) / (k + 1);
+    if (u[k] - t > 0) theta = t;
+  }
+  return v.map((x) => Math.max(x - theta, 0));
+};
+
+/* Tᵀ P: P'[j] = Σ_i P[i] T[i][j] (same convention as propagatePopulation) */
+const step = (T, p) =>
+  T[0].map((_, j) => p.reduce((sum, pi, i) => sum + pi * T[i][j], 0));
+
+const identity = (n) =>
+  Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+  );
+
+/**
+ * Fit T to pairs [{ fromYear, toYear, from: number[], to: number[] }].
+ * options.init seeds the solver (defaults to the identity). Returns
+ * { matrix, residuals, rmse, iterations, converged } where residuals[k] is
+ * { fromYear, toYear, values, rmse } with values = (Tᵀ P_t − P_{t+1}) in the
+ * input units.
+ */
+export const fitTransitionMatrix = (
+  pairs,
+  { init = null, maxIter = DEFAULT_FIT_ITERATIONS, tol = 1e-10 } = {}
+) => {
+  const n = pairs[0]?.from.length || 0;
+  if (!n) throw new Error("No stock vectors to fit");
+
+  // Work in units of the largest stock so the step size is well scaled
+  const scale = Math.max(
+    1,
+    ...pairs.flatMap((p) => [...p.from, ...p.to].map(Math.abs))
+  );
+  const data = pairs.map((p) => ({
+    from: p.from.map((v) => v / scale),
+    to: p.to.map((v) => v / scale),
+  }));
+
+  // Lipschitz bound of the gradient: 2 Σ_t ‖P_t‖²
+  const lipschitz =
+    2 * data.reduce((a, p) => a + p.from.reduce((s, v) => s + v * v, 0), 0);
+  const stepSize = lipschitz > 0 ? 1 / lipschitz : 1;
+
+  const project = (T) => T.map(projectToSimplex);
+
+  /* ∂/∂T[i][j] = 2 Σ_t P_t[i] (Tᵀ P_t − P_{t+1})[j] */
+  const gradient = (T) => {
+    const grad = Array.from({ length: n }, () => Array(n).fill(0));
+    data.forEach(({ from, to }) => {
+      const pred = step(T, from);
+      for (let i = 0; i < n; i++) {
+        if (!from[i]) continue;
+        for (let j = 0; j < n; j++) {
+          grad[i][j] += 2 * from[i] * (pred[j] - to[j]);
+        }
+      }
+    });
+    return grad;
+  };
+
+  let T = project(init ? init.map((r) => [...r]) : identity(n));
+  let Y = T.map((r) => [...r]);
+  let momentum = 1;
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIter) {
+    iterations++;
+    const grad = gradient(Y);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) Y[i][j] -= stepSize * grad[i][j];
+    }
+    const next = project(Y);
+
+    const nextMomentum = (1 + Math.sqrt(1 + 4 * momentum * momentum)) / 2;
+    const beta = (momentum - 1) / nextMomentum;
+    let change = 0;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        const d = next[i][j] - T[i][j];
+        change += d * d;
+        Y[i][j] = next[i][j] + beta * d;
+      }
+    }
+    T = next;
+    momentum = nextMomentum;
+
+    if (change < tol) {
+      converged = true;
+      break;
+    }
+  }
+
+  let sumSq = 0;
+  let count = 0;
+  const residuals = pairs.map((p) => {
+    const values = step(T, p.from).map((v, j) => v - p.to[j]);
+    const ss = values.reduce((a, r) => a + r * r, 0);
+    sumSq += ss;
+    count += values.length;
+    return {
+      fromYear: p.fromYear,
+      toYear: p.toYear,
+      values,
+      rmse: Math.sqrt(ss / values.length),
+    };
+  });
+
+  return {
+    matrix: T,
+    residuals,
+    rmse: Math.sqrt(sumSq / Math.max(1, count)),
+    iterations,
+    converged,
+  };
+};
+
+/* Residuals of any matrix on the same pairs, for comparing estimators */
+export const matrixResidualRMSE = (matrix, pairs) => {
+  let sumSq = 0;
+  let count = 0;
+  pairs.forEach((p) => {
+    step(matrix, p.from).forEach((v, j) => {
+      sumSq += (v - p.to[j]) ** 2;
+      count++;
+    });
+  });
+  return Math.sqrt(sumSq / Math.max(1, count));
+};
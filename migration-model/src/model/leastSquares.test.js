@@ -0,0 +1,42 @@
+import { fitTransitionMatrix, projectToSimplex } from "./leastSquares";
+
+test("projects rows onto the probability simplex", () => {
+  const p = projectToSimplex([0.8, 0.6, -0.2]);
+  expect(p.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+  expect(p.every((v) => v >= 0)).toBe(true);
+  expect(projectToSimplex([0.2, 0.3, 0.5])).toEqual([0.2, 0.3, 0.5]);
+});
+
+test("recovers a row-stochastic matrix from exact stock series", () => {
+  const truth = [
+    [0.9, 0.1, 0],
+    [0.05, 0.9, 0.05],
+    [0, 0.2, 0.8],
+  ];
+  const propagate = (p) =>
+    [0, 1, 2].map((j) => p.reduce((s, v, i) => s + v * truth[i][j], 0));
+
+  const stocks = [[1000, 500, 2000]];
+  for (let t = 0; t < 6; t++) stocks.push(propagate(stocks[t]));
+  stocks.push(propagate([300, 4000, 100]));
+  const pairs = stocks.slice(0, -2).map((from, t) => ({
+    fromYear: 2000 + t,
+    toYear: 2001 + t,
+    from,
+    to: stocks[t + 1],
+  }));
+  pairs.push({
+    fromYear: 2010,
+    toYear: 2011,
+    from: [300, 4000, 100],
+    to: stocks[stocks.length - 1],
+  });
+
+  const fit = fitTransitionMatrix(pairs, { maxIter: 20000 });
+  fit.matrix.forEach((row) => {
+    expect(row.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+    row.forEach((v) => expect(v).toBeGreaterThanOrEqual(0));
+  });
+  expect(fit.rmse).toBeLessThan(1);
+  expect(fit.residuals).toHaveLength(pairs.length);
+});
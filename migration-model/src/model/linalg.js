@@ -0,0 +1,73 @@
+/**
+ * Typed-array linear algebra
+ * Row-major Float64Array matrices { data, rows, cols } and population
+ * vectors indexed like the country list, so the ensemble's inner loop runs
+ * without object lookups or per-member allocations when every OECD country
+ * is in the system. Columns past the country count (the open-system exit)
+ * are carried along and ignored by the propagation.
+ */
+
+import { gammaSample } from "./rng";
+
+/* Nested rows -> packed matrix; short rows are padded with zeros */
+export const packMatrix = (matrix = []) => {
+  const rows = matrix.length;
+  const cols = matrix.reduce((m, row) => Math.max(m, row?.length || 0), 0);
+  const data = new Float64Array(rows * cols);
+  matrix.forEach((row, i) => {
+    (row || []).forEach((v, j) => {
+      data[i * cols + j] = typeof v === "number" ? v : 0;
+    });
+  });
+  return { data, rows, cols };
+};
+
+export const unpackMatrix = ({ data, rows, cols }) =>
+  Array.from({ length: rows }, (_, i) =>
+    Array.from(data.subarray(i * cols, (i + 1) * cols))
+  );
+
+/* { [country]: value } <-> vector in country order */
+export const toVector = (values, countries) =>
+  Float64Array.from(countries, (c) => values?.[c] ?? 0);
+
+export const fromVector = (vector, countries) =>
+  Object.fromEntries(countries.map((c, i) => [c, vector[i]]));
+
+/* out[j] = Σ_i pop[i] · M[i][j] for the first n columns */
+export const propagateInto = (pop, matrix, n, out = new Float64Array(n)) => {
+  const { data, rows, cols } = matrix;
+  const width = Math.min(n, cols);
+  out.fill(0);
+  for (let i = 0; i < Math.min(rows, pop.length); i++) {
+    const p = pop[i];
+    if (p === 0) continue;
+    const base = i * cols;
+    for (let j = 0; j < width; j++) out[j] += p * data[base + j];
+  }
+  return out;
+};
+
+/*
+  Dirichlet draw around every row into `out` (same shape), row i with
+  α_ij = κ_i · p_ij. Draws in row-major order, as perturbRow does row by
+  row, so a seed gives the same members either way.
+*/
+export const dirichletRowsInto = (matrix, concentrations, rng, out) => {
+  const { data, rows, cols } = matrix;
+  for (let i = 0; i < rows; i++) {
+    const base = i * cols;
+    let sum = 0;
+    for (let j = 0; j < cols; j++) {
+      const g = gammaSample(
+        Math.max(1e-6, data[base + j] * concentrations[i]),
+        rng
+      );
+      out[base + j] = g;
+      sum += g;
+    }
+    sum = sum || 1;
+    for (let j = 0; j < cols; j++) out[base + j] /= sum;
+  }
+  return out;
+};
@@ -0,0 +1,88 @@
+import {
+  dirichletRowsInto,
+  fromVector,
+  packMatrix,
+  propagateInto,
+  toVector,
+  unpackMatrix,
+} from "./linalg";
+import { ensembleSteps, perturbRow } from "./ensemble";
+import { createRng } from "./rng";
+
+const countries = ["A", "B", "C"];
+const matrix = [
+  [0.8, 0.15, 0.05],
+  [0.1, 0.85, 0.05],
+  [0.2, 0.1, 0.7],
+];
+
+test("packing round-trips and pads short rows", () => {
+  const packed = packMatrix([[0.5, 0.5], [1]]);
+  expect(packed.cols).toBe(2);
+  expect(unpackMatrix(packed)).toEqual([
+    [0.5, 0.5],
+    [1, 0],
+  ]);
+  const vector = toVector({ A: 1, C: 3 }, countries);
+  expect(Array.from(vector)).toEqual([1, 0, 3]);
+  expect(fromVector(vector, countries)).toEqual({ A: 1, B: 0, C: 3 });
+});
+
+test("propagation is Pᵀ T and ignores extra exit columns", () => {
+  const pop = toVector({ A: 100, B: 200, C: 300 }, countries);
+  const out = propagateInto(pop, packMatrix(matrix), 3);
+  expect(out[0]).toBeCloseTo(100 * 0.8 + 200 * 0.1 + 300 * 0.2);
+  expect(out[2]).toBeCloseTo(100 * 0.05 + 200 * 0.05 + 300 * 0.7);
+
+  const open = propagateInto(
+    pop,
+    packMatrix([
+      [0.7, 0.2, 0, 0.1],
+      [0, 1, 0, 0],
+      [0, 0, 1, 0],
+    ]),
+    3
+  );
+  expect(Array.from(open)).toEqual([70, 220, 300]);
+});
+
+test("row draws match perturbRow for the same seed", () => {
+  const kappas = [50, 200, 10];
+  const packed = packMatrix(matrix);
+  const drawn = unpackMatrix({
+    ...packed,
+    data: dirichletRowsInto(
+      packed,
+      kappas,
+      createRng("rows"),
+      new Float64Array(packed.data.length)
+    ),
+  });
+  const rng = createRng("rows");
+  matrix.forEach((row, i) => {
+    perturbRow(row, rng, kappas[i]).forEach((v, j) =>
+      expect(drawn[i][j]).toBeCloseTo(v, 12)
+    );
+  });
+});
+
+test("a 35-country ensemble conserves population", () => {
+  const names = Array.from({ length: 35 }, (_, i) => `C${i}`);
+  const big = names.map((_, i) =>
+    names.map((__, j) => (i === j ? 0.9 : 0.1 / (names.length - 1)))
+  );
+  const initPop = Object.fromEntries(names.map((c) => [c, 1e6]));
+  const steps = [
+    ...ensembleSteps({
+      finalAvgMatrix: big,
+      initPop,
+      selectedCountries: names,
+      steps: 5,
+      ensembleSize: 200,
+      seed: "big",
+      concentration: 1000,
+    }),
+  ];
+  const total = names.reduce((s, c) => s + steps[5].result.mean[c], 0);
+  expect(total).toBeCloseTo(35e6, 0);
+});
@@ -0,0 +1,47 @@
+/**
+ * Matrix editing
+ * Expert-judgement edits to a row-stochastic matrix. Setting a cell keeps
+ * its row summing to 1: locked cells keep their value and the remaining
+ * unlocked cells are rescaled to share what is left in proportion to their
+ * current values (evenly when they are all zero).
+ */
+
+export const cellKey = (i, j) => `${i},${j}`;
+
+/* Matrix with cell (i, j) set to `value`, row i renormalised around it */
+export const editCell = (matrix, i, j, value, locks = []) => {
+  const locked = new Set(locks);
+  const row = matrix[i];
+  const isFree = (k) => k !== j && !locked.has(cellKey(i, k));
+  const free = row.map((_, k) => k).filter(isFree);
+  const lockedSum = row.reduce(
+    (s, v, k) => (k !== j && !isFree(k) ? s + v : s),
+    0
+  );
+  const room = Math.max(0, 1 - lockedSum);
+  // With nothing left to rescale the cell takes whatever the locks leave
+  const target = free.length ? Math.min(Math.max(0, value), room) : room;
+  const rest = room - target;
+  const freeSum = free.reduce((s, k) => s + row[k], 0);
+
+  const next = row.map((v, k) => {
+    if (k === j) return target;
+    if (!isFree(k)) return v;
+    return freeSum > 0 ? (v * rest) / freeSum : rest / free.length;
+  });
+  return matrix.map((r, k) => (k === i ? next : r));
+};
+
+/* Keys of the cells where `edited` differs from `original` */
+export const changedCells = (original, edited, tolerance = 1e-9) => {
+  const keys = [];
+  if (!original || !edited) return keys;
+  edited.forEach((row, i) =>
+    row.forEach((v, j) => {
+      if (Math.abs(v - (original[i]?.[j] ?? 0)) > tolerance) {
+        keys.push(cellKey(i, j));
+      }
+    })
+  );
+  return keys;
+};
@@ -0,0 +1,32 @@
+import { cellKey, changedCells, editCell } from "./matrixEditing";
+
+const T = [
+  [0.8, 0.15, 0.05],
+  [0.1, 0.7, 0.2],
+  [0.3, 0.3, 0.4],
+];
+
+const rowSum = (row) => row.reduce((a, b) => a + b, 0);
+
+test("editing a cell rescales the rest of its row", () => {
+  const M = editCell(T, 0, 0, 0.6);
+  expect(M[0][0]).toBe(0.6);
+  // 0.4 shared 3:1 as before
+  expect(M[0][1]).toBeCloseTo(0.3, 12);
+  expect(M[0][2]).toBeCloseTo(0.1, 12);
+  expect(M[1]).toBe(T[1]);
+  expect(changedCells(T, M)).toEqual(["0,0", "0,1", "0,2"]);
+});
+
+test("locked cells keep their value and cap the edit", () => {
+  const locks = [cellKey(1, 2)];
+  const M = editCell(T, 1, 0, 0.5, locks);
+  expect(M[1]).toEqual([0.5, expect.any(Number), 0.2]);
+  expect(rowSum(M[1])).toBeCloseTo(1, 12);
+  // Only 0.8 is left beside the lock
+  expect(editCell(T, 1, 0, 0.95, locks)[1][0]).toBeCloseTo(0.8, 12);
+  // Everything else locked: the cell takes the remainder
+  expect(
+    editCell(T, 1, 0, 0.5, [cellKey(1, 1), cellKey(1, 2)])[1][0]
+  ).toBeCloseTo(0.1, 12);
+});
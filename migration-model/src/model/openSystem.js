@@ -0,0 +1,142 @@
+/**
+ * Open-system model
+ * Adds a Rest-of-World node to the closed chain. Of the movers in a
+ * closed row (mass 1 − T_ii) only `internalShare` go to another selected
+ * country; the rest emigrate to the Rest of World. The share is estimated
+ * from the flow columns unless it is set by hand. Naturalisations leave
+ * the foreign stock at rate acquisitions / stock. Arrivals from the Rest
+ * of World are the observed inflow that internal moves do not explain:
+ *   P_{t+1} = Sᵀ P_t + I
+ * with S the substochastic country block. Rows are stored as n × (n + 1),
+ * the last column being the exit to the Rest of World.
+ */
+
+export const SYSTEM_MODES = {
+  closed: "Closed (stock conserved)",
+  open: "Open (Rest of World node)",
+};
+
+export const REST_OF_WORLD = "Rest of World";
+
+export const DEFAULT_INTERNAL_SHARE = 0.2;
+
+const mean = (values) =>
+  values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+/* Mean acquisitions / stock per country over the observed years */
+export const naturalisationRates = (yearFlows, countries) =>
+  countries.map((c) =>
+    mean(
+      yearFlows
+        .map((flows) => flows[c])
+        .filter((f) => f?.stock > 0)
+        .map((f) => Math.min(1, (f.acquisition || 0) / f.stock))
+    )
+  );
+
+/*
+  Internal move share σ from the observed flows: the closed chain's moves
+  into each selected country (Σ_i P_i T_ij, i ≠ j) count as internal only
+  up to that country's observed inflow, the rest having to leave the
+  system, so σ = Σ min(moves, inflow) / Σ moves, pooled over the years.
+  Null when the chain moves nobody.
+*/
+export const estimateInternalShare = (T, yearFlows, countries) => {
+  let explained = 0;
+  let moved = 0;
+  yearFlows.forEach((flows) => {
+    countries.forEach((dest, j) => {
+      const moves = countries.reduce(
+        (s, origin, i) =>
+          i === j ? s : s + (flows[origin]?.stock || 0) * (T[i]?.[j] || 0),
+        0
+      );
+      moved += moves;
+      explained += Math.min(moves, Math.max(0, flows[dest]?.inflow || 0));
+    });
+  });
+  return moved > 0 ? explained / moved : null;
+};
+
+/* Closed T -> open rows with the exit column appended */
+export const openRows = (T, natRates, internalShare) =>
+  T.map((row, i) => {
+    const nu = Math.min(natRates[i] || 0, row[i]);
+    const out = row.map((v, j) => (i === j ? v - nu : internalShare * v));
+    const kept = out.reduce((a, b) => a + b, 0);
+    return [...out, Math.max(0, 1 - kept)];
+  });
+
+/*
+  Arrivals from the Rest of World per year: observed inflow minus what
+  internal moves deliver from the other countries' stocks, averaged over
+  the observed years and never negative.
+*/
+export const restOfWorldInflow = (rows, yearFlows, countries) =>
+  Object.fromEntries(
+    countries.map((dest, j) => [
+      dest,
+      mean(
+        yearFlows.map((flows) => {
+          const internal = countries.reduce(
+            (s, origin, i) =>
+              i === j ? s : s + (flows[origin]?.stock || 0) * rows[i][j],
+            0
+          );
+          return Math.max(0, (flows[dest]?.inflow || 0) - internal);
+        })
+      ),
+    ])
+  );
+
+/**
+ * Open system around a closed matrix (and optional per-year matrices).
+ * yearFlows: flows objects ({ [country]: { inflow, outflow, stock,
+ * acquisition } }) for the years the rates are estimated from.
+ * internalShare overrides the estimated share when it is a number.
+ * Returns { rows, yearRows, inflow, emigration, naturalisation,
+ * internalShare, estimatedShare } where emigration / naturalisation are the
+ * per-country exit rates of `rows` and internalShare is the σ they use.
+ */
+export const buildOpenSystem = ({
+  matrix,
+  yearMatrices = null,
+  yearFlows,
+  countries,
+  internalShare: override = null,
+}) => {
+  const estimatedShare = estimateInternalShare(matrix, yearFlows, countries);
+  const internalShare = Number.isFinite(override)
+    ? override
+    : estimatedShare ?? DEFAULT_INTERNAL_SHARE;
+  const natRates = naturalisationRates(yearFlows, countries);
+  const rows = openRows(matrix, natRates, internalShare);
+  const naturalisation = matrix.map((row, i) => Math.min(natRates[i], row[i]));
+  return {
+    rows,
+    yearRows:
+      yearMatrices?.map((m) => openRows(m, natRates, internalShare)) ?? null,
+    inflow: restOfWorldInflow(rows, yearFlows, countries),
+    emigration: rows.map((row, i) => row[row.length - 1] - naturalisation[i]),
+    naturalisation,
+    internalShare,
+    estimatedShare,
+  };
+};
+
+/* Square (n + 1) matrix with the Rest of World absorbing, for generators */
+export const squareWithRestOfWorld = (rows) => [
+  ...rows,
+  rows.map(() => 0).concat(1),
+];
+
+/* Flow totals over one step of length dt from population `pop` */
+export const flowComponents = (pop, system, countries, dt = 1) => {
+  const total = (rates) =>
+    countries.reduce((s, c, i) => s + (pop?.[c] || 0) * rates[i], 0) * dt;
+  return {
+    inflow: countries.reduce((s, c) => s + (system.inflow[c] || 0), 0) * dt,
+    emigration: total(system.emigration),
+    naturalisation: total(system.naturalisation),
+  };
+};
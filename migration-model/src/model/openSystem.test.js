@@ -0,0 +1,70 @@
+import {
+  buildOpenSystem,
+  estimateInternalShare,
+  flowComponents,
+} from "./openSystem";
+import { propagatePopulation } from "./ensemble";
+
+const countries = ["A", "B"];
+const T = [
+  [0.9, 0.1],
+  [0.2, 0.8],
+];
+const yearFlows = [
+  {
+    A: { stock: 1000, inflow: 150, outflow: 100, acquisition: 20 },
+    B: { stock: 500, inflow: 60, outflow: 100, acquisition: 0 },
+  },
+];
+
+test("rows split movers between countries and the Rest of World", () => {
+  const system = buildOpenSystem({
+    matrix: T,
+    yearFlows,
+    countries,
+    internalShare: 0.25,
+  });
+  // A: naturalisation 0.02 out of the stayers, 1/4 of movers stay inside
+  expect(system.rows[0][0]).toBeCloseTo(0.88, 12);
+  expect(system.rows[0][1]).toBeCloseTo(0.025, 12);
+  expect(system.rows[0][2]).toBeCloseTo(0.095, 12);
+  expect(system.naturalisation[0]).toBeCloseTo(0.02, 12);
+  expect(system.emigration[0]).toBeCloseTo(0.075, 12);
+  system.rows.forEach((row) =>
+    expect(row.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 12)
+  );
+  // Arrivals: inflow minus internal moves from the other country's stock
+  expect(system.inflow.A).toBeCloseTo(150 - 500 * 0.05, 12);
+  expect(system.inflow.B).toBeCloseTo(60 - 1000 * 0.025, 12);
+});
+
+test("one step gains arrivals and loses exits instead of conserving the total", () => {
+  const system = buildOpenSystem({ matrix: T, yearFlows, countries });
+  const initPop = { A: 1000, B: 500 };
+  const next = propagatePopulation(initPop, system.rows, countries);
+  const flows = flowComponents(initPop, system, countries);
+  expect(next.A + next.B + flows.inflow).toBeCloseTo(
+    1500 + flows.inflow - flows.emigration - flows.naturalisation,
+    9
+  );
+});
+
+test("the internal share is what the observed inflows can absorb", () => {
+  // Moves into A: 500 × 0.2 = 100 (inflow 150); into B: 1000 × 0.1 = 100
+  // of which the inflow of 60 absorbs 60
+  expect(estimateInternalShare(T, yearFlows, countries)).toBeCloseTo(0.8, 12);
+  const system = buildOpenSystem({ matrix: T, yearFlows, countries });
+  expect(system.internalShare).toBeCloseTo(0.8, 12);
+  expect(system.estimatedShare).toBeCloseTo(0.8, 12);
+  expect(system.rows[0][1]).toBeCloseTo(0.08, 12);
+
+  const manual = buildOpenSystem({
+    matrix: T,
+    yearFlows,
+    countries,
+    internalShare: 0.5,
+  });
+  expect(manual.internalShare).toBe(0.5);
+  expect(manual.estimatedShare).toBeCloseTo(0.8, 12);
+  expect(estimateInternalShare(T, [], countries)).toBeNull();
+});
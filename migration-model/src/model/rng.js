@@ -0,0 +1,42 @@
+/**
+ * Seeded random number generation
+ * Every stochastic part of the model draws from an RNG created here, so a
+ * seed plus a parameter set always reproduces the same run, whether the
+ * ensemble executes in the worker or on the main thread.
+ */
+
+import seedrandom from "seedrandom";
+
+/* Seeded uniform [0, 1) generator (ARC4 via seedrandom) */
+export const createRng = (seed) => seedrandom(String(seed));
+
+/* Fresh seed for runs where the user left the seed empty */
+export const generateSeed = () =>
+  Math.floor(Math.random() * 0xffffffff)
+    .toString(36)
+    .padStart(7, "0");
+
+/* Standard normal draw (Box–Muller) */
+export const normalSample = (rng) => {
+  const u = Math.max(rng(), 1e-12);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+};
+
+/*
+  Gamma(shape, 1) draw, Marsaglia–Tsang. Shapes below 1 are boosted to
+  shape + 1 and scaled back by U^(1 / shape).
+*/
+export const gammaSample = (shape, rng) => {
+  if (shape < 1) {
+    return gammaSample(shape + 1, rng) * Math.max(rng(), 1e-12) ** (1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const x = normalSample(rng);
+    const v = (1 + c * x) ** 3;
+    if (v <= 0) continue;
+    const u = Math.max(rng(), 1e-12);
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+};
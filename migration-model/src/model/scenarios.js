@@ -0,0 +1,106 @@
+/**
+ * Scenario engine
+ * Time-bounded interventions for "what if" runs against the unchanged
+ * baseline:
+ *   closeCorridor        gravity weight w_ij = 0 between two countries (both
+ *                        directions), so no moves along it
+ *   scaleAttractiveness  destination weight w_ij × factor
+ *   inflowPulse          extra arrivals per year in one country
+ * An intervention is active for the forecast steps ending in a year of
+ * [from, to]. The weight changes enter estimateTransitionMatrix, so the
+ * matrices of the covered steps are re-estimated from the training flows
+ * with them; the other steps keep the baseline matrices. Pulses are added
+ * in the propagation.
+ */
+
+export const INTERVENTION_TYPES = {
+  closeCorridor: "Close corridor",
+  scaleAttractiveness: "Scale attractiveness",
+  inflowPulse: "Inflow pulse",
+};
+
+let created = 0;
+
+/* Default intervention of a type, for the editor */
+export const newIntervention = (type, countries, year) => ({
+  id: `${type}-${++created}`,
+  type,
+  from: year,
+  to: year,
+  origin: countries[0] ?? "",
+  dest: countries[1] ?? countries[0] ?? "",
+  factor: 2,
+  amount: 10000,
+});
+
+export const isActive = (intervention, year) =>
+  year >= intervention.from && year <= intervention.to;
+
+/* Gravity-weight multiplier of origin -> dest under the active interventions */
+export const weightFactor = (active, origin, dest) =>
+  active.reduce((f, iv) => {
+    if (iv.type === "closeCorridor") {
+      const hit =
+        (iv.origin === origin && iv.dest === dest) ||
+        (iv.origin === dest && iv.dest === origin);
+      return hit ? 0 : f;
+    }
+    if (iv.type === "scaleAttractiveness" && iv.dest === dest) {
+      return f * Math.max(0, iv.factor);
+    }
+    return f;
+  }, 1);
+
+/* Whether an intervention acts on the gravity weights (not a pulse) */
+export const changesWeights = (iv) => iv.type !== "inflowPulse";
+
+/* Extra arrivals by country in a year: { [country]: amount } or null */
+export const pulsesFor = (active) => {
+  const pulses = active.filter((iv) => iv.type === "inflowPulse");
+  if (!pulses.length) return null;
+  return pulses.reduce((acc, iv) => {
+    acc[iv.dest] = (acc[iv.dest] || 0) + (Number(iv.amount) || 0);
+    return acc;
+  }, {});
+};
+
+/* Matrix of forecast step k from { matrix, yearMatrices } */
+const stepMatrix = ({ matrix, yearMatrices }, k) =>
+  yearMatrices?.length
+    ? yearMatrices[Math.min(k, yearMatrices.length - 1)]
+    : matrix;
+
+/**
+ * Per-year inputs of a scenario run over `steps` forecast years after
+ * startYear: { yearMatrices, pulses } where entry k belongs to the step
+ * ending in startYear + k + 1. `baseline` and what `estimate(active)`
+ * returns for the weight-changing interventions active in a step are
+ * { matrix, yearMatrices } as the forecast uses them; each distinct set of
+ * active interventions is estimated once.
+ */
+export const scenarioInputs = ({
+  baseline,
+  estimate,
+  interventions,
+  startYear,
+  steps,
+}) => {
+  const years = Array.from(
+    { length: Math.max(1, steps) },
+    (_, k) => startYear + k + 1
+  );
+  const activeIn = years.map((year) =>
+    interventions.filter((iv) => isActive(iv, year))
+  );
+  const estimates = new Map();
+  return {
+    yearMatrices: activeIn.map((active, k) => {
+      const weighted = active.filter(changesWeights);
+      if (!weighted.length) return stepMatrix(baseline, k);
+      const key = weighted.map((iv) => iv.id).join("|");
+      if (!estimates.has(key)) estimates.set(key, estimate(weighted));
+      return stepMatrix(estimates.get(key), k);
+    }),
+    pulses: activeIn.map(pulsesFor),
+  };
+};
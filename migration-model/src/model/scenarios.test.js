@@ -0,0 +1,84 @@
+import { ensembleSteps } from "./ensemble";
+import { newIntervention, scenarioInputs, weightFactor } from "./scenarios";
+
+const countries = ["A", "B", "C"];
+const T = [
+  [0.8, 0.1, 0.1],
+  [0.1, 0.8, 0.1],
+  [0.05, 0.05, 0.9],
+];
+const corridor = {
+  type: "closeCorridor",
+  origin: "A",
+  dest: "B",
+  from: 2016,
+  to: 2017,
+};
+
+test("a closed corridor zeroes its gravity weight both ways", () => {
+  expect(weightFactor([corridor], "A", "B")).toBe(0);
+  expect(weightFactor([corridor], "B", "A")).toBe(0);
+  expect(weightFactor([corridor], "A", "C")).toBe(1);
+});
+
+test("attractiveness scaling multiplies the weights into a destination", () => {
+  const scale = { type: "scaleAttractiveness", dest: "C", factor: 3 };
+  expect(weightFactor([scale], "A", "C")).toBe(3);
+  expect(weightFactor([scale, { ...scale, factor: 2 }], "B", "C")).toBe(6);
+  expect(weightFactor([scale], "C", "A")).toBe(1);
+  expect(weightFactor([{ type: "inflowPulse", dest: "C" }], "A", "C")).toBe(1);
+});
+
+test("new interventions get distinct ids", () => {
+  const a = newIntervention("inflowPulse", countries, 2016);
+  const b = newIntervention("inflowPulse", countries, 2016);
+  expect(a.id).not.toBe(b.id);
+});
+
+test("interventions only touch the years they cover", () => {
+  const pulse = {
+    type: "inflowPulse",
+    dest: "C",
+    amount: 500,
+    from: 2017,
+    to: 2017,
+  };
+  const closed = [
+    [0.8, 0, 0.2],
+    [0, 0.8, 0.2],
+    [0.05, 0.05, 0.9],
+  ];
+  const estimate = jest.fn(() => ({ matrix: closed, yearMatrices: null }));
+  const { yearMatrices, pulses } = scenarioInputs({
+    baseline: { matrix: T, yearMatrices: null },
+    estimate,
+    interventions: [{ ...corridor, id: "c" }, pulse],
+    startYear: 2014,
+    steps: 4,
+  });
+  // 2015 is before the closure and 2018 after it: both keep the baseline
+  expect(yearMatrices).toEqual([T, closed, closed, T]);
+  expect(estimate).toHaveBeenCalledTimes(1);
+  expect(estimate.mock.calls[0][0].map((iv) => iv.type)).toEqual([
+    "closeCorridor",
+  ]);
+  expect(pulses).toEqual([null, null, { C: 500 }, null]);
+
+  const run = (extra) =>
+    Array.from(
+      ensembleSteps({
+        finalAvgMatrix: T,
+        initPop: { A: 1000, B: 1000, C: 1000 },
+        selectedCountries: countries,
+        steps: 3,
+        ensembleSize: 20,
+        seed: "pulse",
+        ...extra,
+      }),
+      (s) => s.result.mean
+    );
+  const base = run({});
+  const shocked = run({ pulses: [null, { C: 500 }, null] });
+  expect(shocked[1]).toEqual(base[1]);
+  expect(shocked[2].C - base[2].C).toBeCloseTo(500, 6);
+});
@@ -0,0 +1,25 @@
+/**
+ * OECD International Migration Database column schema
+ * Column names as they appear in the bundled migration_YYYY.csv files.
+ */
+
+export const COUNTRY_COLUMN = "Country";
+
+export const MIGRATION_COLUMNS = [
+  "Acquisition of nationality by country of former nationality(Total)",
+  "Acquisition of nationality by country of former nationality(Women)",
+  "Inflows of asylum seekers by nationality(Total)",
+  "Inflows of asylum seekers by nationality(Women)",
+  "Inflows of foreign population by nationality(Total)",
+  "Inflows of foreign population by nationality(Women)",
+  "Inflows of foreign workers by nationality(Total)",
+  "Inflows of foreign workers by nationality(Women)",
+  "Outflows of foreign population by nationality(Total)",
+  "Outflows of foreign population by nationality(Women)",
+  "Stock of foreign population by nationality(Total)",
+  "Stock of foreign population by nationality(Women)",
+  "Stock of foreign-born population by country of birth(Total)",
+  "Stock of foreign-born population by country of birth(Women)",
+];
+
+export const EXPECTED_HEADERS = [COUNTRY_COLUMN, ...MIGRATION_COLUMNS];
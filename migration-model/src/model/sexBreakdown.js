@@ -0,0 +1,57 @@
+/**
+ * Sex-disaggregated projections
+ * The model runs once on the "(Total)" columns and once on the "(Women)"
+ * columns; men are derived as the remainder. Reconciliation caps women at
+ * the total so the two runs can never disagree about who is counted.
+ */
+
+export const SEX_MODES = {
+  total: "Total only",
+  bySex: "Women and men",
+};
+
+/* Share of women, or null when the total is not positive */
+export const womenShare = (women, total) =>
+  total > 0 && Number.isFinite(women)
+    ? Math.min(Math.max(women, 0), total) / total
+    : null;
+
+/**
+ * Combine per-step ensemble results { year, mean, lower, upper } of the
+ * total and women runs. Returns [{ year, women, men, share }] where women
+ * and men are { mean, lower, upper } keyed by country and share[c] is a
+ * fraction (null for countries without women data at the start).
+ */
+export const reconcileBySex = (totalResults, womenResults, countries) => {
+  const start = womenResults[0]?.mean || {};
+
+  return totalResults.map((total, step) => {
+    const w = womenResults[step] || { mean: {}, lower: {}, upper: {} };
+    const women = { mean: {}, lower: {}, upper: {} };
+    const men = { mean: {}, lower: {}, upper: {} };
+    const share = {};
+
+    countries.forEach((c) => {
+      const tMean = total.mean[c] || 0;
+      const tLower = total.lower[c] || 0;
+      const tUpper = total.upper[c] || 0;
+      if (!(start[c] > 0)) {
+        share[c] = null;
+        return;
+      }
+
+      const clamp = (v, max) => Math.min(Math.max(v || 0, 0), max);
+      women.mean[c] = clamp(w.mean[c], tMean);
+      women.lower[c] = clamp(w.lower[c], women.mean[c]);
+      women.upper[c] = Math.max(clamp(w.upper[c], tUpper), women.mean[c]);
+
+      men.mean[c] = tMean - women.mean[c];
+      men.lower[c] = Math.max(0, tLower - women.upper[c]);
+      men.upper[c] = Math.max(tUpper - women.lower[c], men.mean[c]);
+
+      share[c] = womenShare(women.mean[c], tMean);
+    });
+
+    return { year: total.year, women, men, share };
+  });
+};
@@ -0,0 +1,27 @@
+import { reconcileBySex, womenShare } from "./sexBreakdown";
+
+const step = (year, mean, lower, upper) => ({ year, mean, lower, upper });
+
+test("caps women at the total and derives men as the remainder", () => {
+  const total = [
+    step(2010, { A: 100, B: 50 }, { A: 100, B: 50 }, { A: 100, B: 50 }),
+    step(2011, { A: 120, B: 40 }, { A: 110, B: 35 }, { A: 130, B: 45 }),
+  ];
+  const women = [
+    step(2010, { A: 40, B: 0 }, { A: 40, B: 0 }, { A: 40, B: 0 }),
+    step(2011, { A: 130, B: 5 }, { A: 50, B: 4 }, { A: 140, B: 6 }),
+  ];
+
+  const [, y2011] = reconcileBySex(total, women, ["A", "B"]);
+  expect(y2011.women.mean.A).toBe(120);
+  expect(y2011.men.mean.A).toBe(0);
+  expect(y2011.women.upper.A).toBeLessThanOrEqual(130);
+  expect(y2011.share.A).toBe(1);
+  // No women data at the start year: no share rather than 0%
+  expect(y2011.share.B).toBeNull();
+});
+
+test("womenShare is null without a positive total", () => {
+  expect(womenShare(10, 0)).toBeNull();
+  expect(womenShare(25, 100)).toBe(0.25);
+});
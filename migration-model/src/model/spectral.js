@@ -0,0 +1,98 @@
+/**
+ * Long-run behaviour of a transition matrix
+ * Stationary distribution (left eigenvector for eigenvalue 1), second
+ * largest eigenvalue modulus (SLEM) with the half-life and mixing time it
+ * implies, and the expected stay in each country.
+ */
+
+/* Years for the distance to equilibrium to shrink to this fraction */
+export const MIXING_TOLERANCE = 0.01;
+
+const rowTimes = (v, T) =>
+  v.map((_, j) => v.reduce((s, vi, i) => s + vi * T[i][j], 0));
+
+/*
+  π T = π, Σ π = 1 by power iteration on the lazy chain (T + I) / 2,
+  which has the same stationary distribution but is never periodic.
+*/
+export const stationaryDistribution = (
+  T,
+  { maxIter = 100000, tol = 1e-13 } = {}
+) => {
+  const n = T.length;
+  const lazyStep = (p) => {
+    const step = rowTimes(p, T);
+    const next = p.map((v, i) => (v + step[i]) / 2);
+    const total = next.reduce((a, b) => a + b, 0) || 1;
+    return next.map((v) => v / total);
+  };
+  const distance = (a, b) => a.reduce((s, v, i) => s + Math.abs(v - b[i]), 0);
+
+  let pi = Array(n).fill(1 / n);
+  for (let it = 1; it <= maxIter; it++) {
+    const next = lazyStep(pi);
+    const change = distance(next, pi);
+    pi = next;
+    if (change < tol) return { pi, iterations: it, converged: true };
+  }
+  return { pi, iterations: maxIter, converged: false };
+};
+
+/*
+  SLEM by power iteration on zero-sum row vectors: v ↦ vT keeps Σv = 0,
+  where T acts with its eigenvalue 1 removed, and v is re-projected each
+  step so rounding cannot bring that eigenvalue back. The modulus is the
+  geometric mean growth rate over the last `window` steps, which also
+  settles when λ₂ is one of a complex pair.
+*/
+export const secondEigenvalueModulus = (
+  T,
+  pi,
+  { steps = 2000, window = 500 } = {}
+) => {
+  const n = T.length;
+  if (n < 2) return 0;
+  const project = (v) => {
+    const total = v.reduce((a, b) => a + b, 0);
+    return v.map((x, i) => x - total * pi[i]);
+  };
+  const size = (v) => v.reduce((s, x) => s + Math.abs(x), 0);
+
+  // Fixed, irregular start so no eigenvector is missed by symmetry
+  let v = project(T.map((_, i) => Math.sin(i + 1)));
+  let logGrowth = 0;
+  for (let step = 1; step <= steps; step++) {
+    const before = size(v);
+    if (before === 0) return 0;
+    v = project(rowTimes(v, T).map((x) => x / before));
+    const after = size(v);
+    if (after === 0) return 0;
+    if (step > steps - window) logGrowth += Math.log(after);
+  }
+  return Math.min(1, Math.exp(logGrowth / window));
+};
+
+/* Years for deviations shrinking like λ^t to fall to `fraction` */
+export const yearsToShrink = (slem, fraction) => {
+  if (slem <= 0) return 0;
+  if (slem >= 1) return Infinity;
+  return Math.log(fraction) / Math.log(slem);
+};
+
+/**
+ * Full summary for a transition matrix:
+ * { stationary, converged, slem, halfLife, mixingTime, expectedStay }
+ * where expectedStay[i] = 1 / (1 − T_ii) years (geometric sojourn).
+ */
+export const spectralSummary = (T) => {
+  const { pi, converged } = stationaryDistribution(T);
+  const slem = secondEigenvalueModulus(T, pi);
+  return {
+    stationary: pi,
+    converged,
+    slem,
+    halfLife: yearsToShrink(slem, 0.5),
+    mixingTime: yearsToShrink(slem, MIXING_TOLERANCE),
+    expectedStay: T.map((row, i) => (row[i] < 1 ? 1 / (1 - row[i]) : Infinity)),
+  };
+};
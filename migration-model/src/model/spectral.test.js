@@ -0,0 +1,41 @@
+import { spectralSummary } from "./spectral";
+
+test("two-country chain matches the closed form", () => {
+  // λ₂ = 1 − a − b, π = (b, a) / (a + b)
+  const s = spectralSummary([
+    [0.9, 0.1],
+    [0.3, 0.7],
+  ]);
+  expect(s.stationary[0]).toBeCloseTo(0.75, 10);
+  expect(s.stationary[1]).toBeCloseTo(0.25, 10);
+  expect(s.slem).toBeCloseTo(0.6, 6);
+  expect(s.halfLife).toBeCloseTo(Math.log(0.5) / Math.log(0.6), 4);
+  expect(s.expectedStay[0]).toBeCloseTo(10, 10);
+  expect(s.expectedStay[1]).toBeCloseTo(1 / 0.3, 10);
+});
+
+test("complex second eigenvalue is measured by its modulus", () => {
+  // (1 − c) I + c · cyclic shift: λ = 1 − c + c ω
+  const c = 0.3;
+  const T = [
+    [1 - c, c, 0],
+    [0, 1 - c, c],
+    [c, 0, 1 - c],
+  ];
+  const s = spectralSummary(T);
+  s.stationary.forEach((p) => expect(p).toBeCloseTo(1 / 3, 10));
+  expect(s.slem).toBeCloseTo(
+    Math.hypot(1 - 1.5 * c, (c * Math.sqrt(3)) / 2),
+    3
+  );
+});
+
+test("a chain that never mixes has no finite half-life", () => {
+  const s = spectralSummary([
+    [1, 0],
+    [0, 1],
+  ]);
+  expect(s.slem).toBe(1);
+  expect(s.halfLife).toBe(Infinity);
+  expect(s.expectedStay).toEqual([Infinity, Infinity]);
+});
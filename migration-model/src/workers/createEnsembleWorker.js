@@ -0,0 +1,7 @@
+/*
+  Ensemble worker factory
+  Kept apart from App.js because `import.meta.url` (which webpack needs to
+  bundle the worker) does not parse under Jest; tests mock this module.
+*/
+export const createEnsembleWorker = () =>
+  new Worker(new URL("./ensemble.worker.js", import.meta.url));